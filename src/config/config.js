@@ -1,7 +1,44 @@
 import dotenv from 'dotenv';
+import { parseDuplicateRules } from '../utils/duplicates.js';
 
 dotenv.config();
 
+/**
+ * Parses a comma-separated list of key=value pairs (e.g. "Reach=notion-wins,Impact=manual")
+ * @param {string} value - Raw environment variable value
+ * @returns {Object} Parsed key/value map
+ */
+function parseKeyValueList(value) {
+  const result = {};
+  if (!value) {
+    return result;
+  }
+
+  value.split(',').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      return;
+    }
+    const key = pair.slice(0, separator).trim();
+    const entryValue = pair.slice(separator + 1).trim();
+    if (key && entryValue) {
+      result[key] = entryValue;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Supported field-level conflict policies (see sync/conflictResolver.js)
+ */
+export const CONFLICT_POLICIES = ['trello-wins', 'notion-wins', 'latest-edit-wins', 'manual'];
+
+/**
+ * Supported echo suppression modes (see sync/echoFilter.js)
+ */
+export const ECHO_MODES = ['off', 'writes', 'member'];
+
 /**
  * Application configuration loaded from environment variables
  */
@@ -10,18 +47,59 @@ export const config = {
     apiKey: process.env.TRELLO_API_KEY,
     token: process.env.TRELLO_TOKEN,
     boardId: process.env.TRELLO_BOARD_ID,
-    baseUrl: 'https://api.trello.com/1'
+    baseUrl: 'https://api.trello.com/1',
+    // Trello allows 300 requests per 10s per API key and 100 per 10s per token
+    rateLimits: {
+      perKey: { limit: 300, intervalMs: 10000 },
+      perToken: { limit: 100, intervalMs: 10000 }
+    },
+    maxRetries: parseInt(process.env.TRELLO_MAX_RETRIES) || 5,
+    retryBaseDelay: 1000, // First backoff step; doubles per retry
+    retryMaxDelay: 30000,
+    // Which cards sharing a name are synced (see utils/duplicates.js); off by default
+    duplicates: {
+      groupBy: process.env.DUPLICATE_GROUPING || 'off',
+      prefer: process.env.DUPLICATE_PREFER || 'oldest'
+    }
   },
   notion: {
     apiKey: process.env.NOTION_API_KEY,
-    databaseId: process.env.NOTION_DATABASE_ID
+    databaseId: process.env.NOTION_DATABASE_ID,
+    // Notion allows an average of 3 requests per second per integration
+    concurrency: parseInt(process.env.NOTION_CONCURRENCY) || 3,
+    rateLimit: { limit: 3, intervalMs: 1000 },
+    maxRetries: parseInt(process.env.NOTION_MAX_RETRIES) || 5,
+    retryBaseDelay: 1000, // First backoff step; doubles per retry
+    retryMaxDelay: 30000
   },
   sync: {
     pollInterval: parseInt(process.env.POLL_INTERVAL) || 60000, // Default 60 seconds
     // Production settings
     minPollInterval: 30000, // Minimum 30 seconds to avoid API rate limits
     maxPollInterval: 900000, // Maximum 15 minutes
-    retryDelay: 5000 // Delay before retrying failed operations
+    retryDelay: 5000, // Delay before retrying failed operations
+    stateFile: process.env.SYNC_STATE_FILE || '.sync-state.json', // Last-synced field values for three-way merge
+    journalFile: process.env.SYNC_JOURNAL_FILE || '.sync-journal.jsonl', // Every write with before/after values, for rollback
+    mappingFile: process.env.FIELD_MAPPING_FILE || null, // Field mapping JSON (defaults to the RICE mapping)
+    pairsFile: process.env.SYNC_PAIRS_FILE || null, // Board/database pairs JSON (see config/syncPairs.js)
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY) || 5, // Card/page pairs written in parallel
+    incremental: process.env.SYNC_INCREMENTAL !== 'false', // Only fetch what changed since the last run
+    fullSyncInterval: parseInt(process.env.FULL_SYNC_INTERVAL) || 86400000, // Full reconcile at least daily
+    notionWatermarkMargin: 120000, // Notion edit times are rounded to the minute, so look back a little further
+    // Which Trello actions the poller and webhook ignore as the sync's own (see sync/echoFilter.js)
+    echoSuppression: process.env.ECHO_SUPPRESSION || 'writes',
+    echoWindow: parseInt(process.env.ECHO_WINDOW) || 120000 // How far apart an action and a journaled write may be
+  },
+  deletion: {
+    // How long an item must stay missing before its counterpart is deleted
+    gracePeriod: process.env.DELETION_GRACE_PERIOD ? parseInt(process.env.DELETION_GRACE_PERIOD) : 86400000,
+    hardDelete: process.env.TRELLO_HARD_DELETE === 'true', // Delete Trello cards instead of archiving them
+    maxRatio: parseFloat(process.env.MAX_DELETE_RATIO) || 0.1, // Abort if a run would delete more than this share of a side
+    allowMassDelete: process.env.ALLOW_MASS_DELETE === 'true'
+  },
+  conflicts: {
+    defaultPolicy: process.env.CONFLICT_POLICY || 'trello-wins',
+    fieldPolicies: parseKeyValueList(process.env.CONFLICT_POLICIES) // Per-field overrides
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info'
@@ -36,11 +114,14 @@ export function validateConfig() {
   const required = [
     'TRELLO_API_KEY',
     'TRELLO_TOKEN', 
-    'TRELLO_BOARD_ID',
-    'NOTION_API_KEY',
-    'NOTION_DATABASE_ID'
+    'NOTION_API_KEY'
   ];
 
+  // Board and database IDs come from the pairs file when one is configured
+  if (!config.sync.pairsFile) {
+    required.push('TRELLO_BOARD_ID', 'NOTION_DATABASE_ID');
+  }
+
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -65,4 +146,30 @@ export function validateConfig() {
   if (pollInterval > config.sync.maxPollInterval) {
     throw new Error(`POLL_INTERVAL must not exceed ${config.sync.maxPollInterval}ms (${config.sync.maxPollInterval/60000} minutes)`);
   }
+
+  // Validate conflict policies
+  const policies = {
+    CONFLICT_POLICY: config.conflicts.defaultPolicy,
+    ...Object.fromEntries(
+      Object.entries(config.conflicts.fieldPolicies).map(([field, policy]) => [`CONFLICT_POLICIES (${field})`, policy])
+    )
+  };
+
+  Object.entries(policies).forEach(([setting, policy]) => {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`${setting} must be one of ${CONFLICT_POLICIES.join(', ')} (got "${policy}")`);
+    }
+  });
+
+  // Validate duplicate rules
+  try {
+    parseDuplicateRules(config.trello.duplicates);
+  } catch (error) {
+    throw new Error(`DUPLICATE_GROUPING / DUPLICATE_PREFER: ${error.message}`);
+  }
+
+  // Validate echo suppression
+  if (!ECHO_MODES.includes(config.sync.echoSuppression)) {
+    throw new Error(`ECHO_SUPPRESSION must be one of ${ECHO_MODES.join(', ')} (got "${config.sync.echoSuppression}")`);
+  }
 }
@@ -0,0 +1,347 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config, CONFLICT_POLICIES } from './config.js';
+import { isValidTimeZone } from '../utils/dates.js';
+
+/**
+ * Declarative field mappings: which Trello value syncs with which Notion
+ * property, as what type, and in which direction. The RICE prioritization
+ * setup in mappings/rice.json is used unless FIELD_MAPPING_FILE points elsewhere.
+ */
+
+export const DEFAULT_MAPPING_FILE = fileURLToPath(new URL('./mappings/rice.json', import.meta.url));
+
+/**
+ * Where a field's value lives on a Trello card
+ * - name:        card name
+ * - list:        name of the card's list (moving the card changes it)
+ * - customField: board custom field, by name; number, text, checkbox, dropdown (the option
+ *                name, as text) and date (date) fields are supported
+ * - label:       whether the card carries the named label (boolean)
+ * - closed:      whether the card is archived (boolean)
+ * - desc:        card description (markdown)
+ * - labels:      names of all the card's labels (list)
+ * - due:         card due date (date)
+ * - start:       card start date (date)
+ * - dates:       start and due date as a range (date); a single date is the due date
+ * - dueComplete: whether the due date is marked complete (boolean)
+ * - members:     the card's members, as usernames (list; see sync/users.js)
+ * - attachments: URLs of the card's attachments, links and uploaded files alike (list)
+ * - position:    the card's rank in its list, 1 for the top card (number); setting it reorders the list
+ */
+export const TRELLO_SOURCES = ['name', 'list', 'customField', 'label', 'closed', 'desc', 'labels', 'due', 'start', 'dates', 'dueComplete', 'members', 'attachments', 'position'];
+
+// Trello sources holding dates
+const DATE_SOURCES = ['due', 'start', 'dates'];
+
+/**
+ * Supported Notion property types; formula and page_url can only be read, and
+ * page_body is the page content (blocks) rather than a property.
+ * Boolean fields mapped to select or status properties use notion.whenTrue / notion.whenFalse options.
+ */
+export const NOTION_TYPES = ['title', 'rich_text', 'select', 'status', 'multi_select', 'date', 'people', 'files', 'number', 'checkbox', 'url', 'formula', 'page_url', 'page_body'];
+
+// Notion types that are not database properties, so need no notion.property
+const PAGE_TYPES = ['page_url', 'page_body'];
+export const READ_ONLY_NOTION_TYPES = ['formula', 'page_url'];
+
+export const VALUE_TYPES = ['text', 'number', 'boolean', 'list', 'date'];
+export const DIRECTIONS = ['two-way', 'trello-to-notion', 'notion-to-trello'];
+
+/**
+ * How archived Trello cards are synced
+ * - page:  archiving a card archives its Notion page, and restoring either side restores the other
+ * - field: a field with the "closed" Trello source syncs the archived state with a Notion property
+ * - off:   archived cards are not fetched, so they look deleted to deletion sync (default)
+ */
+export const ARCHIVE_MODES = ['page', 'field', 'off'];
+
+/**
+ * Trello label colors (without the _dark / _light shade) and the Notion option colors they map to
+ * by default; a labels field can override them with "colors". Labels without a color map to "default".
+ */
+export const LABEL_COLORS = {
+  green: 'green',
+  yellow: 'yellow',
+  orange: 'orange',
+  red: 'red',
+  purple: 'purple',
+  blue: 'blue',
+  sky: 'blue',
+  lime: 'green',
+  pink: 'pink',
+  black: 'gray'
+};
+
+export const NOTION_OPTION_COLORS = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+/**
+ * What a list field does with a Notion value no board list is named after (once its aliases are applied)
+ * - ignore:   new cards go to the first list and existing cards stay where they are
+ * - create:   the list is created on the board
+ * - unsorted: the card goes to the list named by "unsortedList" (created if needed) and is reported
+ */
+export const UNKNOWN_LIST_POLICIES = ['ignore', 'create', 'unsorted'];
+
+/**
+ * How card checklists sync with to-do sections on the Notion page (see sync/checklists.js):
+ * 'off', or the direction changes are carried in
+ */
+export const CHECKLIST_MODES = ['off', ...DIRECTIONS];
+
+/**
+ * How comments are mirrored between cards and pages (see sync/comments.js):
+ * 'off', or the direction new comments are copied in
+ */
+export const COMMENT_MODES = ['off', ...DIRECTIONS];
+
+const loadedMappings = new Map();
+
+/**
+ * Loads and validates a field mapping file (cached per path)
+ * @param {string} [filePath] - Mapping file; defaults to FIELD_MAPPING_FILE or the RICE mapping
+ * @returns {Object} Validated mapping ({ name, identity, archive, checklists, comments, conflicts, fields })
+ * @throws {Error} If the file cannot be read or is not a valid mapping
+ */
+export function loadFieldMapping(filePath = config.sync.mappingFile) {
+  const resolved = path.resolve(filePath || DEFAULT_MAPPING_FILE);
+
+  if (!loadedMappings.has(resolved)) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read field mapping ${resolved}: ${error.message}`);
+    }
+    loadedMappings.set(resolved, validateFieldMapping(raw, resolved));
+  }
+
+  return loadedMappings.get(resolved);
+}
+
+/**
+ * Validates a field mapping and fills in defaults
+ * @param {Object} mapping - Parsed mapping document
+ * @param {string} source - Where the mapping came from, for error messages
+ * @returns {Object} Normalized mapping
+ * @throws {Error} If the mapping is invalid
+ */
+export function validateFieldMapping(mapping, source = 'field mapping') {
+  const fail = (message) => {
+    throw new Error(`Invalid field mapping ${source}: ${message}`);
+  };
+
+  if (!mapping || !Array.isArray(mapping.fields) || mapping.fields.length === 0) {
+    fail('"fields" must be a non-empty array');
+  }
+
+  const identity = {
+    trelloIdProperty: mapping.identity?.trelloIdProperty || 'Trello ID',
+    syncedFlag: mapping.identity?.syncedFlag === undefined ? 'synced' : mapping.identity.syncedFlag
+  };
+
+  // All-day dates are stored on Trello cards as midnight in this time zone
+  const timeZone = mapping.timeZone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    fail(`"timeZone" must be an IANA time zone such as "Europe/Berlin", got "${timeZone}"`);
+  }
+
+  const keys = new Set();
+  const fields = mapping.fields.map((field, index) => {
+    const label = `fields[${index}]`;
+    const trello = field.trello || {};
+    const notion = field.notion || {};
+    const key = field.key || notion.property || trello.name;
+    const direction = field.direction || 'two-way';
+
+    if (!TRELLO_SOURCES.includes(trello.source)) {
+      fail(`${label}.trello.source must be one of ${TRELLO_SOURCES.join(', ')}`);
+    }
+    if (['customField', 'label'].includes(trello.source) && !trello.name) {
+      fail(`${label}.trello.name is required for ${trello.source} sources`);
+    }
+    if (!NOTION_TYPES.includes(notion.type)) {
+      fail(`${label}.notion.type must be one of ${NOTION_TYPES.join(', ')}`);
+    }
+    if (!PAGE_TYPES.includes(notion.type) && !notion.property) {
+      fail(`${label}.notion.property is required`);
+    }
+    if (!VALUE_TYPES.includes(field.type)) {
+      fail(`${label}.type must be one of ${VALUE_TYPES.join(', ')}`);
+    }
+    if (['label', 'closed'].includes(trello.source) && field.type !== 'boolean') {
+      fail(`${label} maps a ${trello.source === 'label' ? 'label' : 'card\'s archived state'}, so its type must be boolean`);
+    }
+    if (trello.source === 'dueComplete' && field.type !== 'boolean') {
+      fail(`${label} maps whether the due date is complete, so its type must be boolean`);
+    }
+    if (trello.source === 'position' && field.type !== 'number') {
+      fail(`${label} maps the card's position in its list, so its type must be number`);
+    }
+    if (field.type === 'date' && (![...DATE_SOURCES, 'customField'].includes(trello.source) || notion.type !== 'date')) {
+      fail(`${label} has the date type, which only syncs the Trello ${DATE_SOURCES.join(', ')} and customField sources with a Notion date`);
+    }
+    if (field.type !== 'date' && (DATE_SOURCES.includes(trello.source) || notion.type === 'date')) {
+      fail(`${label} maps a card date or a Notion date, so its type must be date`);
+    }
+    if (notion.type === 'page_body' && (trello.source !== 'desc' || field.type !== 'text')) {
+      fail(`${label} maps the Notion page body, which can only sync with the card description as text`);
+    }
+    const listPairing = { labels: 'multi_select', members: 'people', attachments: 'files' };
+    if (field.type === 'list' && listPairing[trello.source] !== notion.type) {
+      fail(`${label} has the list type, which only syncs the Trello "labels" source with a Notion multi_select, "members" with people or "attachments" with files`);
+    }
+    if (field.type !== 'list' && (listPairing[trello.source] || Object.values(listPairing).includes(notion.type))) {
+      fail(`${label} maps a list of labels, members or attachments, so its type must be list`);
+    }
+    if (field.syncRemovals !== undefined && (trello.source !== 'attachments' || typeof field.syncRemovals !== 'boolean')) {
+      fail(`${label}.syncRemovals must be true or false, and only applies to the Trello "attachments" source`);
+    }
+    if (trello.source !== 'list' && ['unknownLists', 'aliases', 'unsortedList'].some(setting => field[setting] !== undefined)) {
+      fail(`${label}: unknownLists, aliases and unsortedList only apply to the Trello "list" source`);
+    }
+    if (field.unknownLists !== undefined && !UNKNOWN_LIST_POLICIES.includes(field.unknownLists)) {
+      fail(`${label}.unknownLists must be one of ${UNKNOWN_LIST_POLICIES.join(', ')}`);
+    }
+    if (field.unsortedList !== undefined && (typeof field.unsortedList !== 'string' || !field.unsortedList.trim())) {
+      fail(`${label}.unsortedList must be a list name`);
+    }
+    Object.entries(field.aliases || {}).forEach(([alias, listName]) => {
+      if (typeof listName !== 'string' || !listName) {
+        fail(`${label}.aliases.${alias} must be a Trello list name`);
+      }
+    });
+    Object.entries(field.users || {}).forEach(([trelloUser, notionUser]) => {
+      if (typeof notionUser !== 'string' || !notionUser) {
+        fail(`${label}.users.${trelloUser} must be a Notion user ID or email`);
+      }
+    });
+    Object.entries(field.colors || {}).forEach(([trelloColor, notionColor]) => {
+      if (!Object.prototype.hasOwnProperty.call(LABEL_COLORS, trelloColor)) {
+        fail(`${label}.colors: "${trelloColor}" is not a Trello label color (${Object.keys(LABEL_COLORS).join(', ')})`);
+      }
+      if (!NOTION_OPTION_COLORS.includes(notionColor)) {
+        fail(`${label}.colors.${trelloColor} must be one of ${NOTION_OPTION_COLORS.join(', ')}`);
+      }
+    });
+    if (field.type === 'boolean' && ['select', 'status'].includes(notion.type)) {
+      if (!notion.whenTrue) {
+        fail(`${label}.notion.whenTrue is required to map a boolean to a Notion ${notion.type}`);
+      }
+      // A status property cannot be left empty
+      if (notion.type === 'status' && !notion.whenFalse) {
+        fail(`${label}.notion.whenFalse is required to map a boolean to a Notion status`);
+      }
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      fail(`${label}.direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (READ_ONLY_NOTION_TYPES.includes(notion.type) && direction !== 'notion-to-trello') {
+      fail(`${label} reads a Notion ${notion.type}, which can only sync notion-to-trello`);
+    }
+    if (!key) {
+      fail(`${label}.key is required`);
+    }
+    if (keys.has(key)) {
+      fail(`duplicate field key "${key}"`);
+    }
+    keys.add(key);
+
+    return {
+      key,
+      trello: { ...trello },
+      notion: { ...notion },
+      type: field.type,
+      direction,
+      ...(trello.source === 'labels' ? { colors: { ...LABEL_COLORS, ...field.colors } } : {}),
+      ...(field.type === 'date' ? { timeZone } : {}),
+      ...(trello.source === 'members' ? { users: { ...field.users } } : {}),
+      ...(trello.source === 'list' ? {
+        unknownLists: field.unknownLists || 'ignore',
+        aliases: { ...field.aliases },
+        unsortedList: field.unsortedList ? field.unsortedList.trim() : 'Unsorted'
+      } : {}),
+      // Attachments removed on one side stay on the other unless asked otherwise
+      ...(trello.source === 'attachments' ? { syncRemovals: field.syncRemovals === true } : {})
+    };
+  });
+
+  ['name', 'list', 'closed', 'desc', 'labels', 'due', 'start', 'dates', 'dueComplete', 'members', 'attachments', 'position'].forEach(trelloSource => {
+    if (fields.filter(field => field.trello.source === trelloSource).length > 1) {
+      fail(`only one field may use the Trello "${trelloSource}" source`);
+    }
+  });
+  if (fields.filter(field => field.notion.type === 'page_body').length > 1) {
+    fail('only one field may use the Notion page body');
+  }
+  // Both would add and remove the same labels
+  if (fields.some(field => field.trello.source === 'labels') && fields.some(field => field.trello.source === 'label')) {
+    fail('a field with the Trello "labels" source cannot be combined with "label" fields');
+  }
+  // Both would write the same card dates
+  if (fields.some(field => field.trello.source === 'dates') && fields.some(field => ['due', 'start'].includes(field.trello.source))) {
+    fail('a field with the Trello "dates" source cannot be combined with "due" or "start" fields');
+  }
+
+  const hasClosedField = fields.some(field => field.trello.source === 'closed');
+  const archive = mapping.archive || (hasClosedField ? 'field' : 'off');
+  if (!ARCHIVE_MODES.includes(archive)) {
+    fail(`"archive" must be one of ${ARCHIVE_MODES.join(', ')}`);
+  }
+  if ((archive === 'field') !== hasClosedField) {
+    fail(archive === 'field'
+      ? '"archive": "field" needs a field with the Trello "closed" source'
+      : `a field with the Trello "closed" source cannot be used with "archive": "${archive}"`);
+  }
+
+  const checklists = mapping.checklists || 'off';
+  if (!CHECKLIST_MODES.includes(checklists)) {
+    fail(`"checklists" must be one of ${CHECKLIST_MODES.join(', ')}`);
+  }
+
+  const comments = mapping.comments || 'off';
+  if (!COMMENT_MODES.includes(comments)) {
+    fail(`"comments" must be one of ${COMMENT_MODES.join(', ')}`);
+  }
+
+  // Policies set here replace CONFLICT_POLICIES for the pairs using this mapping; the default falls back to CONFLICT_POLICY
+  let conflicts = null;
+  if (mapping.conflicts !== undefined) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(mapping.conflicts) || (mapping.conflicts.fields !== undefined && !isObject(mapping.conflicts.fields))) {
+      fail('"conflicts" must be an object with an optional "default" policy and "fields" mapping field keys to policies');
+    }
+    conflicts = {
+      defaultPolicy: mapping.conflicts.default || config.conflicts.defaultPolicy,
+      fieldPolicies: mapping.conflicts.fields || {}
+    };
+    [['conflicts.default', conflicts.defaultPolicy], ...Object.entries(conflicts.fieldPolicies).map(([key, policy]) => [`conflicts.fields.${key}`, policy])]
+      .forEach(([setting, policy]) => {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+          fail(`"${setting}" must be one of ${CONFLICT_POLICIES.join(', ')}, got "${policy}"`);
+        }
+      });
+  }
+
+  return { name: mapping.name || path.basename(source), identity, timeZone, archive, checklists, comments, conflicts, fields };
+}
+
+/**
+ * Finds the field mapped to a Trello source such as the card name or list
+ * @param {Object} mapping - Field mapping
+ * @param {string} trelloSource - Trello source
+ * @returns {Object|null} Field definition
+ */
+export function findFieldBySource(mapping, trelloSource) {
+  return mapping.fields.find(field => field.trello.source === trelloSource) || null;
+}
+
+/**
+ * Finds the field synced with the Notion page body
+ * @param {Object} mapping - Field mapping
+ * @returns {Object|null} Field definition
+ */
+export function findPageBodyField(mapping) {
+  return mapping.fields.find(field => field.notion.type === 'page_body') || null;
+}
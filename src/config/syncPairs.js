@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { parseDuplicateRules } from '../utils/duplicates.js';
+
+/**
+ * Trello board ↔ Notion database pairs synced by this process.
+ * With SYNC_PAIRS_FILE unset there is a single "default" pair built from
+ * TRELLO_BOARD_ID / NOTION_DATABASE_ID and the other sync settings.
+ */
+
+const PAIR_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Builds the single pair described by the environment variables
+ * @returns {Object} Sync pair
+ */
+function createDefaultPair() {
+  return {
+    name: 'default',
+    boardId: config.trello.boardId,
+    databaseId: config.notion.databaseId,
+    mappingFile: config.sync.mappingFile,
+    stateFile: config.sync.stateFile,
+    journalFile: config.sync.journalFile,
+    duplicates: config.trello.duplicates,
+    pollInterval: config.sync.pollInterval
+  };
+}
+
+/**
+ * Loads the configured sync pairs
+ * @param {string|null} [filePath] - Pairs file; defaults to SYNC_PAIRS_FILE
+ * @returns {Array<Object>} Sync pairs ({ name, boardId, databaseId, mappingFile, stateFile, journalFile, duplicates, pollInterval })
+ * @throws {Error} If the file cannot be read or a pair is invalid
+ */
+export function loadSyncPairs(filePath = config.sync.pairsFile) {
+  if (!filePath) {
+    return [createDefaultPair()];
+  }
+
+  const resolved = path.resolve(filePath);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read sync pairs file ${resolved}: ${error.message}`);
+  }
+
+  if (!Array.isArray(raw.pairs) || raw.pairs.length === 0) {
+    throw new Error(`Sync pairs file ${resolved} must contain a non-empty "pairs" array`);
+  }
+
+  // Relative mapping, state and journal paths are resolved against the pairs file
+  const baseDir = path.dirname(resolved);
+  const names = new Set();
+
+  return raw.pairs.map((pair, index) => {
+    const name = pair.name;
+    const fail = (message) => {
+      throw new Error(`Invalid sync pair ${name || `#${index + 1}`} in ${resolved}: ${message}`);
+    };
+
+    if (!name || !PAIR_NAME_PATTERN.test(name)) {
+      fail('"name" is required and may only contain letters, digits, "-" and "_"');
+    }
+    if (names.has(name)) {
+      fail('pair names must be unique');
+    }
+    names.add(name);
+
+    if (!pair.trelloBoardId || !pair.notionDatabaseId) {
+      fail('"trelloBoardId" and "notionDatabaseId" are required');
+    }
+
+    const pollInterval = pair.pollInterval ?? config.sync.pollInterval;
+    if (pollInterval < config.sync.minPollInterval || pollInterval > config.sync.maxPollInterval) {
+      fail(`"pollInterval" must be between ${config.sync.minPollInterval}ms and ${config.sync.maxPollInterval}ms`);
+    }
+
+    const duplicates = { ...config.trello.duplicates, ...pair.duplicates };
+    try {
+      parseDuplicateRules(duplicates);
+    } catch (error) {
+      fail(`"duplicates": ${error.message}`);
+    }
+
+    return {
+      name,
+      boardId: pair.trelloBoardId,
+      databaseId: pair.notionDatabaseId,
+      mappingFile: pair.mappingFile ? path.resolve(baseDir, pair.mappingFile) : config.sync.mappingFile,
+      stateFile: pair.stateFile ? path.resolve(baseDir, pair.stateFile) : `.sync-state.${name}.json`,
+      journalFile: pair.journalFile ? path.resolve(baseDir, pair.journalFile) : `.sync-journal.${name}.jsonl`,
+      duplicates,
+      pollInterval
+    };
+  });
+}
+
+/**
+ * Finds a configured sync pair by name
+ * @param {string} name - Pair name
+ * @returns {Object} Sync pair
+ * @throws {Error} If no pair has that name
+ */
+export function getSyncPair(name) {
+  const pairs = loadSyncPairs();
+  const pair = pairs.find(candidate => candidate.name === name);
+
+  if (!pair) {
+    throw new Error(`Unknown sync pair "${name}" (configured: ${pairs.map(candidate => candidate.name).join(', ')})`);
+  }
+
+  return pair;
+}
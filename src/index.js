@@ -1,52 +1,207 @@
-import { validateConfig } from './config/config.js';
+import { parseArgs } from 'util';
+import { config, validateConfig } from './config/config.js';
 import { logger } from './utils/logger.js';
+import { loadSyncPairs, getSyncPair } from './config/syncPairs.js';
 import SyncEngine from './sync/syncEngine.js';
+import { formatPlan, savePlan, loadPlan } from './sync/syncPlan.js';
+
+/**
+ * Prints the end-of-run summary
+ * @param {Object} stats - Sync statistics
+ * @param {number} duration - Run duration in milliseconds
+ * @param {string} pairName - Sync pair the stats belong to
+ */
+function printSummary(stats, duration, pairName) {
+  const { trelloToNotion, notionToTrello } = stats;
+  const manualConflicts = stats.conflicts.filter(conflict => !conflict.winner).length;
+
+  console.log(stats.dryRun ? '\n=== SYNC PLAN SUMMARY (dry run) ===' : '\n=== SYNC SUMMARY ===');
+  console.log(`Pair: ${pairName} (${stats.mode || 'full'} sync)`);
+  if (stats.runId) {
+    console.log(`Run ID: ${stats.runId} (undo with "node src/index.js rollback ${stats.runId}")`);
+  }
+  console.log(`Duration: ${duration}ms`);
+  console.log(`Trello → Notion: ${trelloToNotion.created} created, ${trelloToNotion.updated} updated, ${trelloToNotion.archived} archived, ${trelloToNotion.deleted} deleted, ${trelloToNotion.restored} restored, ${trelloToNotion.commented} comments`);
+  console.log(`Notion → Trello: ${notionToTrello.created} created, ${notionToTrello.updated} updated, ${notionToTrello.moved} moved, ${notionToTrello.archived} archived, ${notionToTrello.deleted} deleted, ${notionToTrello.restored} restored, ${notionToTrello.commented} comments`);
+  if (stats.skipped) {
+    console.log(`Not rolled back: ${stats.skipped.length}`);
+    stats.skipped.forEach(item => console.log(`  - ${item.side} ${item.action} "${item.name}": ${item.reason}`));
+  }
+  console.log(`Conflicts: ${stats.conflicts.length} (${manualConflicts} awaiting manual resolution)`);
+  if (stats.unsorted.length > 0) {
+    console.log(`Unsorted cards: ${stats.unsorted.length}`);
+    stats.unsorted.forEach(item => console.log(`  - "${item.name}" in ${item.list}: no list matches "${item.value ?? ''}"`));
+  }
+  if (stats.skippedDuplicates.length > 0) {
+    console.log(`Skipped duplicate cards: ${stats.skippedDuplicates.length}`);
+    stats.skippedDuplicates.forEach(card => console.log(`  - "${card.name}" (${card.id}${card.listName ? `, ${card.listName}` : ''}): ${card.reason}`));
+  }
+  if (stats.skippedPages.length > 0) {
+    console.log(`Notion entries of skipped duplicates (not deleted or recreated): ${stats.skippedPages.length}`);
+    stats.skippedPages.forEach(item => console.log(`  - "${item.name}" (${item.notionPageId}): card ${item.trelloId} is a ${item.reason}`));
+  }
+  console.log(`Trello API: ${stats.api.trello.requests} requests (${stats.api.trello.retries} retries, ${stats.api.trello.rateLimited} rate limited)`);
+  console.log(`Notion API: ${stats.api.notion.requests} requests (${stats.api.notion.retries} retries, ${stats.api.notion.rateLimited} rate limited)`);
+  console.log(`Errors: ${stats.errors}`);
+  console.log('==================\n');
+}
+
+/**
+ * Runs a sync, dry run or plan application for one board/database pair
+ * @param {Object} pair - Sync pair
+ * @param {string} command - 'sync', 'apply' or 'rollback'
+ * @param {Object} options - Parsed CLI options
+ * @param {Object|string|null} target - Loaded plan for 'apply', run ID for 'rollback'
+ * @returns {Promise<Object>} Sync statistics
+ */
+async function runPair(pair, command, options, target) {
+  const pairLogger = logger.child(pair.name);
+  const syncEngine = new SyncEngine(pair, { logger: pairLogger });
+
+  const startTime = Date.now();
+  let stats;
+  if (command === 'apply') {
+    stats = await syncEngine.applyPlan(target, { allowMassDelete: options['allow-mass-delete'] });
+  } else if (command === 'rollback') {
+    stats = await syncEngine.rollback(target, { dryRun: options['dry-run'] });
+  } else {
+    stats = await syncEngine.performSync({ dryRun: options['dry-run'], full: options.full, allowMassDelete: options['allow-mass-delete'] });
+  }
+  const duration = Date.now() - startTime;
+
+  if (stats.dryRun) {
+    console.log(`\n[${pair.name}]\n` + formatPlan(stats.plan));
+
+    if (options['plan-file']) {
+      const planFile = options['plan-file'];
+      const planPath = await savePlan(stats.plan, planFile);
+      console.log(`\nPlan saved to ${planPath} - run "node src/index.js apply ${planFile}" to execute it`);
+    }
+  } else {
+    // Log final results
+    pairLogger.info('Sync process completed', {
+      duration: `${duration}ms`,
+      stats
+    });
+  }
+
+  // Log summary
+  printSummary(stats, duration, pair.name);
+  return stats;
+}
+
+/**
+ * Prints how a pair's board members are linked to Notion users, to check the matches and write overrides
+ * @param {Object} pair - Sync pair
+ * @returns {Promise<void>}
+ */
+async function printUsers(pair) {
+  const syncEngine = new SyncEngine(pair, { logger: logger.child(pair.name) });
+  if (!syncEngine.membersField) {
+    console.log(`\n[${pair.name}] No field syncs card members`);
+    return;
+  }
+
+  const { links, unmatchedMembers, unmatchedUsers } = await syncEngine.loadUserMap();
+  console.log(`\n[${pair.name}] Trello members → Notion users`);
+  links.forEach(link => console.log(`  ${link.username} (${link.memberName}) → ${link.userName} (${link.userId}, by ${link.matchedBy})`));
+  console.log(`Unmatched Trello members: ${unmatchedMembers.map(member => `${member.username} (${member.fullName})`).join(', ') || 'none'}`);
+  console.log(`Unmatched Notion users: ${unmatchedUsers.map(user => `${user.name} (${user.id})`).join(', ') || 'none'}`);
+}
 
 /**
  * Main application entry point
+ *
+ * Usage:
+ *   node src/index.js [--pair name] [--full]                         Sync every configured pair (or one); --full forces a full reconcile
+ *   node src/index.js --dry-run --pair name [--plan-file plan.json]  Show (and optionally save) the plan without writing
+ *   node src/index.js apply plan.json                                Execute a saved plan if nothing drifted since
+ *   node src/index.js rollback <runId> [--pair name] [--dry-run]     Revert the writes of a previous run
+ *   node src/index.js users [--pair name]                            Show how board members are linked to Notion users
+ *   --allow-mass-delete                                              Allow deleting more than MAX_DELETE_RATIO of a side
  */
 async function main() {
   try {
+    const { values: options, positionals } = parseArgs({
+      options: {
+        'dry-run': { type: 'boolean', default: false },
+        'plan-file': { type: 'string' },
+        full: { type: 'boolean', default: false },
+        'allow-mass-delete': { type: 'boolean', default: config.deletion.allowMassDelete },
+        pair: { type: 'string' }
+      },
+      allowPositionals: true
+    });
+    const [command = 'sync', commandArg] = positionals;
+
     // Validate configuration
     logger.info('SyncNode - Trello ↔ Notion Bridge Starting...');
     validateConfig();
     logger.info('Configuration validated successfully');
 
-    // Initialize sync engine
-    const syncEngine = new SyncEngine();
+    let pairs = options.pair ? [getSyncPair(options.pair)] : loadSyncPairs();
+    let target = null;
 
-    // Perform synchronization
-    const startTime = Date.now();
-    const stats = await syncEngine.performSync();
-    const duration = Date.now() - startTime;
+    if (command === 'apply') {
+      if (!commandArg) {
+        throw new Error('Usage: node src/index.js apply <plan-file>');
+      }
+      const plan = await loadPlan(commandArg);
+      // A plan belongs to the pair it was made for
+      pairs = pairs.filter(pair => pair.boardId === plan.boardId && pair.databaseId === plan.databaseId);
+      if (pairs.length === 0) {
+        throw new Error('Sync plan does not match any configured board/database pair');
+      }
+      pairs = pairs.slice(0, 1);
+      target = plan;
+    } else if (command === 'rollback') {
+      if (!commandArg) {
+        throw new Error('Usage: node src/index.js rollback <runId> [--pair name]');
+      }
+      // Each pair has its own journal
+      if (pairs.length > 1) {
+        throw new Error('rollback needs a single pair - select one with --pair');
+      }
+      target = commandArg;
+    } else if (command === 'users') {
+      for (const pair of pairs) {
+        await printUsers(pair);
+      }
+      return;
+    } else if (command !== 'sync') {
+      throw new Error(`Unknown command "${command}" (expected "sync", "apply", "rollback" or "users")`);
+    }
 
-    // Log final results
-    logger.info('Sync process completed', {
-      duration: `${duration}ms`,
-      stats
-    });
+    if (options['plan-file'] && pairs.length > 1) {
+      throw new Error('--plan-file needs a single pair - select one with --pair');
+    }
 
-    // Log summary
-    console.log('\n=== SYNC SUMMARY ===');
-    console.log(`Duration: ${duration}ms`);
-    console.log(`Trello → Notion: ${stats.trelloToNotion.created} created, ${stats.trelloToNotion.updated} updated`);
-    console.log(`Notion → Trello: ${stats.notionToTrello.created} created, ${stats.notionToTrello.updated} updated`);
-    console.log(`Errors: ${stats.errors}`);
-    console.log('==================\n');
+    // Pairs run one after another; a failing pair is reported without stopping the rest
+    let failed = false;
+    for (const pair of pairs) {
+      try {
+        const stats = await runPair(pair, command, options, target);
+        failed = failed || stats.errors > 0;
+      } catch (error) {
+        failed = true;
+        logger.child(pair.name).error('Sync failed', { error: error.message });
+        console.error(`\nSync of pair "${pair.name}" failed:`, error.message);
+      }
+    }
 
-    if (stats.errors > 0) {
+    if (failed) {
       process.exit(1);
     }
 
   } catch (error) {
     logger.error('Application failed to start', error);
     console.error('\nApplication failed:', error.message);
-    
+
     if (error.message.includes('Missing required environment variables')) {
       console.error('\nPlease ensure you have created a .env file with all required variables.');
       console.error('See .env.example for the required format.');
     }
-    
+
     process.exit(1);
   }
 }
@@ -1,16 +1,135 @@
 import { Client } from '@notionhq/client';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { generateNotionPageUrl } from '../utils/mapping.js';
+import { getSharedScheduler } from '../utils/requestScheduler.js';
+import { isTransientError, parseRetryAfter } from '../utils/retry.js';
+
+// Block types whose children are part of synced page content
+const NESTED_BLOCK_TYPES = ['bulleted_list_item', 'numbered_list_item'];
+
+/**
+ * Decides whether a failed Notion request should be retried
+ * @param {Error} error - Notion client error
+ * @param {Object} options - Request options
+ * @param {boolean} options.idempotent - Whether repeating the request is safe
+ * @returns {Object} { retry, rateLimited, delay }
+ */
+function classifyNotionError(error, { idempotent }) {
+  switch (error.code) {
+    case 'rate_limited': {
+      const retryAfter = typeof error.headers?.get === 'function'
+        ? error.headers.get('retry-after')
+        : error.headers?.['retry-after'];
+      return { retry: true, rateLimited: true, delay: parseRetryAfter(retryAfter) };
+    }
+    case 'conflict_error':
+      // The conflicting write was not applied, so it is safe to try again
+      return { retry: true };
+    case 'internal_server_error':
+    case 'service_unavailable':
+    case 'notionhq_client_request_timeout':
+      return { retry: idempotent };
+    default:
+      return { retry: idempotent && ([502, 503, 504].includes(error.status) || isTransientError(error)) };
+  }
+}
 
 /**
  * Notion API service for managing database entries
  */
 class NotionService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.databaseId - Database to work on (defaults to NOTION_DATABASE_ID)
+   * @param {string} options.trelloIdProperty - Rich text property holding the linked Trello card ID
+   * @param {Object} options.logger - Logger to use, e.g. one tagged with the sync pair name
+   */
+  constructor({ databaseId = config.notion.databaseId, trelloIdProperty = 'Trello ID', logger: serviceLogger = logger } = {}) {
     this.client = new Client({
       auth: config.notion.apiKey
     });
-    this.databaseId = config.notion.databaseId;
+    this.databaseId = databaseId;
+    this.trelloIdProperty = trelloIdProperty;
+    this.logger = serviceLogger;
+    this.userNames = new Map(); // Names of comment authors, by user ID
+
+    // One scheduler per integration token, shared by every database it syncs
+    this.scheduler = getSharedScheduler(`notion:${config.notion.apiKey}`, {
+      name: 'Notion API',
+      concurrency: config.notion.concurrency,
+      rateLimit: config.notion.rateLimit,
+      maxRetries: config.notion.maxRetries,
+      baseDelay: config.notion.retryBaseDelay,
+      maxDelay: config.notion.retryMaxDelay,
+      classifyError: classifyNotionError
+    });
+    this.resetRequestStats();
+  }
+
+  /**
+   * Runs a Notion API call through the shared scheduler (rate limit, concurrency, retries)
+   * @param {string} label - Description for log messages
+   * @param {Function} call - () => Promise performing the API call
+   * @param {Object} options - Request options
+   * @param {boolean} options.idempotent - Whether the call may be repeated after an unknown outcome
+   * @returns {Promise<any>} API response
+   */
+  request(label, call, { idempotent = true } = {}) {
+    return this.scheduler.schedule(call, {
+      label,
+      idempotent,
+      stats: this.requestStats,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Resets the request counters
+   */
+  resetRequestStats() {
+    this.requestStats = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0
+    };
+  }
+
+  /**
+   * Gets the request counters since the last reset
+   * @returns {Object} { requests, retries, rateLimited }
+   */
+  getRequestStats() {
+    return { ...this.requestStats };
+  }
+
+  /**
+   * Queries the Notion database page by page, following next_cursor until has_more is false
+   * @param {Object} query - databases.query parameters such as filter and sorts
+   * @yields {Object} Notion database entries, one at a time
+   */
+  async *queryDatabase(query = {}) {
+    let cursor;
+
+    do {
+      const response = await this.request('databases.query', () => this.client.databases.query({
+        ...query,
+        database_id: this.databaseId,
+        page_size: 100, // Notion's maximum
+        start_cursor: cursor
+      }));
+
+      yield* response.results;
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+  }
+
+  /**
+   * Iterates over all entries of the Notion database as a stream
+   * @returns {AsyncGenerator<Object>} Notion database entries
+   */
+  iterateEntries() {
+    return this.queryDatabase();
   }
 
   /**
@@ -19,15 +138,68 @@ class NotionService {
    */
   async getEntries() {
     try {
-      logger.info('Fetching entries from Notion database');
-      const response = await this.client.databases.query({
-        database_id: this.databaseId
-      });
+      this.logger.info('Fetching entries from Notion database');
+      const entries = [];
+      for await (const entry of this.iterateEntries()) {
+        entries.push(entry);
+      }
       
-      logger.info(`Retrieved ${response.results.length} entries from Notion`);
-      return response.results;
+      this.logger.info(`Retrieved ${entries.length} entries from Notion`);
+      return entries;
     } catch (error) {
-      logger.error('Error fetching Notion entries', error);
+      this.logger.error('Error fetching Notion entries', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the entries edited at or after a point in time
+   * @param {string} since - ISO timestamp; Notion stores edit times rounded to the minute
+   * @returns {Promise<Array>} Edited Notion database entries
+   */
+  async getEntriesEditedSince(since) {
+    try {
+      this.logger.info(`Fetching Notion entries edited since ${since}`);
+      const entries = [];
+      const matches = this.queryDatabase({
+        filter: {
+          timestamp: 'last_edited_time',
+          last_edited_time: {
+            on_or_after: since
+          }
+        }
+      });
+
+      for await (const entry of matches) {
+        entries.push(entry);
+      }
+
+      this.logger.info(`Retrieved ${entries.length} edited entries from Notion`);
+      return entries;
+    } catch (error) {
+      this.logger.error('Error fetching edited Notion entries', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a single page
+   * @param {string} pageId - Page ID
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.includeArchived - Also return archived pages (check page.archived)
+   * @returns {Promise<Object|null>} Page, or null if it does not exist or is archived
+   */
+  async getPage(pageId, { includeArchived = false } = {}) {
+    try {
+      const page = await this.request(`pages.retrieve ${pageId}`, () => this.client.pages.retrieve({
+        page_id: pageId
+      }));
+      return page.archived && !includeArchived ? null : page;
+    } catch (error) {
+      if (error.code === 'object_not_found') {
+        return null;
+      }
+      this.logger.error(`Error retrieving Notion page ${pageId}`, error);
       throw error;
     }
   }
@@ -35,22 +207,29 @@ class NotionService {
   /**
    * Creates a new entry in the Notion database
    * @param {Object} properties - Entry properties
+   * @param {Array<Object>} children - Page content blocks
    * @returns {Promise<Object>} Created entry data
    */
-  async createEntry(properties) {
+  async createEntry(properties, children = []) {
     try {
-      logger.info('Creating new Notion entry', { title: properties['Priority Name']?.title?.[0]?.text?.content });
-      const response = await this.client.pages.create({
+      const titleProperty = Object.values(properties).find(property => property.title);
+      this.logger.info('Creating new Notion entry', { title: titleProperty?.title?.[0]?.text?.content });
+      // A create repeated after an unknown outcome could duplicate the page
+      const response = await this.request('pages.create', () => this.client.pages.create({
         parent: {
           database_id: this.databaseId
         },
         properties
-      });
+      }), { idempotent: false });
+
+      if (children.length > 0) {
+        await this.appendBlocks(response.id, children);
+      }
       
-      logger.info(`Created Notion entry with ID: ${response.id}`);
+      this.logger.info(`Created Notion entry with ID: ${response.id}`);
       return response;
     } catch (error) {
-      logger.error('Error creating Notion entry', error);
+      this.logger.error('Error creating Notion entry', error);
       throw error;
     }
   }
@@ -63,19 +242,19 @@ class NotionService {
    */
   async updateEntry(pageId, properties) {
     try {
-      logger.info(`Updating Notion entry ${pageId}`, { 
+      this.logger.info(`Updating Notion entry ${pageId}`, { 
         updates: Object.keys(properties) 
       });
       
-      const response = await this.client.pages.update({
+      const response = await this.request(`pages.update ${pageId}`, () => this.client.pages.update({
         page_id: pageId,
         properties
-      });
+      }));
       
-      logger.info(`Updated Notion entry ${pageId}`);
+      this.logger.info(`Updated Notion entry ${pageId}`);
       return response;
     } catch (error) {
-      logger.error(`Error updating Notion entry ${pageId}`, error);
+      this.logger.error(`Error updating Notion entry ${pageId}`, error);
       throw error;
     }
   }
@@ -87,19 +266,21 @@ class NotionService {
    */
   async findEntryByTrelloId(trelloId) {
     try {
-      const response = await this.client.databases.query({
-        database_id: this.databaseId,
+      const matches = this.queryDatabase({
         filter: {
-          property: 'Trello ID',
+          property: this.trelloIdProperty,
           rich_text: {
             equals: trelloId
           }
         }
       });
 
-      return response.results.length > 0 ? response.results[0] : null;
+      for await (const entry of matches) {
+        return entry;
+      }
+      return null;
     } catch (error) {
-      logger.error(`Error finding Notion entry by Trello ID ${trelloId}`, error);
+      this.logger.error(`Error finding Notion entry by Trello ID ${trelloId}`, error);
       throw error;
     }
   }
@@ -110,13 +291,78 @@ class NotionService {
    */
   async getDatabaseSchema() {
     try {
-      const response = await this.client.databases.retrieve({
+      const response = await this.request('databases.retrieve', () => this.client.databases.retrieve({
         database_id: this.databaseId
-      });
+      }));
       
       return response.properties;
     } catch (error) {
-      logger.error('Error retrieving database schema', error);
+      this.logger.error('Error retrieving database schema', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds options to a select or multi-select property of the database, skipping options it already has
+   * @param {string} propertyName - Property name
+   * @param {Array<Object>} options - Options to add ({ name, color })
+   * @returns {Promise<Array<Object>>} Options that were added
+   */
+  async addSelectOptions(propertyName, options) {
+    try {
+      const property = (await this.getDatabaseSchema())[propertyName];
+      if (!property) {
+        throw new Error(`Property "${propertyName}" not found in the Notion database`);
+      }
+
+      const existing = property[property.type].options || [];
+      const added = options.filter(option => !existing.some(candidate => candidate.name === option.name));
+      if (added.length > 0) {
+        this.logger.info(`Adding options to Notion property ${propertyName}`, { options: added.map(option => option.name) });
+        // The options sent replace the property's options, so the existing ones are sent too
+        await this.request(`databases.update ${this.databaseId}`, () => this.client.databases.update({
+          database_id: this.databaseId,
+          properties: {
+            [propertyName]: { [property.type]: { options: [...existing, ...added] } }
+          }
+        }));
+      }
+      return added;
+    } catch (error) {
+      this.logger.error(`Error adding options to Notion property ${propertyName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renames an option of a select or multi-select property of the database; pages with the option show the new name
+   * @param {string} propertyName - Property name
+   * @param {string} from - Current option name
+   * @param {string} to - New option name
+   * @returns {Promise<void>}
+   */
+  async renameSelectOption(propertyName, from, to) {
+    try {
+      const property = (await this.getDatabaseSchema())[propertyName];
+      const options = property?.[property.type]?.options || [];
+      const option = options.find(candidate => candidate.name === from);
+      if (!option) {
+        throw new Error(`Property "${propertyName}" has no option "${from}"`);
+      }
+      if (options.some(candidate => candidate.name === to)) {
+        throw new Error(`Property "${propertyName}" already has an option "${to}"`);
+      }
+
+      this.logger.info(`Renaming option "${from}" of Notion property ${propertyName} to "${to}"`);
+      // Options are matched by ID, so the renamed option keeps its pages
+      await this.request(`databases.update ${this.databaseId}`, () => this.client.databases.update({
+        database_id: this.databaseId,
+        properties: {
+          [propertyName]: { [property.type]: { options: options.map(candidate => (candidate.id === option.id ? { ...candidate, name: to } : candidate)) } }
+        }
+      }));
+    } catch (error) {
+      this.logger.error(`Error renaming option "${from}" of Notion property ${propertyName}`, error);
       throw error;
     }
   }
@@ -215,9 +461,7 @@ class NotionService {
    * @returns {string} Public Notion page URL
    */
   generateNotionPageUrl(pageId) {
-    // Remove dashes from page ID for URL
-    const cleanPageId = pageId.replace(/-/g, '');
-    return `https://www.notion.so/${cleanPageId}`;
+    return generateNotionPageUrl(pageId);
   }
 
   /**
@@ -226,19 +470,22 @@ class NotionService {
    */
   async findEntriesWithoutTrelloId() {
     try {
-      const response = await this.client.databases.query({
-        database_id: this.databaseId,
+      const entries = [];
+      const matches = this.queryDatabase({
         filter: {
-          property: 'Trello ID',
+          property: this.trelloIdProperty,
           rich_text: {
             is_empty: true
           }
         }
       });
 
-      return response.results;
+      for await (const entry of matches) {
+        entries.push(entry);
+      }
+      return entries;
     } catch (error) {
-      logger.error('Error finding entries without Trello ID', error);
+      this.logger.error('Error finding entries without Trello ID', error);
       throw error;
     }
   }
@@ -250,20 +497,269 @@ class NotionService {
    */
   async deletePage(pageId) {
     try {
-      logger.info(`Deleting Notion page ${pageId}`);
-      const response = await this.client.pages.update({
+      this.logger.info(`Deleting Notion page ${pageId}`);
+      const response = await this.request(`pages.update ${pageId}`, () => this.client.pages.update({
         page_id: pageId,
         archived: true
-      });
+      }));
       
-      logger.info(`Deleted Notion page ${pageId}`);
+      this.logger.info(`Deleted Notion page ${pageId}`);
       return response;
     } catch (error) {
-      logger.error(`Error deleting Notion page ${pageId}`, error);
+      this.logger.error(`Error deleting Notion page ${pageId}`, error);
       throw error;
     }
   }
 
+  /**
+   * Archives a Notion page that can later be restored (e.g. because its Trello card was archived)
+   * @param {string} pageId - Page ID to archive
+   * @returns {Promise<Object>} Archived page
+   */
+  async archivePage(pageId) {
+    try {
+      this.logger.info(`Archiving Notion page ${pageId}`);
+      return await this.request(`pages.update ${pageId}`, () => this.client.pages.update({
+        page_id: pageId,
+        archived: true
+      }));
+    } catch (error) {
+      this.logger.error(`Error archiving Notion page ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restores an archived Notion page
+   * @param {string} pageId - Page ID to restore
+   * @returns {Promise<Object>} Restored page
+   */
+  async restorePage(pageId) {
+    try {
+      this.logger.info(`Restoring Notion page ${pageId}`);
+      return await this.request(`pages.update ${pageId}`, () => this.client.pages.update({
+        page_id: pageId,
+        archived: false
+      }));
+    } catch (error) {
+      this.logger.error(`Error restoring Notion page ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the direct children of a page or block, following next_cursor until has_more is false
+   * @param {string} blockId - Page or block ID
+   * @returns {Promise<Array<Object>>} Child blocks
+   */
+  async listBlockChildren(blockId) {
+    const blocks = [];
+    let cursor;
+
+    do {
+      const response = await this.request(`blocks.children.list ${blockId}`, () => this.client.blocks.children.list({
+        block_id: blockId,
+        page_size: 100, // Notion's maximum
+        start_cursor: cursor
+      }));
+      blocks.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    return blocks;
+  }
+
+  /**
+   * Gets the content blocks of a page, with the children of list items under block[type].children
+   * @param {string} blockId - Page or block ID
+   * @returns {Promise<Array<Object>>} Blocks in page order
+   */
+  async getPageBlocks(blockId) {
+    try {
+      const blocks = await this.listBlockChildren(blockId);
+
+      // Only list items are nested in synced content; other children are left alone
+      for (const block of blocks) {
+        if (block.has_children && NESTED_BLOCK_TYPES.includes(block.type)) {
+          block[block.type].children = await this.getPageBlocks(block.id);
+        }
+      }
+
+      return blocks;
+    } catch (error) {
+      this.logger.error(`Error retrieving blocks of Notion page ${blockId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Appends blocks to a page or block, including nested children at any depth
+   * @param {string} blockId - Page or block ID
+   * @param {Array<Object>} blocks - Blocks to append, children under block[type].children
+   * @param {Object} options - Append options
+   * @param {string} [options.after] - Insert after this child block instead of at the end
+   * @returns {Promise<Array<Object>>} Created top-level blocks, in order
+   */
+  async appendBlocks(blockId, blocks, { after } = {}) {
+    const created = [];
+    let previous = after;
+
+    // Notion accepts 100 blocks and two levels of nesting per request, so children are appended separately
+    for (let start = 0; start < blocks.length; start += 100) {
+      const chunk = blocks.slice(start, start + 100);
+      const response = await this.request(`blocks.children.append ${blockId}`, () => this.client.blocks.children.append({
+        block_id: blockId,
+        children: chunk.map(block => {
+          const { children, ...content } = block[block.type];
+          return { ...block, [block.type]: content };
+        }),
+        ...(previous ? { after: previous } : {})
+      }), { idempotent: false });
+
+      // With "after", the response can also list the blocks that were already below the new ones
+      const results = response.results.slice(0, chunk.length);
+      for (const [index, block] of chunk.entries()) {
+        const children = block[block.type].children;
+        if (children?.length > 0) {
+          await this.appendBlocks(results[index].id, children);
+        }
+      }
+
+      created.push(...results);
+      previous = previous ? results[results.length - 1].id : undefined;
+    }
+
+    return created;
+  }
+
+  /**
+   * Replaces some of a page's blocks with new ones, which take the place of the first replaced block
+   * (or go to the end of the page if there was none)
+   * @param {string} pageId - Page ID
+   * @param {Array<string>} blockIds - Top-level blocks to remove
+   * @param {Array<Object>} blocks - New blocks
+   * @returns {Promise<void>}
+   */
+  async replaceBlocks(pageId, blockIds, blocks) {
+    try {
+      this.logger.info(`Replacing content of Notion page ${pageId}`, { removed: blockIds.length, added: blocks.length });
+
+      await this.appendBlocks(pageId, blocks, { after: blockIds[0] });
+      for (const blockId of blockIds) {
+        await this.deleteBlock(blockId);
+      }
+    } catch (error) {
+      this.logger.error(`Error replacing content of Notion page ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the content of a block, e.g. the text or checked state of a to-do
+   * @param {Object} block - Block with its id, type and new type-specific content
+   * @returns {Promise<Object>} Updated block
+   */
+  async updateBlock(block) {
+    return await this.request(`blocks.update ${block.id}`, () => this.client.blocks.update({
+      block_id: block.id,
+      [block.type]: block[block.type]
+    }));
+  }
+
+  /**
+   * Deletes (archives) a block
+   * @param {string} blockId - Block ID
+   * @returns {Promise<Object>} Deleted block
+   */
+  async deleteBlock(blockId) {
+    return await this.request(`blocks.delete ${blockId}`, () => this.client.blocks.delete({ block_id: blockId }));
+  }
+
+  /**
+   * Gets the comments on a page, following next_cursor until has_more is false
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Array<Object>>} Comment objects, oldest first
+   */
+  async getComments(pageId) {
+    try {
+      const comments = [];
+      let cursor;
+
+      do {
+        const response = await this.request(`comments.list ${pageId}`, () => this.client.comments.list({
+          block_id: pageId,
+          page_size: 100, // Notion's maximum
+          start_cursor: cursor
+        }));
+        comments.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+
+      return comments;
+    } catch (error) {
+      this.logger.error(`Error retrieving comments of Notion page ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a comment to a page
+   * @param {string} pageId - Page ID
+   * @param {Array<Object>} richText - Comment text as Notion rich text
+   * @returns {Promise<Object>} Created comment
+   */
+  async createComment(pageId, richText) {
+    return await this.request(`comments.create ${pageId}`, () => this.client.comments.create({
+      parent: { page_id: pageId },
+      rich_text: richText
+    }), { idempotent: false });
+  }
+
+  /**
+   * Lists the people of the workspace (bots left out), following next_cursor until has_more is false
+   * @returns {Promise<Array<Object>>} Notion users ({ id, name, person: { email } })
+   */
+  async listUsers() {
+    try {
+      const users = [];
+      let cursor;
+
+      do {
+        const response = await this.request('users.list', () => this.client.users.list({
+          page_size: 100, // Notion's maximum
+          start_cursor: cursor
+        }));
+        users.push(...response.results.filter(user => user.type === 'person'));
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+
+      return users;
+    } catch (error) {
+      // Listing users needs the "Read user information including email addresses" capability
+      this.logger.error('Error listing Notion users', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the name of a Notion user (cached), e.g. to credit the author of a comment
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} User name, or null if the integration cannot read it
+   */
+  async getUserName(userId) {
+    if (!this.userNames.has(userId)) {
+      try {
+        const user = await this.request(`users.retrieve ${userId}`, () => this.client.users.retrieve({ user_id: userId }));
+        this.userNames.set(userId, user.name || null);
+      } catch (error) {
+        // Reading users needs the "Read user information" capability
+        this.logger.warn(`Could not read Notion user ${userId}: ${error.message}`);
+        this.userNames.set(userId, null);
+      }
+    }
+    return this.userNames.get(userId);
+  }
+
   /**
    * Extracts the value from a Notion checkbox property
    * @param {Object} checkboxProperty - Notion checkbox property
@@ -4,28 +4,72 @@ import { fileURLToPath } from 'url';
 import PollingStrategy from '../strategies/pollingStrategy.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/config.js';
+import { loadSyncPairs } from '../config/syncPairs.js';
+import { loadFieldMapping } from '../config/fieldMapping.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
  * Sync service that monitors Trello for changes and triggers full sync
- * Uses configurable polling interval from environment settings
+ * Every configured board/database pair is polled on its own interval and
+ * synced in its own child process, so one failing pair never blocks the others.
+ * The pairs share the API keys, but each process keeps its own rate limits, so
+ * only one pair syncs at a time.
  */
 class SyncService {
   constructor() {
-    // Use the configured polling interval from config
-    this.pollingStrategy = new PollingStrategy(config.sync.pollInterval);
+    this.pairs = loadSyncPairs().map(pair => this.createPairWorker(pair));
     this.isRunning = false;
-    this.isSyncing = false;
     
     logger.info('SyncService initialized', {
-      pollInterval: `${config.sync.pollInterval / 1000}s`,
+      pairs: this.pairs.map(worker => `${worker.pair.name} (${worker.pair.pollInterval / 1000}s)`),
       minInterval: `${config.sync.minPollInterval / 1000}s`,
       maxInterval: `${config.sync.maxPollInterval / 60000}m`
     });
   }
 
+  /**
+   * Creates the polling and bookkeeping state for one sync pair
+   * @param {Object} pair - Sync pair
+   * @returns {Object} Pair worker
+   */
+  createPairWorker(pair) {
+    const pairLogger = logger.child(pair.name);
+
+    return {
+      pair,
+      logger: pairLogger,
+      pollingStrategy: this.createPollingStrategy(pair, pair.pollInterval, pairLogger),
+      isSyncing: false,
+      stats: {
+        syncs: 0,
+        failures: 0,
+        lastSyncAt: null,
+        lastError: null,
+        lastSummary: null
+      }
+    };
+  }
+
+  /**
+   * Creates the poller watching a pair's board
+   * @param {Object} pair - Sync pair
+   * @param {number} interval - Poll interval in milliseconds
+   * @param {Object} pairLogger - Logger tagged with the pair name
+   * @returns {PollingStrategy} Polling strategy
+   */
+  createPollingStrategy(pair, interval, pairLogger) {
+    const mapping = loadFieldMapping(pair.mappingFile || undefined);
+    return new PollingStrategy(interval, {
+      boardId: pair.boardId,
+      journalFile: pair.journalFile,
+      watchComments: mapping.comments !== 'off',
+      watchListRenames: mapping.fields.some(field => field.trello.source === 'list'),
+      logger: pairLogger
+    });
+  }
+
   /**
    * Start the synchronization service
    * @returns {Promise<void>}
@@ -36,22 +80,31 @@ class SyncService {
       return;
     }
 
-    try {
-      logger.info('Starting sync service', {
-        pollInterval: `${config.sync.pollInterval / 1000} seconds`,
-        boardId: config.trello.boardId
-      });
-      
-      // Start polling for changes
-      await this.pollingStrategy.startPolling(this.handleChanges.bind(this));
-      
-      this.isRunning = true;
-      logger.info('Sync service started successfully');
-      
-    } catch (error) {
-      logger.error('Failed to start sync service', error);
+    let started = 0;
+    for (const worker of this.pairs) {
+      try {
+        worker.logger.info('Starting sync pair', {
+          pollInterval: `${worker.pair.pollInterval / 1000} seconds`,
+          boardId: worker.pair.boardId,
+          databaseId: worker.pair.databaseId
+        });
+
+        // Start polling for changes
+        await worker.pollingStrategy.startPolling(changeData => this.handleChanges(worker, changeData));
+        started++;
+      } catch (error) {
+        worker.logger.error('Failed to start sync pair', { error: error.message });
+      }
+    }
+
+    if (started === 0) {
+      const error = new Error('No sync pair could be started');
+      logger.error('Failed to start sync service', { error: error.message });
       throw error;
     }
+
+    this.isRunning = true;
+    logger.info(`Sync service started successfully (${started}/${this.pairs.length} pairs)`);
   }
 
   /**
@@ -63,83 +116,110 @@ class SyncService {
       return;
     }
 
-    try {
-      this.pollingStrategy.stopPolling();
-      this.isRunning = false;
-      logger.info('Sync service stopped');
-    } catch (error) {
-      logger.error('Error stopping sync service', error);
-    }
+    this.pairs.forEach(worker => {
+      try {
+        worker.pollingStrategy.stopPolling();
+      } catch (error) {
+        worker.logger.error('Error stopping sync pair', { error: error.message });
+      }
+    });
+    this.isRunning = false;
+    logger.info('Sync service stopped');
   }
 
   /**
-   * Handle detected changes by running full sync
+   * Handle detected changes by running full sync of the pair
+   * @param {Object} worker - Pair worker the changes were detected for
    * @param {Object} changeData - Information about detected changes
    * @returns {Promise<void>}
    */
-  async handleChanges(changeData) {
-    if (this.isSyncing) {
-      logger.info('Sync already in progress, skipping this cycle', {
+  async handleChanges(worker, changeData) {
+    if (worker.isSyncing) {
+      worker.logger.info('Sync already in progress, skipping this cycle', {
         pendingChanges: changeData.changesDetected
       });
       return;
     }
 
     try {
-      this.isSyncing = true;
+      worker.isSyncing = true;
       
-      logger.info('Changes detected, triggering full sync', {
+      worker.logger.info('Changes detected, triggering full sync', {
         changesDetected: changeData.changesDetected,
         actionTypes: changeData.actions.map(a => a.type),
         lastSyncTime: changeData.lastSyncTime
       });
 
       const syncStartTime = Date.now();
-      await this.runFullSync();
+      await this.runFullSync(worker);
       const syncDuration = Date.now() - syncStartTime;
+
+      worker.stats.syncs++;
+      worker.stats.lastSyncAt = new Date();
+      worker.stats.lastError = null;
       
-      logger.info('Full sync completed successfully', {
+      worker.logger.info('Full sync completed successfully', {
         duration: `${syncDuration}ms`,
         changesProcessed: changeData.changesDetected
       });
 
     } catch (error) {
-      logger.error('Full sync failed', error);
+      worker.stats.failures++;
+      worker.stats.lastError = error.message;
+      worker.logger.error('Full sync failed', { error: error.message });
       
       // Optional: Implement retry logic with exponential backoff
-      await this.handleSyncFailure(error);
+      await this.handleSyncFailure(worker, error);
       
     } finally {
-      this.isSyncing = false;
+      worker.isSyncing = false;
     }
   }
 
   /**
    * Handle sync failure with retry logic
+   * @param {Object} worker - Pair worker whose sync failed
    * @param {Error} error - The sync error
    * @returns {Promise<void>}
    */
-  async handleSyncFailure(error) {
-    logger.warn('Implementing retry delay after sync failure', {
+  async handleSyncFailure(worker, error) {
+    worker.logger.warn('Implementing retry delay after sync failure', {
       retryDelay: config.sync.retryDelay,
       error: error.message
     });
     
-    // Wait before allowing next sync attempt
+    // Wait before allowing next sync attempt of this pair
     await new Promise(resolve => setTimeout(resolve, config.sync.retryDelay));
   }
 
   /**
-   * Run the main index.js sync process as child process
+   * Run the main index.js sync process for one pair as child process, once the
+   * syncs of other pairs that are running or waiting have finished
+   * @param {Object} worker - Pair worker to sync
    * @returns {Promise<void>}
    */
-  async runFullSync() {
+  async runFullSync(worker) {
+    if (this.pairs.some(other => other !== worker && other.isSyncing)) {
+      worker.logger.info('Waiting for the sync of another pair to finish');
+    }
+    this.syncQueue = (this.syncQueue || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.spawnSyncProcess(worker));
+    return this.syncQueue;
+  }
+
+  /**
+   * Spawns the index.js sync process for one pair
+   * @param {Object} worker - Pair worker to sync
+   * @returns {Promise<void>} Resolves when the process exits successfully
+   */
+  spawnSyncProcess(worker) {
     return new Promise((resolve, reject) => {
       const indexPath = path.resolve(__dirname, '../index.js');
       
-      logger.debug('Spawning sync process', { indexPath });
+      worker.logger.debug('Spawning sync process', { indexPath });
       
-      const syncProcess = spawn('node', [indexPath], {
+      const syncProcess = spawn('node', [indexPath, '--pair', worker.pair.name], {
         stdio: ['inherit', 'pipe', 'pipe'],
         env: {
           ...process.env,
@@ -162,13 +242,13 @@ class SyncService {
 
       syncProcess.on('close', (code) => {
         if (code === 0) {
-          logger.info('Sync process completed successfully');
+          worker.logger.info('Sync process completed successfully');
           
           // Extract and display sync summary
-          this.displaySyncSummary(stdout);
+          worker.stats.lastSummary = this.displaySyncSummary(stdout);
           resolve();
         } else {
-          logger.error('Sync process failed', { 
+          worker.logger.error('Sync process failed', { 
             exitCode: code, 
             stderr: stderr.trim(),
             stdout: stdout.trim()
@@ -178,7 +258,7 @@ class SyncService {
       });
 
       syncProcess.on('error', (error) => {
-        logger.error('Failed to spawn sync process', error);
+        worker.logger.error('Failed to spawn sync process', { error: error.message });
         reject(error);
       });
     });
@@ -187,46 +267,59 @@ class SyncService {
   /**
    * Extract and display sync summary from stdout
    * @param {string} stdout - Process output
+   * @returns {string|null} Summary text, if found
    */
   displaySyncSummary(stdout) {
     if (stdout.includes('SYNC SUMMARY')) {
       const summaryStart = stdout.indexOf('=== SYNC SUMMARY ===');
-      const summaryEnd = stdout.indexOf('==================');
+      const summaryEnd = stdout.indexOf('==================', summaryStart + 1);
       
       if (summaryStart !== -1 && summaryEnd !== -1) {
         const summary = stdout.substring(summaryStart, summaryEnd + 18);
         console.log('\n' + summary);
+        return summary;
       }
     }
+    return null;
   }
 
   /**
    * Update polling interval dynamically
    * @param {number} newInterval - New interval in milliseconds
+   * @param {string|null} pairName - Pair to update; all pairs when omitted
    * @returns {Promise<void>}
    */
-  async updatePollInterval(newInterval) {
+  async updatePollInterval(newInterval, pairName = null) {
     // Validate new interval
     if (newInterval < config.sync.minPollInterval || newInterval > config.sync.maxPollInterval) {
       throw new Error(`Poll interval must be between ${config.sync.minPollInterval}ms and ${config.sync.maxPollInterval}ms`);
     }
 
-    const wasRunning = this.isRunning;
-    
-    if (wasRunning) {
-      this.stop();
+    const workers = this.pairs.filter(worker => !pairName || worker.pair.name === pairName);
+    if (workers.length === 0) {
+      throw new Error(`Unknown sync pair "${pairName}"`);
     }
-    
-    // Update the polling strategy with new interval
-    this.pollingStrategy = new PollingStrategy(newInterval);
-    
-    logger.info('Poll interval updated', {
-      oldInterval: `${config.sync.pollInterval / 1000}s`,
-      newInterval: `${newInterval / 1000}s`
-    });
-    
-    if (wasRunning) {
-      await this.start();
+
+    for (const worker of workers) {
+      const oldInterval = worker.pair.pollInterval;
+      const wasPolling = worker.pollingStrategy.isRunning;
+
+      if (wasPolling) {
+        worker.pollingStrategy.stopPolling();
+      }
+
+      // Update the polling strategy with new interval
+      worker.pair = { ...worker.pair, pollInterval: newInterval };
+      worker.pollingStrategy = this.createPollingStrategy(worker.pair, newInterval, worker.logger);
+
+      worker.logger.info('Poll interval updated', {
+        oldInterval: `${oldInterval / 1000}s`,
+        newInterval: `${newInterval / 1000}s`
+      });
+
+      if (wasPolling) {
+        await worker.pollingStrategy.startPolling(changeData => this.handleChanges(worker, changeData));
+      }
     }
   }
 
@@ -237,15 +330,21 @@ class SyncService {
   getStatus() {
     return {
       isRunning: this.isRunning,
-      isSyncing: this.isSyncing,
+      isSyncing: this.pairs.some(worker => worker.isSyncing),
       configuration: {
-        pollInterval: config.sync.pollInterval,
-        pollIntervalSeconds: config.sync.pollInterval / 1000,
         minInterval: config.sync.minPollInterval,
         maxInterval: config.sync.maxPollInterval,
         retryDelay: config.sync.retryDelay
       },
-      polling: this.pollingStrategy.getStatus(),
+      pairs: this.pairs.map(worker => ({
+        name: worker.pair.name,
+        boardId: worker.pair.boardId,
+        databaseId: worker.pair.databaseId,
+        pollInterval: worker.pair.pollInterval,
+        isSyncing: worker.isSyncing,
+        stats: { ...worker.stats },
+        polling: worker.pollingStrategy.getStatus()
+      })),
       environment: {
         nodeEnv: process.env.NODE_ENV || 'development',
         logLevel: config.logging.level
@@ -254,4 +353,4 @@ class SyncService {
   }
 }
 
-export default SyncService;
\ No newline at end of file
+export default SyncService;
@@ -1,161 +1,175 @@
 import axios from 'axios';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { getSharedBucket, sleep } from '../utils/rateLimiter.js';
+import { isIdempotent, isTransientError, parseRetryAfter, backoffDelay } from '../utils/retry.js';
+import { parseDuplicateRules, applyDuplicateRules } from '../utils/duplicates.js';
 
 /**
  * Trello API service for managing cards and custom fields
  */
 class TrelloService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.boardId - Board to work on (defaults to TRELLO_BOARD_ID)
+   * @param {Object} options.logger - Logger to use, e.g. one tagged with the sync pair name
+   * @param {Object} options.duplicates - Duplicate card rules ({ groupBy, prefer }, see utils/duplicates.js)
+   */
+  constructor({ boardId = config.trello.boardId, logger: serviceLogger = logger, duplicates = config.trello.duplicates } = {}) {
     this.baseUrl = config.trello.baseUrl;
     this.apiKey = config.trello.apiKey;
     this.token = config.trello.token;
-    this.boardId = config.trello.boardId;
+    this.boardId = boardId;
+    this.logger = serviceLogger;
+    this.duplicateRules = parseDuplicateRules(duplicates);
+    this.skippedDuplicates = [];
+    this.optionLookups = new Map(); // Dropdown option lookups in flight, by custom field ID and option name
+
+    // Buckets are shared by every service using the same key/token in this process
+    this.keyBucket = getSharedBucket(`trello-key:${this.apiKey}`, config.trello.rateLimits.perKey);
+    this.tokenBucket = getSharedBucket(`trello-token:${this.token}`, config.trello.rateLimits.perToken);
+    this.resetRequestStats();
+  }
+
+  /**
+   * Resets the request counters
+   */
+  resetRequestStats() {
+    this.requestStats = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0
+    };
+  }
+
+  /**
+   * Gets the request counters since the last reset
+   * @returns {Object} { requests, retries, rateLimited }
+   */
+  getRequestStats() {
+    return { ...this.requestStats };
   }
 
   /**
-   * Makes authenticated request to Trello API
+   * Makes authenticated request to Trello API, waiting for rate limit capacity first.
+   * 429 responses are retried after Retry-After; transient failures of idempotent
+   * requests are retried with jittered exponential backoff.
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Axios options
    * @returns {Promise<any>} API response data
    */
   async makeRequest(endpoint, options = {}) {
-    try {
-      const url = `${this.baseUrl}${endpoint}`;
-      
-      // Ensure authentication parameters are always included
-      const params = {
-        key: this.apiKey,
-        token: this.token,
-        ...options.params
-      };
-
-      const requestConfig = {
-        method: options.method || 'GET',
-        url,
-        params,
-        ...options
-      };
-
-      // Remove params from options to avoid duplication
-      delete requestConfig.params;
-      
-      const response = await axios({
-        ...requestConfig,
-        params
-      });
-      
-      return response.data;
-    } catch (error) {
-      logger.error(`Trello API error: ${error.message}`, { 
-        endpoint, 
-        error: error.response?.data,
-        status: error.response?.status
-      });
-      throw error;
+    const url = `${this.baseUrl}${endpoint}`;
+    const method = (options.method || 'GET').toUpperCase();
+
+    // Ensure authentication parameters are always included
+    const params = {
+      key: this.apiKey,
+      token: this.token,
+      ...options.params
+    };
+
+    const requestConfig = {
+      method,
+      url,
+      ...options
+    };
+
+    // Remove params from options to avoid duplication
+    delete requestConfig.params;
+
+    for (let attempt = 0; ; attempt++) {
+      await Promise.all([this.keyBucket.take(), this.tokenBucket.take()]);
+      this.requestStats.requests++;
+
+      try {
+        const response = await axios({
+          ...requestConfig,
+          params
+        });
+
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        // A rate-limited request was not processed, so it is safe to repeat whatever the method
+        const retryable = status === 429 || (isIdempotent(method) && isTransientError(error));
+
+        if (retryable && attempt < config.trello.maxRetries) {
+          const retryAfter = status === 429 ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+          const delay = retryAfter ?? backoffDelay(attempt, {
+            baseDelay: config.trello.retryBaseDelay,
+            maxDelay: config.trello.retryMaxDelay
+          });
+
+          this.requestStats.retries++;
+          if (status === 429) {
+            this.requestStats.rateLimited++;
+          }
+          this.logger.warn(`Trello API ${status || error.code} on ${method} ${endpoint} - retrying in ${delay}ms (${attempt + 1}/${config.trello.maxRetries})`);
+          await sleep(delay);
+          continue;
+        }
+
+        this.logger.error(`Trello API error: ${error.message}`, { 
+          endpoint, 
+          error: error.response?.data,
+          status
+        });
+        throw error;
+      }
     }
   }
 
   /**
-   * Gets all cards from the configured board, filtering out known duplicates
+   * Gets the open cards of the configured board, skipping duplicates according to the duplicate rules
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.includeClosed - Also return archived cards (never skipped as duplicates)
+   * @param {boolean} options.includeChecklists - Include each card's checklists and their items
+   * @param {boolean} options.includeAttachments - Include each card's attachments
    * @returns {Promise<Array>} Array of Trello cards
    */
-  async getCards() {
-    logger.info('Fetching cards from Trello board');
+  async getCards({ includeClosed = false, includeChecklists = false, includeAttachments = false } = {}) {
+    this.logger.info('Fetching cards from Trello board');
     const cards = await this.makeRequest(`/boards/${this.boardId}/cards`, {
       params: {
         customFieldItems: 'true',
-        filter: 'open' // Only get open (non-archived) cards
+        filter: includeClosed ? 'all' : 'open', // Archived cards only when archive state is synced
+        ...(includeChecklists ? { checklists: 'all' } : {}),
+        ...(includeAttachments ? { attachments: 'true', attachment_fields: 'name,url,isUpload' } : {})
       }
     });
-    
-    // Apply aggressive filtering to remove duplicate cards
-    const filteredCards = this.removeProblematicCards(cards);
-    
-    logger.info(`Retrieved ${cards.length} cards from Trello (${filteredCards.length} after removing duplicates)`);
-    return filteredCards;
+    const openCards = cards.filter(card => !card.closed);
+    const closedCount = cards.length - openCards.length;
+
+    if (this.duplicateRules.groupBy === 'off') {
+      this.skippedDuplicates = [];
+      this.logger.info(`Retrieved ${cards.length} cards from Trello${includeClosed ? ` (${closedCount} archived)` : ''}`);
+      return cards;
+    }
+
+    // List preferences may name lists, so resolve list names when any are configured
+    const needsLists = this.duplicateRules.prefer.some(preference => preference.list);
+    const listIdToNameMap = needsLists
+      ? Object.fromEntries((await this.getLists()).map(list => [list.id, list.name]))
+      : {};
+
+    const { kept, skipped } = applyDuplicateRules(openCards, this.duplicateRules, listIdToNameMap);
+    this.skippedDuplicates = skipped;
+    skipped.forEach(card => {
+      this.logger.warn(`Skipping duplicate card "${card.name}" (${card.id}${card.listName ? ` in ${card.listName}` : ''}): ${card.reason}`);
+    });
+
+    this.logger.info(`Retrieved ${cards.length} cards from Trello (${skipped.length} duplicates skipped${includeClosed ? `, ${closedCount} archived` : ''})`);
+    const keptIds = new Set(kept.map(card => card.id));
+    return cards.filter(card => card.closed || keptIds.has(card.id));
   }
 
   /**
-   * Removes problematic duplicate cards based on ID patterns and creation dates
-   * @param {Array} cards - Array of Trello cards
-   * @returns {Array} Filtered array with problematic cards removed
+   * Gets the duplicate cards skipped by the last getCards call
+   * @returns {Array<Object>} Skipped cards ({ id, name, listId, listName, keptId, reason })
    */
-  removeProblematicCards(cards) {
-    logger.info('Applying aggressive duplicate filtering...');
-    
-    // First, group cards by name
-    const cardsByName = {};
-    cards.forEach(card => {
-      const name = card.name.trim();
-      if (!cardsByName[name]) {
-        cardsByName[name] = [];
-      }
-      cardsByName[name].push(card);
-    });
-    
-    const keptCards = [];
-    const removedCards = [];
-    
-    Object.entries(cardsByName).forEach(([cardName, duplicateCards]) => {
-      if (duplicateCards.length === 1) {
-        // No duplicates, keep the card
-        keptCards.push(duplicateCards[0]);
-      } else {
-        // Multiple cards with same name - apply filtering logic
-        
-        // Sort by creation date (dateLastActivity as proxy)
-        duplicateCards.sort((a, b) => new Date(a.dateLastActivity) - new Date(b.dateLastActivity));
-        
-        // Strategy 1: Prefer cards NOT in "Content / Curriculum" list (686df2204803664e4331f70d)
-        const nonContentCurriculumCards = duplicateCards.filter(card => 
-          card.idList !== '686df2204803664e4331f70d'
-        );
-        
-        // Strategy 2: Prefer cards with older ID prefixes (686df, 687f vs 688bc)
-        const originalCards = duplicateCards.filter(card => 
-          !card.id.startsWith('688bc')
-        );
-        
-        let cardToKeep;
-        
-        if (nonContentCurriculumCards.length > 0) {
-          // Keep the oldest card that's NOT in Content/Curriculum
-          cardToKeep = nonContentCurriculumCards[0];
-          logger.debug(`Keeping "${cardName}" from outside Content/Curriculum list`);
-        } else if (originalCards.length > 0) {
-          // Keep the oldest card that doesn't have the problematic ID prefix
-          cardToKeep = originalCards[0];
-          logger.debug(`Keeping "${cardName}" with original ID prefix`);
-        } else {
-          // Fallback: keep the oldest card
-          cardToKeep = duplicateCards[0];
-          logger.debug(`Keeping oldest "${cardName}" as fallback`);
-        }
-        
-        keptCards.push(cardToKeep);
-        
-        // Track removed cards for logging
-        duplicateCards.forEach(card => {
-          if (card.id !== cardToKeep.id) {
-            removedCards.push({
-              name: card.name,
-              id: card.id,
-              list: card.idList
-            });
-          }
-        });
-      }
-    });
-    
-    if (removedCards.length > 0) {
-      logger.info(`Filtered out ${removedCards.length} duplicate cards:`);
-      removedCards.forEach(card => {
-        logger.info(`  - "${card.name}" (${card.id})`);
-      });
-    }
-    
-    return keptCards;
+  getSkippedDuplicates() {
+    return this.skippedDuplicates;
   }
 
   /**
@@ -163,7 +177,7 @@ class TrelloService {
    * @returns {Promise<Array>} Array of Trello cards
    */
   async getAllCards() {
-    logger.info('Fetching all cards from Trello board');
+    this.logger.info('Fetching all cards from Trello board');
     const cards = await this.makeRequest(`/boards/${this.boardId}/cards`, {
       params: {
         customFieldItems: 'true',
@@ -171,7 +185,7 @@ class TrelloService {
         fields: 'all'
       }
     });
-    logger.info(`Retrieved ${cards.length} cards from Trello`);
+    this.logger.info(`Retrieved ${cards.length} cards from Trello`);
     return cards;
   }
 
@@ -180,7 +194,7 @@ class TrelloService {
    * @returns {Promise<Array>} Array of board lists
    */
   async getBoardLists() {
-    logger.info('Fetching lists from Trello board');
+    this.logger.info('Fetching lists from Trello board');
     return await this.makeRequest(`/boards/${this.boardId}/lists`);
   }
 
@@ -197,11 +211,55 @@ class TrelloService {
    * @returns {Promise<Array>} Array of custom field definitions
    */
   async getCustomFields() {
-    logger.info('Fetching custom fields from Trello board');
+    this.logger.info('Fetching custom fields from Trello board');
     const customFields = await this.makeRequest(`/boards/${this.boardId}/customFields`);
     return customFields;
   }
 
+  /**
+   * Gets label definitions for the board
+   * @returns {Promise<Array>} Array of board labels
+   */
+  async getBoardLabels() {
+    this.logger.info('Fetching labels from Trello board');
+    return await this.makeRequest(`/boards/${this.boardId}/labels`);
+  }
+
+  /**
+   * Gets the members of the board
+   * @returns {Promise<Array>} Array of board members ({ id, username, fullName })
+   */
+  async getBoardMembers() {
+    this.logger.info('Fetching members of Trello board');
+    return await this.makeRequest(`/boards/${this.boardId}/members`, {
+      // Trello only shares the email of some members (e.g. the token's own account)
+      params: { fields: 'username,fullName,email' }
+    });
+  }
+
+  /**
+   * Gets board actions (most recent first)
+   * @param {Object} params - Query params such as filter, since and limit
+   * @returns {Promise<Array>} Array of board actions
+   */
+  async getBoardActions(params = {}) {
+    this.logger.debug('Fetching actions from Trello board', params);
+    return await this.makeRequest(`/boards/${this.boardId}/actions`, { params });
+  }
+
+  /**
+   * Gets the ID of the Trello member the token belongs to (cached)
+   * @returns {Promise<string>} Member ID
+   */
+  async getMemberId() {
+    if (!this.memberId) {
+      const member = await this.makeRequest('/members/me', { params: { fields: 'id,username' } });
+      this.memberId = member.id;
+      this.logger.debug(`Trello token belongs to member ${member.username} (${member.id})`);
+    }
+    return this.memberId;
+  }
+
   /**
    * Updates a Trello card
    * @param {string} cardId - Card ID to update
@@ -209,10 +267,11 @@ class TrelloService {
    * @returns {Promise<Object>} Updated card data
    */
   async updateCard(cardId, updates) {
-    logger.info(`Updating Trello card ${cardId}`, updates);
+    this.logger.info(`Updating Trello card ${cardId}`, updates);
     return await this.makeRequest(`/cards/${cardId}`, {
       method: 'PUT',
-      params: updates
+      // Sent in the body: descriptions hold whole page bodies, too long for a URL; null clears a value (e.g. a due date)
+      data: updates
     });
   }
 
@@ -224,7 +283,7 @@ class TrelloService {
    * @returns {Promise<Object>} Update result
    */
   async updateCustomField(cardId, customFieldId, value) {
-    logger.debug(`Updating custom field ${customFieldId} on card ${cardId} to ${value}`);
+    this.logger.debug(`Updating custom field ${customFieldId} on card ${cardId} to ${value}`);
     return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
       method: 'PUT',
       data: {
@@ -235,6 +294,23 @@ class TrelloService {
     });
   }
 
+  /**
+   * Clears a custom field value on a card
+   * @param {string} cardId - Card ID
+   * @param {string} customFieldId - Custom field ID
+   * @returns {Promise<Object>} Update result
+   */
+  async clearCustomField(cardId, customFieldId) {
+    this.logger.debug(`Clearing custom field ${customFieldId} on card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
+      method: 'PUT',
+      data: {
+        value: '',
+        idValue: '' // Dropdown fields are cleared through their option ID
+      }
+    });
+  }
+
   /**
    * Updates a text custom field on a card
    * @param {string} cardId - Card ID
@@ -243,7 +319,7 @@ class TrelloService {
    * @returns {Promise<Object>} Update result
    */
   async updateTextCustomField(cardId, customFieldId, value) {
-    logger.debug(`Updating text custom field ${customFieldId} on card ${cardId} to ${value}`);
+    this.logger.debug(`Updating text custom field ${customFieldId} on card ${cardId} to ${value}`);
     return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
       method: 'PUT',
       data: {
@@ -262,7 +338,7 @@ class TrelloService {
    * @returns {Promise<Object>} Update result
    */
   async updateCheckboxCustomField(cardId, customFieldId, checked) {
-    logger.debug(`Updating checkbox custom field ${customFieldId} on card ${cardId} to ${checked}`);
+    this.logger.debug(`Updating checkbox custom field ${customFieldId} on card ${cardId} to ${checked}`);
     return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
       method: 'PUT',
       data: {
@@ -273,6 +349,89 @@ class TrelloService {
     });
   }
 
+  /**
+   * Updates a date custom field on a card
+   * @param {string} cardId - Card ID
+   * @param {string} customFieldId - Custom field ID
+   * @param {string} date - ISO timestamp
+   * @returns {Promise<Object>} Update result
+   */
+  async updateDateCustomField(cardId, customFieldId, date) {
+    this.logger.debug(`Updating date custom field ${customFieldId} on card ${cardId} to ${date}`);
+    return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
+      method: 'PUT',
+      data: {
+        value: {
+          date
+        }
+      }
+    });
+  }
+
+  /**
+   * Updates a dropdown custom field on a card, creating the option if the field does not have it yet
+   * @param {string} cardId - Card ID
+   * @param {string} customFieldId - Custom field ID
+   * @param {string} optionName - Name of the option to select
+   * @returns {Promise<Object>} Update result
+   */
+  async updateDropdownCustomField(cardId, customFieldId, optionName) {
+    const optionId = await this.resolveCustomFieldOption(customFieldId, String(optionName));
+    this.logger.debug(`Updating dropdown custom field ${customFieldId} on card ${cardId} to ${optionName}`);
+    return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
+      method: 'PUT',
+      data: {
+        idValue: optionId
+      }
+    });
+  }
+
+  /**
+   * Finds the ID of a dropdown option by name, creating the option when there is none.
+   * Concurrent lookups of the same option share one request, so it is only created once.
+   * @param {string} customFieldId - Custom field ID
+   * @param {string} optionName - Option name
+   * @returns {Promise<string>} Option ID
+   */
+  async resolveCustomFieldOption(customFieldId, optionName) {
+    const key = `${customFieldId}:${optionName}`;
+    if (!this.optionLookups.has(key)) {
+      const lookup = (async () => {
+        const options = await this.getCustomFieldOptions(customFieldId);
+        const existing = options.find(option => option.value?.text === optionName);
+        return existing ? existing.id : (await this.createCustomFieldOption(customFieldId, optionName)).id;
+      })().finally(() => this.optionLookups.delete(key));
+      this.optionLookups.set(key, lookup);
+    }
+    return await this.optionLookups.get(key);
+  }
+
+  /**
+   * Gets the options of a dropdown custom field
+   * @param {string} customFieldId - Custom field ID
+   * @returns {Promise<Array>} Options ({ id, value: { text }, color, pos })
+   */
+  async getCustomFieldOptions(customFieldId) {
+    return await this.makeRequest(`/customFields/${customFieldId}/options`);
+  }
+
+  /**
+   * Adds an option at the bottom of a dropdown custom field
+   * @param {string} customFieldId - Custom field ID
+   * @param {string} text - Option name
+   * @returns {Promise<Object>} Created option
+   */
+  async createCustomFieldOption(customFieldId, text) {
+    this.logger.info('Creating Trello dropdown option', { customFieldId, text });
+    return await this.makeRequest(`/customFields/${customFieldId}/options`, {
+      method: 'POST',
+      data: {
+        value: { text },
+        pos: 'bottom'
+      }
+    });
+  }
+
   /**
    * Updates a custom field value on a card
    * @param {string} cardId - Card ID
@@ -281,7 +440,7 @@ class TrelloService {
    * @returns {Promise<Object>} Update result
    */
   async updateCustomFieldValue(cardId, customFieldId, value) {
-    logger.debug(`Updating custom field ${customFieldId} on card ${cardId} to ${value}`);
+    this.logger.debug(`Updating custom field ${customFieldId} on card ${cardId} to ${value}`);
     return await this.makeRequest(`/cards/${cardId}/customField/${customFieldId}/item`, {
       method: 'PUT',
       data: {
@@ -292,16 +451,253 @@ class TrelloService {
     });
   }
 
+  /**
+   * Adds a label to a card
+   * @param {string} cardId - Card ID
+   * @param {string} labelId - Board label ID
+   * @returns {Promise<Array>} Label IDs on the card
+   */
+  async addLabel(cardId, labelId) {
+    this.logger.debug(`Adding label ${labelId} to card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/idLabels`, {
+      method: 'POST',
+      params: { value: labelId }
+    });
+  }
+
+  /**
+   * Removes a label from a card
+   * @param {string} cardId - Card ID
+   * @param {string} labelId - Board label ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async removeLabel(cardId, labelId) {
+    this.logger.debug(`Removing label ${labelId} from card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/idLabels/${labelId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Adds a member to a card
+   * @param {string} cardId - Card ID
+   * @param {string} memberId - Board member ID
+   * @returns {Promise<Object>} Card members
+   */
+  async addMember(cardId, memberId) {
+    this.logger.debug(`Adding member ${memberId} to card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/idMembers`, {
+      method: 'POST',
+      params: { value: memberId }
+    });
+  }
+
+  /**
+   * Removes a member from a card
+   * @param {string} cardId - Card ID
+   * @param {string} memberId - Board member ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async removeMember(cardId, memberId) {
+    this.logger.debug(`Removing member ${memberId} from card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/idMembers/${memberId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Attaches a link to a card
+   * @param {string} cardId - Card ID
+   * @param {Object} attachment - { url, name }
+   * @returns {Promise<Object>} Created attachment
+   */
+  async addAttachment(cardId, { url, name }) {
+    this.logger.debug(`Attaching ${url} to card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/attachments`, {
+      method: 'POST',
+      params: { url, ...(name ? { name } : {}) }
+    });
+  }
+
+  /**
+   * Deletes an attachment from a card
+   * @param {string} cardId - Card ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteAttachment(cardId, attachmentId) {
+    this.logger.debug(`Deleting attachment ${attachmentId} from card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/attachments/${attachmentId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Creates a label on the board
+   * @param {string} name - Label name
+   * @param {string|null} color - Trello label color, or null for no color
+   * @returns {Promise<Object>} Created label
+   */
+  async createLabel(name, color) {
+    this.logger.info('Creating Trello label', { name, color });
+    return await this.makeRequest(`/boards/${this.boardId}/labels`, {
+      method: 'POST',
+      params: { name, color: color || 'null' }
+    });
+  }
+
+  /**
+   * Creates a list at the bottom of the board
+   * @param {string} name - List name
+   * @returns {Promise<Object>} Created list
+   */
+  async createList(name) {
+    this.logger.info('Creating Trello list', { name });
+    return await this.makeRequest(`/boards/${this.boardId}/lists`, {
+      method: 'POST',
+      params: { name, pos: 'bottom' }
+    });
+  }
+
+  /**
+   * Adds a checklist to a card
+   * @param {string} cardId - Card ID
+   * @param {string} name - Checklist name
+   * @returns {Promise<Object>} Created checklist
+   */
+  async createChecklist(cardId, name) {
+    this.logger.debug(`Adding checklist "${name}" to card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/checklists`, {
+      method: 'POST',
+      params: { name }
+    });
+  }
+
+  /**
+   * Renames a checklist
+   * @param {string} checklistId - Checklist ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Updated checklist
+   */
+  async renameChecklist(checklistId, name) {
+    this.logger.debug(`Renaming checklist ${checklistId} to "${name}"`);
+    return await this.makeRequest(`/checklists/${checklistId}`, {
+      method: 'PUT',
+      params: { name }
+    });
+  }
+
+  /**
+   * Deletes a checklist with its items
+   * @param {string} checklistId - Checklist ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteChecklist(checklistId) {
+    this.logger.debug(`Deleting checklist ${checklistId}`);
+    return await this.makeRequest(`/checklists/${checklistId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Adds an item to the end of a checklist
+   * @param {string} checklistId - Checklist ID
+   * @param {string} name - Item name
+   * @param {boolean} checked - Whether the item is complete
+   * @returns {Promise<Object>} Created check item
+   */
+  async addCheckItem(checklistId, name, checked = false) {
+    this.logger.debug(`Adding item "${name}" to checklist ${checklistId}`);
+    return await this.makeRequest(`/checklists/${checklistId}/checkItems`, {
+      method: 'POST',
+      params: { name, checked: String(checked), pos: 'bottom' }
+    });
+  }
+
+  /**
+   * Renames and/or checks or unchecks a checklist item
+   * @param {string} cardId - Card the checklist belongs to
+   * @param {string} checkItemId - Check item ID
+   * @param {Object} updates - { name, checked }
+   * @returns {Promise<Object>} Updated check item
+   */
+  async updateCheckItem(cardId, checkItemId, { name, checked }) {
+    this.logger.debug(`Updating checklist item ${checkItemId} on card ${cardId}`, { name, checked });
+    const params = {};
+    if (name !== undefined) {
+      params.name = name;
+    }
+    if (checked !== undefined) {
+      params.state = checked ? 'complete' : 'incomplete';
+    }
+    return await this.makeRequest(`/cards/${cardId}/checkItem/${checkItemId}`, {
+      method: 'PUT',
+      params
+    });
+  }
+
+  /**
+   * Deletes a checklist item
+   * @param {string} checklistId - Checklist ID
+   * @param {string} checkItemId - Check item ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteCheckItem(checklistId, checkItemId) {
+    this.logger.debug(`Deleting item ${checkItemId} from checklist ${checklistId}`);
+    return await this.makeRequest(`/checklists/${checklistId}/checkItems/${checkItemId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Gets the comments on a card (commentCard actions, most recent first)
+   * @param {string} cardId - Card ID
+   * @param {Object} options - Fetch options
+   * @param {string} [options.since] - Only return comments made after this ISO time
+   * @returns {Promise<Array>} commentCard actions, with the author in memberCreator
+   */
+  async getCardComments(cardId, { since } = {}) {
+    return await this.makeRequest(`/cards/${cardId}/actions`, {
+      params: { filter: 'commentCard', limit: 1000, ...(since ? { since } : {}) }
+    });
+  }
+
+  /**
+   * Adds a comment to a card
+   * @param {string} cardId - Card ID
+   * @param {string} text - Comment text (markdown)
+   * @returns {Promise<Object>} Created commentCard action
+   */
+  async addComment(cardId, text) {
+    this.logger.debug(`Adding comment to card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}/actions/comments`, {
+      method: 'POST',
+      data: { text } // In the body: long comments do not fit in a URL
+    });
+  }
+
+  /**
+   * Deletes a comment
+   * @param {string} commentId - ID of the commentCard action
+   * @returns {Promise<Object>} API response
+   */
+  async deleteComment(commentId) {
+    this.logger.debug(`Deleting comment ${commentId}`);
+    return await this.makeRequest(`/actions/${commentId}`, {
+      method: 'DELETE'
+    });
+  }
+
   /**
    * Creates a new card on the board
    * @param {Object} cardData - Card data including name, listId, etc.
    * @returns {Promise<Object>} Created card data
    */
   async createCard(cardData) {
-    logger.info('Creating new Trello card', { name: cardData.name });
+    this.logger.info('Creating new Trello card', { name: cardData.name });
     return await this.makeRequest('/cards', {
       method: 'POST',
-      params: cardData
+      data: cardData // Sent in the body, like updates, so long descriptions fit
     });
   }
 
@@ -309,11 +705,12 @@ class TrelloService {
    * Moves a card to a different list
    * @param {string} cardId - Card ID
    * @param {string} listId - Target list ID
+   * @param {number} [pos] - Position in the target list; Trello keeps the card's position when omitted
    * @returns {Promise<Object>} Updated card data
    */
-  async moveCard(cardId, listId) {
-    logger.info(`Moving card ${cardId} to list ${listId}`);
-    return await this.updateCard(cardId, { idList: listId });
+  async moveCard(cardId, listId, pos) {
+    this.logger.info(`Moving card ${cardId} to list ${listId}`);
+    return await this.updateCard(cardId, { idList: listId, ...(pos !== undefined ? { pos } : {}) });
   }
 
   /**
@@ -322,12 +719,38 @@ class TrelloService {
    * @returns {Promise<Object>} Delete result
    */
   async deleteCard(cardId) {
-    logger.info(`Deleting Trello card ${cardId}`);
+    this.logger.info(`Deleting Trello card ${cardId}`);
     return await this.makeRequest(`/cards/${cardId}`, {
       method: 'DELETE'
     });
   }
 
+  /**
+   * Archives (closes) a card; archived cards can be restored from the board menu
+   * @param {string} cardId - Card ID to archive
+   * @returns {Promise<Object>} Archived card data
+   */
+  async archiveCard(cardId) {
+    this.logger.info(`Archiving Trello card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}`, {
+      method: 'PUT',
+      params: { closed: true }
+    });
+  }
+
+  /**
+   * Restores (reopens) an archived card
+   * @param {string} cardId - Card ID to restore
+   * @returns {Promise<Object>} Restored card data
+   */
+  async restoreCard(cardId) {
+    this.logger.info(`Restoring Trello card ${cardId}`);
+    return await this.makeRequest(`/cards/${cardId}`, {
+      method: 'PUT',
+      params: { closed: false }
+    });
+  }
+
   /**
    * Gets a map of list names to list IDs
    * @returns {Promise<Object>} Map of list name -> list ID
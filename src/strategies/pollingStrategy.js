@@ -1,5 +1,8 @@
 import TrelloService from '../services/trello.js';
-import { logger } from '../utils/logger.js';
+import Journal from '../sync/journal.js';
+import EchoFilter from '../sync/echoFilter.js';
+import { CHECKLIST_ACTIONS } from '../sync/echo.js';
+import { config } from '../config/config.js';
 
 /**
  * Polling-based sync strategy that triggers full sync on changes
@@ -9,10 +12,20 @@ class PollingStrategy extends TrelloService {
   /**
    * Initialize polling strategy
    * @param {number} syncInterval - Polling interval in milliseconds (default: 60 seconds)
+   * @param {Object} options - TrelloService options ({ boardId, logger }), the pair's journalFile,
+   *   watchComments to also sync on new card comments (when the pair mirrors comments), and
+   *   watchListRenames to also sync on list changes (when a field syncs card lists)
    */
-  constructor(syncInterval = 30000) {
-    super();
+  constructor(syncInterval = 30000, options = {}) {
+    super(options);
     this.syncInterval = syncInterval;
+    this.actionFilter = ['updateCard', 'createCard', 'updateCustomFieldItem', 'addLabelToCard', 'removeLabelFromCard', 'addMemberToCard', 'removeMemberFromCard', 'addAttachmentToCard', 'deleteAttachmentFromCard', ...CHECKLIST_ACTIONS, ...(options.watchComments ? ['commentCard'] : []), ...(options.watchListRenames ? ['updateList'] : [])];
+    // The sync's own writes show up as board actions too; they must not trigger another sync
+    this.echoFilter = new EchoFilter({
+      journal: new Journal(options.journalFile || config.sync.journalFile, { logger: this.logger }),
+      trelloService: this,
+      logger: this.logger
+    });
     this.lastSyncTime = new Date();
     this.isRunning = false;
     this.pollInterval = null;
@@ -25,7 +38,7 @@ class PollingStrategy extends TrelloService {
    */
   async startPolling(onChangeCallback) {
     if (this.isRunning) {
-      logger.warn('Polling already running');
+      this.logger.warn('Polling already running');
       return;
     }
 
@@ -34,7 +47,7 @@ class PollingStrategy extends TrelloService {
     }
 
     this.isRunning = true;
-    logger.info('Starting polling strategy', { 
+    this.logger.info('Starting polling strategy', { 
       interval: this.syncInterval,
       boardId: this.boardId 
     });
@@ -45,14 +58,14 @@ class PollingStrategy extends TrelloService {
         try {
           await this.checkForChanges(onChangeCallback);
         } catch (error) {
-          logger.error('Polling check failed', error);
+          this.logger.error('Polling check failed', error);
         }
       }, this.syncInterval);
 
-      logger.info('Polling started successfully');
+      this.logger.info('Polling started successfully');
     } catch (error) {
       this.isRunning = false;
-      logger.error('Failed to start polling', error);
+      this.logger.error('Failed to start polling', error);
       throw error;
     }
   }
@@ -66,7 +79,7 @@ class PollingStrategy extends TrelloService {
       this.pollInterval = null;
     }
     this.isRunning = false;
-    logger.info('Polling stopped');
+    this.logger.info('Polling stopped');
   }
 
   /**
@@ -76,7 +89,7 @@ class PollingStrategy extends TrelloService {
    */
   async checkForChanges(onChangeCallback) {
     try {
-      logger.debug('Checking for changes', { 
+      this.logger.debug('Checking for changes', { 
         lastSyncTime: this.lastSyncTime.toISOString(),
         boardId: this.boardId
       });
@@ -85,29 +98,34 @@ class PollingStrategy extends TrelloService {
       const actions = await this.makeRequest(`/boards/${this.boardId}/actions`, {
         params: {
           since: this.lastSyncTime.toISOString(),
-          filter: 'updateCard,createCard,updateCustomFieldItem',
+          filter: this.actionFilter.join(','),
           limit: 100
         }
       });
 
-      if (actions.length > 0) {
-        logger.info(`Found ${actions.length} changes since last sync`);
+      const { genuine, echoes } = await this.echoFilter.partition(actions);
+      if (echoes.length > 0) {
+        this.logger.debug(`Ignoring ${echoes.length} changes made by the sync itself`);
+      }
+
+      if (genuine.length > 0) {
+        this.logger.info(`Found ${genuine.length} changes since last sync`);
         
         // Trigger sync callback - don't care about individual changes, just that something changed
         await onChangeCallback({
-          changesDetected: actions.length,
+          changesDetected: genuine.length,
           lastSyncTime: this.lastSyncTime,
-          actions: actions.map(a => ({ id: a.id, type: a.type, date: a.date }))
+          actions: genuine.map(a => ({ id: a.id, type: a.type, date: a.date }))
         });
       } else {
-        logger.debug('No changes detected');
+        this.logger.debug('No changes detected');
       }
 
       // Update last sync time
       this.lastSyncTime = new Date();
 
     } catch (error) {
-      logger.error('Failed to check for changes', error);
+      this.logger.error('Failed to check for changes', error);
       throw error;
     }
   }
@@ -0,0 +1,405 @@
+/**
+ * Checklist sync: Trello checklists ⟷ sections of to-do blocks on the linked Notion page.
+ *
+ * On the page, a checklist is a heading (level 3) followed by one to-do block per item.
+ * Checklists and items are linked by ID - Trello checklist and check item IDs to Notion
+ * block IDs - in the state store, so renaming, checking or moving an item updates it in
+ * place rather than recreating it. Order is not synced; new items go to the end.
+ *
+ * Plans carry checklist changes as "steps" on the update operation of each side; steps
+ * that create something name the item they mirror with a `key`, and the ID created for it
+ * is recorded in operation.createdIds[key] so the new link can be stored after the run.
+ */
+
+const HEADING_TYPE = 'heading_3';
+
+// Notion limits the length of a single rich text item
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Joins the plain text of a Notion rich text array
+ * @param {Array} richText - Rich text items
+ * @returns {string} Plain text
+ */
+function plainText(richText = []) {
+  return richText.map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+/**
+ * Builds a Notion rich text array holding plain text
+ * @param {string} text - Text
+ * @returns {Array<Object>} Rich text items
+ */
+function textItems(text) {
+  const items = [];
+  for (let start = 0; start < text.length; start += MAX_TEXT_LENGTH) {
+    items.push({ type: 'text', text: { content: text.slice(start, start + MAX_TEXT_LENGTH) } });
+  }
+  return items;
+}
+
+/**
+ * Builds the heading block that starts a checklist section
+ * @param {string} name - Checklist name
+ * @returns {Object} Notion block
+ */
+export function checklistHeadingBlock(name) {
+  return { object: 'block', type: HEADING_TYPE, [HEADING_TYPE]: { rich_text: textItems(name) } };
+}
+
+/**
+ * Builds the to-do block for a checklist item
+ * @param {Object} item - { name, checked }
+ * @returns {Object} Notion block
+ */
+export function checklistItemBlock({ name, checked }) {
+  return { object: 'block', type: 'to_do', to_do: { rich_text: textItems(name), checked: checked === true } };
+}
+
+/**
+ * Reads the checklists of a Trello card (fetched with its checklists)
+ * @param {Object} trelloCard - Trello card
+ * @returns {Array<Object>} Checklists ({ id, name, items: [{ id, name, checked }] }) in card order
+ */
+export function readTrelloChecklists(trelloCard) {
+  const byPosition = (a, b) => a.pos - b.pos;
+  return [...(trelloCard.checklists || [])].sort(byPosition).map(checklist => ({
+    id: checklist.id,
+    name: checklist.name,
+    items: [...(checklist.checkItems || [])].sort(byPosition).map(item => ({
+      id: item.id,
+      name: item.name,
+      checked: item.state === 'complete'
+    }))
+  }));
+}
+
+/**
+ * Splits a page's top-level blocks into checklist sections and the rest of its content.
+ * A level 3 heading directly followed by to-do blocks starts a section, as does the heading
+ * of an already synced checklist, which stays a checklist when all its items are removed.
+ * @param {Array<Object>} blocks - Top-level page blocks
+ * @param {Set<string>} knownHeadingIds - Heading block IDs of synced checklists
+ * @returns {Object} { content, checklists } - checklists are { blockId, name, items: [{ blockId, name, checked }], lastBlockId }
+ */
+export function splitPageBlocks(blocks, knownHeadingIds = new Set()) {
+  const content = [];
+  const checklists = [];
+  let section = null;
+
+  blocks.forEach((block, index) => {
+    if (block.type === HEADING_TYPE && (knownHeadingIds.has(block.id) || blocks[index + 1]?.type === 'to_do')) {
+      section = { blockId: block.id, name: plainText(block[HEADING_TYPE].rich_text), items: [], lastBlockId: block.id };
+      checklists.push(section);
+    } else if (block.type === 'to_do' && section) {
+      section.items.push({ blockId: block.id, name: plainText(block.to_do.rich_text), checked: block.to_do.checked === true });
+      section.lastBlockId = block.id;
+    } else {
+      section = null;
+      content.push(block);
+    }
+  });
+
+  return { content, checklists };
+}
+
+/**
+ * Rebuilds a page's checklist sections from the last-synced checklists, for pages not edited since
+ * @param {Array<Object>} checklists - Checklists stored for the pair
+ * @returns {Array<Object>} Sections in the form splitPageBlocks returns
+ */
+export function checklistsFromState(checklists) {
+  return checklists.map(checklist => ({
+    blockId: checklist.blockId,
+    name: checklist.name,
+    items: checklist.items.map(({ blockId, name, checked }) => ({ blockId, name, checked })),
+    lastBlockId: checklist.items.length > 0 ? checklist.items[checklist.items.length - 1].blockId : checklist.blockId
+  }));
+}
+
+/**
+ * Pairs Trello and Notion entries (checklists or items) through their last-synced links;
+ * entries neither side has synced yet are paired by name
+ * @param {Array<Object>} baseEntries - Last-synced entries ({ trelloId, blockId })
+ * @param {Array<Object>} trelloEntries - Trello entries ({ id, name })
+ * @param {Array<Object>} notionEntries - Notion entries ({ blockId, name })
+ * @returns {Array<Object>} { base, trello, notion } - base, trello or notion may be null
+ */
+function pairEntries(baseEntries, trelloEntries, notionEntries) {
+  const trelloById = new Map(trelloEntries.map(entry => [entry.id, entry]));
+  const notionById = new Map(notionEntries.map(entry => [entry.blockId, entry]));
+  const linkedTrello = new Set();
+  const linkedNotion = new Set();
+  const pairs = [];
+
+  baseEntries.forEach(base => {
+    const trello = trelloById.get(base.trelloId) || null;
+    const notion = notionById.get(base.blockId) || null;
+    if (trello) linkedTrello.add(trello.id);
+    if (notion) linkedNotion.add(notion.blockId);
+    pairs.push({ base, trello, notion });
+  });
+
+  const newNotion = notionEntries.filter(entry => !linkedNotion.has(entry.blockId));
+  trelloEntries
+    .filter(entry => !linkedTrello.has(entry.id))
+    .forEach(trello => {
+      const index = newNotion.findIndex(notion => notion.name.trim() === trello.name.trim());
+      pairs.push({ base: null, trello, notion: index === -1 ? null : newNotion.splice(index, 1)[0] });
+    });
+  newNotion.forEach(notion => pairs.push({ base: null, trello: null, notion }));
+
+  return pairs;
+}
+
+/**
+ * Describes a checklist item for plans
+ * @param {Object} item - { name, checked }
+ * @returns {string} e.g. "[x] Write tests"
+ */
+function describeItem({ name, checked }) {
+  return `[${checked ? 'x' : ' '}] ${name}`;
+}
+
+/**
+ * Describes the size of a checklist for plan changes
+ * @param {Array} items - Checklist items
+ * @returns {string} Item count
+ */
+function countItems(items) {
+  return `${items.length} ${items.length === 1 ? 'item' : 'items'}`;
+}
+
+/**
+ * Three-way merges a card's checklists with the checklist sections of its page against the
+ * last-synced checklists. Renames and checked states are merged per value; a checklist or item
+ * removed on one side is removed on the other, and new ones are created on the other side.
+ * @param {Array<Object>|null} base - Last-synced checklists ({ trelloId, blockId, name, items })
+ * @param {Array<Object>} trelloChecklists - Card checklists (see readTrelloChecklists)
+ * @param {Array<Object>} notionChecklists - Page sections (see splitPageBlocks)
+ * @param {Object} options - Merge options
+ * @param {string} options.direction - 'two-way', 'trello-to-notion' or 'notion-to-trello'
+ * @param {Function} options.resolveConflict - (label, conflict) => { policy, winner } for values changed on both sides
+ * @returns {Object} { trelloSteps, notionSteps, trelloChanges, notionChanges, conflicts, merged }
+ */
+export function mergeChecklists(base, trelloChecklists, notionChecklists, {
+  direction = 'two-way',
+  resolveConflict = () => ({ policy: 'trello-wins', winner: 'trello' })
+} = {}) {
+  const trelloSteps = [];
+  const notionSteps = [];
+  const trelloChanges = {};
+  const notionChanges = {};
+  const conflicts = [];
+  const merged = [];
+
+  // Whether edits made on a side may be carried over to the other one
+  const canPush = {
+    trello: direction !== 'notion-to-trello',
+    notion: direction !== 'trello-to-notion'
+  };
+
+  // Picks the value to keep for something both sides have; `push` names the side to update
+  const mergeValue = (label, baseValue, trelloValue, notionValue) => {
+    if (trelloValue === notionValue) {
+      return { value: trelloValue, push: null };
+    }
+
+    let winner;
+    if (!canPush.notion || !canPush.trello) {
+      winner = canPush.trello ? 'trello' : 'notion';
+    } else if (baseValue === undefined) {
+      winner = 'trello'; // Nothing synced yet - seed from Trello
+    } else if (notionValue === baseValue) {
+      winner = 'trello';
+    } else if (trelloValue === baseValue) {
+      winner = 'notion';
+    } else {
+      const conflict = { field: label, base: baseValue, trelloValue, notionValue };
+      const { policy, winner: resolved } = resolveConflict(label, conflict);
+      conflicts.push({ ...conflict, policy, winner: resolved });
+      winner = resolved;
+    }
+
+    if (winner === 'trello') {
+      return { value: trelloValue, push: 'notion' };
+    }
+    if (winner === 'notion') {
+      return { value: notionValue, push: 'trello' };
+    }
+    // Unresolved - keep the old base so the conflict is reported again next run
+    return { value: baseValue, push: null };
+  };
+
+  for (const { base: baseList, trello: trelloList, notion: notionList } of pairEntries(base || [], trelloChecklists, notionChecklists)) {
+    const label = `Checklist "${(trelloList || notionList).name}"`;
+
+    if (trelloList && notionList) {
+      const name = mergeValue(label, baseList?.name, trelloList.name, notionList.name);
+      if (name.push === 'notion') {
+        notionSteps.push({ type: 'renameChecklist', blockId: notionList.blockId, name: name.value, from: notionList.name });
+        notionChanges[label] = { from: notionList.name, to: name.value };
+      } else if (name.push === 'trello') {
+        trelloSteps.push({ type: 'renameChecklist', checklistId: trelloList.id, name: name.value, from: trelloList.name });
+        trelloChanges[label] = { from: trelloList.name, to: name.value };
+      }
+
+      const mergedList = { trelloId: trelloList.id, blockId: notionList.blockId, name: name.value, items: [] };
+      const newNotionItems = [];
+      const notionDeletes = [];
+
+      for (const { base: baseItem, trello: trelloItem, notion: notionItem } of pairEntries(baseList?.items || [], trelloList.items, notionList.items)) {
+        const itemLabel = `${label} › ${(trelloItem || notionItem).name}`;
+
+        if (trelloItem && notionItem) {
+          const itemName = mergeValue(itemLabel, baseItem?.name, trelloItem.name, notionItem.name);
+          const checked = mergeValue(itemLabel, baseItem?.checked, trelloItem.checked, notionItem.checked);
+          const result = { name: itemName.value, checked: checked.value };
+
+          if (itemName.push === 'notion' || checked.push === 'notion') {
+            notionSteps.push({ type: 'updateItem', blockId: notionItem.blockId, ...result, from: { name: notionItem.name, checked: notionItem.checked } });
+            notionChanges[itemLabel] = { from: describeItem(notionItem), to: describeItem(result) };
+          }
+          if (itemName.push === 'trello' || checked.push === 'trello') {
+            const update = { type: 'updateItem', checklistId: trelloList.id, itemId: trelloItem.id, from: {} };
+            if (itemName.push === 'trello') {
+              update.name = result.name;
+              update.from.name = trelloItem.name;
+            }
+            if (checked.push === 'trello') {
+              update.checked = result.checked;
+              update.from.checked = trelloItem.checked;
+            }
+            trelloSteps.push(update);
+            trelloChanges[itemLabel] = { from: describeItem(trelloItem), to: describeItem({ ...trelloItem, ...result }) };
+          }
+          mergedList.items.push({ trelloId: trelloItem.id, blockId: notionItem.blockId, ...result });
+        } else if (trelloItem) {
+          if (baseItem && canPush.notion) {
+            trelloSteps.push({ type: 'deleteItem', checklistId: trelloList.id, itemId: trelloItem.id, name: trelloItem.name, checked: trelloItem.checked });
+            trelloChanges[itemLabel] = { from: describeItem(trelloItem), to: null };
+          } else if (baseItem || canPush.trello) {
+            newNotionItems.push({ key: trelloItem.id, name: trelloItem.name, checked: trelloItem.checked });
+            notionChanges[itemLabel] = { from: null, to: describeItem(trelloItem) };
+            mergedList.items.push({ trelloId: trelloItem.id, blockId: null, key: trelloItem.id, name: trelloItem.name, checked: trelloItem.checked });
+          }
+        } else if (notionItem) {
+          if (baseItem && canPush.trello) {
+            notionDeletes.push({ type: 'deleteItem', blockId: notionItem.blockId, after: notionList.blockId, name: notionItem.name, checked: notionItem.checked });
+            notionChanges[itemLabel] = { from: describeItem(notionItem), to: null };
+          } else if (baseItem || canPush.notion) {
+            trelloSteps.push({ type: 'addItem', checklistId: trelloList.id, key: notionItem.blockId, name: notionItem.name, checked: notionItem.checked });
+            trelloChanges[itemLabel] = { from: null, to: describeItem(notionItem) };
+            mergedList.items.push({ trelloId: null, blockId: notionItem.blockId, key: notionItem.blockId, name: notionItem.name, checked: notionItem.checked });
+          }
+        }
+      }
+
+      // New items go below the section's last block, which must not be deleted first
+      if (newNotionItems.length > 0) {
+        notionSteps.push({ type: 'addItems', after: notionList.lastBlockId, items: newNotionItems });
+      }
+      notionSteps.push(...notionDeletes);
+      merged.push(mergedList);
+    } else if (trelloList) {
+      const items = trelloList.items.map(item => ({ key: item.id, name: item.name, checked: item.checked }));
+      if (baseList && canPush.notion) {
+        trelloSteps.push({ type: 'deleteChecklist', checklistId: trelloList.id, name: trelloList.name, items });
+        trelloChanges[label] = { from: countItems(items), to: null };
+      } else if (baseList || canPush.trello) {
+        notionSteps.push({ type: 'createChecklist', key: trelloList.id, name: trelloList.name, items });
+        notionChanges[label] = { from: null, to: countItems(items) };
+        merged.push({
+          trelloId: trelloList.id,
+          blockId: null,
+          key: trelloList.id,
+          name: trelloList.name,
+          items: trelloList.items.map(item => ({ trelloId: item.id, blockId: null, key: item.id, name: item.name, checked: item.checked }))
+        });
+      }
+    } else if (notionList) {
+      const items = notionList.items.map(item => ({ key: item.blockId, name: item.name, checked: item.checked }));
+      if (baseList && canPush.trello) {
+        notionSteps.push({ type: 'deleteChecklist', blockIds: [notionList.blockId, ...notionList.items.map(item => item.blockId)], name: notionList.name, items });
+        notionChanges[label] = { from: countItems(items), to: null };
+      } else if (baseList || canPush.notion) {
+        trelloSteps.push({ type: 'createChecklist', key: notionList.blockId, name: notionList.name, items });
+        trelloChanges[label] = { from: null, to: countItems(items) };
+        merged.push({
+          trelloId: null,
+          blockId: notionList.blockId,
+          key: notionList.blockId,
+          name: notionList.name,
+          items: notionList.items.map(item => ({ trelloId: null, blockId: item.blockId, key: item.blockId, name: item.name, checked: item.checked }))
+        });
+      }
+    }
+  }
+
+  return { trelloSteps, notionSteps, trelloChanges, notionChanges, conflicts, merged };
+}
+
+/**
+ * Fills in the IDs created for merged checklists and items once a run has executed,
+ * dropping those whose counterpart was not created
+ * @param {Array<Object>} checklists - Merged checklists from mergeChecklists
+ * @param {Object} createdIds - IDs created during the run, keyed by the ID of the item they mirror
+ * @returns {Array<Object>} Checklists to store ({ trelloId, blockId, name, items })
+ */
+export function resolveChecklistState(checklists, createdIds) {
+  const link = ({ key, ...entry }) => ({
+    ...entry,
+    trelloId: entry.trelloId || createdIds[key] || null,
+    blockId: entry.blockId || createdIds[key] || null
+  });
+  const isLinked = entry => entry.trelloId && entry.blockId;
+
+  return checklists
+    .map(link)
+    .filter(isLinked)
+    .map(checklist => ({ ...checklist, items: checklist.items.map(link).filter(isLinked) }));
+}
+
+/**
+ * Builds the steps that revert executed checklist steps
+ * @param {string} side - 'trello' or 'notion'
+ * @param {Array<Object>} steps - Executed steps
+ * @param {Object} createdIds - IDs created by the steps, keyed by step/item key
+ * @returns {Array<Object>} Undo steps, newest first
+ */
+export function invertChecklistSteps(side, steps, createdIds = {}) {
+  const items = list => list.map(({ name, checked }) => ({ name, checked }));
+
+  return [...steps].reverse().flatMap(step => {
+    switch (`${side}:${step.type}`) {
+      case 'trello:createChecklist':
+        return createdIds[step.key] ? [{ type: 'deleteChecklist', checklistId: createdIds[step.key], name: step.name, items: items(step.items) }] : [];
+      case 'notion:createChecklist': {
+        const blockIds = [step.key, ...step.items.map(item => item.key)].map(key => createdIds[key]).filter(Boolean);
+        return createdIds[step.key] ? [{ type: 'deleteChecklist', blockIds, name: step.name, items: items(step.items) }] : [];
+      }
+      case 'trello:deleteChecklist':
+      case 'notion:deleteChecklist':
+        return [{ type: 'createChecklist', name: step.name, items: items(step.items) }];
+      case 'trello:renameChecklist':
+      case 'notion:renameChecklist':
+        return [{ ...step, name: step.from, from: step.name }];
+      case 'trello:addItem':
+        return createdIds[step.key] ? [{ type: 'deleteItem', checklistId: step.checklistId, itemId: createdIds[step.key], name: step.name, checked: step.checked }] : [];
+      case 'notion:addItems':
+        return step.items
+          .filter(item => createdIds[item.key])
+          .map(item => ({ type: 'deleteItem', blockId: createdIds[item.key], after: step.after, name: item.name, checked: item.checked }));
+      case 'trello:updateItem':
+        return [{ ...step, ...step.from, from: Object.fromEntries(Object.keys(step.from).map(property => [property, step[property]])) }];
+      case 'notion:updateItem':
+        return [{ ...step, ...step.from, from: { name: step.name, checked: step.checked } }];
+      case 'trello:deleteItem':
+        return [{ type: 'addItem', checklistId: step.checklistId, name: step.name, checked: step.checked }];
+      case 'notion:deleteItem':
+        return [{ type: 'addItems', after: step.after, items: [{ name: step.name, checked: step.checked }] }];
+      default:
+        return [];
+    }
+  });
+}
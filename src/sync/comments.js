@@ -0,0 +1,125 @@
+import { richTextToMarkdown } from '../utils/markdown.js';
+
+/**
+ * Comment mirroring: comments on a Trello card ⟷ comments on the linked Notion page.
+ *
+ * Comments are only ever added: a new comment on one side is posted on the other,
+ * headed by its author and time. Mirrored comments are linked to their source in the
+ * state store and, because of their header, are never mirrored back even without it.
+ * Edits and deletions are not mirrored.
+ */
+
+// Header of a mirrored comment, e.g. "**Ada Lovelace** commented in Trello on 2026-10-19 09:30 UTC:"
+const HEADER_PATTERN = /^\*\*.+?\*\* commented in (Trello|Notion) on \d{4}-\d{2}-\d{2} \d{2}:\d{2} UTC:/;
+
+// Longest excerpt of a comment shown in plans
+const EXCERPT_LENGTH = 60;
+
+/**
+ * Reads the comments of a card from its commentCard actions
+ * @param {Array<Object>} actions - Trello commentCard actions
+ * @returns {Array<Object>} Comments ({ id, author, date, text }), oldest first
+ */
+export function readTrelloComments(actions = []) {
+  return actions
+    .map(action => ({
+      id: action.id,
+      author: action.memberCreator?.fullName || action.memberCreator?.username || 'A Trello member',
+      date: action.date,
+      text: action.data?.text || ''
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Reads the comments of a page
+ * @param {Array<Object>} comments - Notion comment objects
+ * @param {Object} userNames - Notion user names by user ID
+ * @returns {Array<Object>} Comments ({ id, author, date, text }), oldest first
+ */
+export function readNotionComments(comments = [], userNames = {}) {
+  return comments
+    .map(comment => ({
+      id: comment.id,
+      author: userNames[comment.created_by?.id] || 'A Notion user',
+      date: comment.created_time,
+      text: richTextToMarkdown(comment.rich_text)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Returns true if a comment is a mirror posted by the sync
+ * @param {string} text - Comment text (markdown)
+ * @returns {boolean} True if the comment starts with a mirror header
+ */
+export function isMirroredComment(text) {
+  return HEADER_PATTERN.test(text || '');
+}
+
+/**
+ * Formats the text a comment is mirrored with
+ * @param {Object} comment - Source comment ({ author, date, text })
+ * @param {string} source - Where the comment was made: 'Trello' or 'Notion'
+ * @returns {string} Markdown text with the author and time as header
+ */
+export function formatMirroredComment({ author, date, text }, source) {
+  const time = new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+  return `**${author}** commented in ${source} on ${time} UTC:\n\n${text}`;
+}
+
+/**
+ * Shortens a comment for plans and logs
+ * @param {Object} comment - Comment ({ author, text })
+ * @returns {string} e.g. "Ada Lovelace: Looks good to me"
+ */
+export function describeComment({ author, text }) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return `${author}: ${flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat}`;
+}
+
+/**
+ * Works out which comments of a card/page pair still need mirroring
+ * @param {Array<Object>} trelloComments - Card comments (see readTrelloComments)
+ * @param {Array<Object>} notionComments - Page comments (see readNotionComments)
+ * @param {Array<Object>} links - Comments already mirrored ({ trello, notion } comment IDs)
+ * @param {Object} options - Mirroring options
+ * @param {string} options.direction - Comment mode: 'two-way', 'trello-to-notion' or 'notion-to-trello'
+ * @param {string} options.since - Comments made before this ISO time are not mirrored
+ * @returns {Object} { toNotion, toTrello } - comments to post ({ source, text }) - and
+ *   `adopted`, links to mirrors already posted by an interrupted run
+ */
+export function planCommentMirrors(trelloComments, notionComments, links, { direction, since }) {
+  const linked = new Set(links.flatMap(link => [link.trello, link.notion]));
+  const sinceTime = new Date(since).getTime();
+  const adopted = [];
+
+  const mirror = (comments, targets, source, canPush) => {
+    if (!canPush) {
+      return [];
+    }
+
+    const mirrored = [];
+    comments
+      .filter(comment => !linked.has(comment.id) && !isMirroredComment(comment.text))
+      .filter(comment => new Date(comment.date).getTime() >= sinceTime)
+      .forEach(comment => {
+        const text = formatMirroredComment(comment, source);
+        // A mirror posted by a run that failed before linking it is linked now instead of posted again
+        const orphan = targets.find(target => !linked.has(target.id) && target.text.trim() === text.trim());
+        if (orphan) {
+          linked.add(orphan.id);
+          adopted.push(source === 'Trello' ? { trello: comment.id, notion: orphan.id } : { trello: orphan.id, notion: comment.id });
+        } else {
+          mirrored.push({ source: comment, text });
+        }
+      });
+    return mirrored;
+  };
+
+  return {
+    toNotion: mirror(trelloComments, notionComments, 'Trello', direction !== 'notion-to-trello'),
+    toTrello: mirror(notionComments, trelloComments, 'Notion', direction !== 'trello-to-notion'),
+    adopted
+  };
+}
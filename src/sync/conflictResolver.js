@@ -0,0 +1,64 @@
+import { config } from '../config/config.js';
+
+/**
+ * Field-level conflict resolution for fields changed on both Trello and Notion
+ *
+ * Policies:
+ * - trello-wins:      Trello value is pushed to Notion
+ * - notion-wins:      Notion value is pushed to Trello
+ * - latest-edit-wins: the most recently edited side wins
+ * - manual:           neither side is touched; the conflict is reported until resolved by hand
+ */
+
+/**
+ * Gets the configured conflict policy for a field
+ * @param {string} fieldName - Field key from the field mapping
+ * @param {Object} [policies] - { defaultPolicy, fieldPolicies }, e.g. from the pair's field mapping;
+ *   defaults to CONFLICT_POLICY / CONFLICT_POLICIES
+ * @returns {string} Conflict policy
+ */
+export function getConflictPolicy(fieldName, policies = config.conflicts) {
+  return policies.fieldPolicies[fieldName] || policies.defaultPolicy;
+}
+
+/**
+ * Returns true if any field is configured to use the given policy
+ * @param {string} policy - Conflict policy
+ * @param {Object} [policies] - { defaultPolicy, fieldPolicies }; defaults to CONFLICT_POLICY / CONFLICT_POLICIES
+ * @returns {boolean} True if the policy is in use
+ */
+export function isPolicyInUse(policy, policies = config.conflicts) {
+  return policies.defaultPolicy === policy ||
+    Object.values(policies.fieldPolicies).includes(policy);
+}
+
+/**
+ * Decides which side wins a conflict
+ * @param {string} policy - Conflict policy
+ * @param {Object} editTimes - Last edit times of the field on each side
+ * @param {string|null} editTimes.trelloEditedAt - ISO timestamp of the Trello edit
+ * @param {string|null} editTimes.notionEditedAt - ISO timestamp of the Notion edit
+ * @returns {string|null} 'trello', 'notion', or null to leave both sides untouched
+ */
+export function resolveConflict(policy, { trelloEditedAt = null, notionEditedAt = null } = {}) {
+  switch (policy) {
+    case 'trello-wins':
+      return 'trello';
+    case 'notion-wins':
+      return 'notion';
+    case 'latest-edit-wins': {
+      const trelloTime = trelloEditedAt ? new Date(trelloEditedAt).getTime() : NaN;
+      const notionTime = notionEditedAt ? new Date(notionEditedAt).getTime() : NaN;
+
+      // Without both timestamps there is nothing to compare - fall back to Trello
+      if (Number.isNaN(trelloTime) || Number.isNaN(notionTime)) {
+        return Number.isNaN(trelloTime) && !Number.isNaN(notionTime) ? 'notion' : 'trello';
+      }
+      return notionTime > trelloTime ? 'notion' : 'trello';
+    }
+    case 'manual':
+      return null;
+    default:
+      throw new Error(`Unknown conflict policy: ${policy}`);
+  }
+}
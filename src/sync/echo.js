@@ -0,0 +1,122 @@
+/**
+ * Echo detection: recognising Trello actions caused by the sync's own writes.
+ *
+ * Every Trello write is journaled with the card-level "touches" it makes
+ * (e.g. "card:idList", "customField:<id>", "label:<id>", "member:<id>", "checklists", "attachments", "comment"). A board action is an
+ * echo when everything it touches was written by the sync to the same card at
+ * about the same time.
+ */
+
+/**
+ * Trello board actions that change a card's checklists
+ */
+export const CHECKLIST_ACTIONS = [
+  'addChecklistToCard',
+  'removeChecklistFromCard',
+  'updateChecklist',
+  'createCheckItem',
+  'updateCheckItem',
+  'updateCheckItemStateOnCard',
+  'deleteCheckItem'
+];
+
+/**
+ * Lists what a Trello write operation touches on its card
+ * @param {Object} operation - Executed Trello operation ({ side, action, payload })
+ * @returns {Array<string>} Touches, e.g. ["card:name", "customField:abc123"]
+ */
+export function describeTrelloWrites(operation) {
+  if (operation.side !== 'trello') {
+    return [];
+  }
+
+  const payload = operation.payload || {};
+  const customFields = (payload.customFields || []).map(update => `customField:${update.fieldId}`);
+  // Attachment writes are not told apart either
+  const attachments = payload.attachments?.add.length > 0 || payload.attachments?.remove.length > 0 ? ['attachments'] : [];
+
+  switch (operation.action) {
+    case 'create':
+      return ['create', ...customFields, ...attachments];
+    case 'update':
+      return [
+        ...Object.keys(payload.card || {}).map(property => `card:${property}`),
+        ...customFields,
+        ...(payload.labels?.add || []).map(labelId => `label:${labelId}`),
+        ...(payload.labels?.remove || []).map(labelId => `label:${labelId}`),
+        // Labels created for the card are only known once it ran
+        ...(operation.createdLabelIds || []).map(labelId => `label:${labelId}`),
+        ...(payload.members?.add || []).map(memberId => `member:${memberId}`),
+        ...(payload.members?.remove || []).map(memberId => `member:${memberId}`),
+        // Checklist writes are not told apart: any checklist change on the card counts
+        ...(payload.checklists?.length > 0 ? ['checklists'] : []),
+        ...attachments
+      ];
+    case 'move':
+      return ['card:idList', ...(payload.pos !== undefined ? ['card:pos'] : [])];
+    case 'archive':
+    case 'restore':
+      return ['card:closed'];
+    case 'comment':
+      return ['comment'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Lists what a Trello board action touches on its card
+ * @param {Object} action - Trello action (from the actions API or a webhook)
+ * @returns {Array<string>} Touches, in the same format as describeTrelloWrites
+ */
+export function describeActionTouches(action) {
+  const data = action.data || {};
+
+  switch (action.type) {
+    case 'createCard':
+      return ['create'];
+    case 'updateCard':
+      return Object.keys(data.old || {}).map(property => `card:${property}`);
+    case 'updateCustomFieldItem':
+      return data.customField?.id ? [`customField:${data.customField.id}`] : [];
+    case 'addLabelToCard':
+    case 'removeLabelFromCard':
+      return data.label?.id ? [`label:${data.label.id}`] : [];
+    case 'addMemberToCard':
+    case 'removeMemberFromCard': {
+      const memberId = data.idMember || data.member?.id;
+      return memberId ? [`member:${memberId}`] : [];
+    }
+    case 'addAttachmentToCard':
+    case 'deleteAttachmentFromCard':
+      return ['attachments'];
+    case 'commentCard':
+      return ['comment'];
+    default:
+      return CHECKLIST_ACTIONS.includes(action.type) ? ['checklists'] : [];
+  }
+}
+
+/**
+ * Returns true if an action only touches what journaled sync writes touched on the same card around the same time
+ * @param {Object} action - Trello action
+ * @param {Array<Object>} records - Journal records of Trello writes ({ trelloId, at, writes })
+ * @param {number} window - How far apart (ms) the action and the write may be
+ * @returns {boolean} True if the action is an echo of the sync's own writes
+ */
+export function matchesJournaledWrites(action, records, window) {
+  const cardId = action.data?.card?.id;
+  const touches = describeActionTouches(action);
+  if (!cardId || touches.length === 0) {
+    return false;
+  }
+
+  const actionTime = new Date(action.date).getTime();
+  const written = new Set(
+    records
+      .filter(record => record.trelloId === cardId && Math.abs(new Date(record.at).getTime() - actionTime) <= window)
+      .flatMap(record => record.writes || [])
+  );
+
+  return touches.every(touch => written.has(touch));
+}
@@ -0,0 +1,110 @@
+import { config, ECHO_MODES } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { matchesJournaledWrites } from './echo.js';
+
+// Journaled writes are kept in memory this long, enough to cover the longest poll interval
+const RECORD_RETENTION = 60 * 60 * 1000;
+
+/**
+ * Tells the sync's own Trello writes apart from genuine user edits, so the
+ * poller and webhook server only wake the engine for the latter.
+ * Follows the sync journal for recently written cards and, in "member" mode,
+ * also ignores every action made by the Trello member the token belongs to.
+ */
+class EchoFilter {
+  /**
+   * @param {Object} options - Filter options
+   * @param {Journal} options.journal - Journal the sync engine writes to
+   * @param {TrelloService} options.trelloService - Trello service using the sync's token
+   * @param {string} options.mode - 'off', 'writes' or 'member'
+   * @param {number} options.window - How far apart (ms) an action and a journaled write may be
+   * @param {Object} options.logger - Logger to use, e.g. one tagged with the sync pair name
+   */
+  constructor({
+    journal,
+    trelloService,
+    mode = config.sync.echoSuppression,
+    window = config.sync.echoWindow,
+    logger: filterLogger = logger
+  }) {
+    if (!ECHO_MODES.includes(mode)) {
+      throw new Error(`Echo suppression must be one of ${ECHO_MODES.join(', ')} (got "${mode}")`);
+    }
+
+    this.journal = journal;
+    this.trelloService = trelloService;
+    this.mode = mode;
+    this.window = window;
+    this.logger = filterLogger;
+    this.records = [];
+    this.offset = 0;
+    this.memberId = null;
+  }
+
+  /**
+   * Loads Trello writes appended to the journal since the last call and forgets old ones
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    try {
+      const { records, offset } = await this.journal.readFrom(this.offset);
+      this.offset = offset;
+
+      const cutoff = Date.now() - RECORD_RETENTION;
+      this.records = [...this.records, ...records.filter(record => record.side === 'trello' && record.trelloId)]
+        .filter(record => new Date(record.at).getTime() >= cutoff);
+    } catch (error) {
+      // Without the journal every action counts as a user edit, which is safe
+      this.logger.error('Error reading sync journal for echo suppression', { error: error.message });
+    }
+  }
+
+  /**
+   * Gets the ID of the Trello member the sync's token belongs to
+   * @returns {Promise<string|null>} Member ID, or null if it could not be fetched
+   */
+  async getMemberId() {
+    if (!this.memberId) {
+      try {
+        this.memberId = await this.trelloService.getMemberId();
+      } catch (error) {
+        this.logger.error('Error fetching the sync\'s Trello member', { error: error.message });
+      }
+    }
+    return this.memberId;
+  }
+
+  /**
+   * Returns true if an action was caused by the sync itself
+   * @param {Object} action - Trello action (from the actions API or a webhook)
+   * @returns {Promise<boolean>} True if the action should not trigger a sync
+   */
+  async isEcho(action) {
+    if (this.mode === 'off') {
+      return false;
+    }
+
+    if (this.mode === 'member' && action.idMemberCreator && action.idMemberCreator === await this.getMemberId()) {
+      return true;
+    }
+
+    await this.refresh();
+    return matchesJournaledWrites(action, this.records, this.window);
+  }
+
+  /**
+   * Splits actions into genuine user edits and the sync's own echoes
+   * @param {Array<Object>} actions - Trello actions
+   * @returns {Promise<Object>} { genuine, echoes }
+   */
+  async partition(actions) {
+    const genuine = [];
+    const echoes = [];
+    for (const action of actions) {
+      (await this.isEcho(action) ? echoes : genuine).push(action);
+    }
+    return { genuine, echoes };
+  }
+}
+
+export default EchoFilter;
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+import { describeTrelloWrites } from './echo.js';
+
+/**
+ * Append-only journal of every write the sync engine makes.
+ * Each line is one JSON record: the operation, its field-level before/after
+ * values and the operations that undo it, tagged with the ID of the run that
+ * made it so a whole run can be rolled back.
+ */
+class Journal {
+  /**
+   * @param {string} filePath - Path to the JSON Lines journal file
+   * @param {Object} options - Journal options
+   * @param {Object} options.logger - Logger to use, e.g. one tagged with the sync pair name
+   */
+  constructor(filePath = config.sync.journalFile, { logger: journalLogger = logger } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.logger = journalLogger;
+    this.runId = null;
+    this.sequence = 0;
+  }
+
+  /**
+   * Starts a new run; records written afterwards carry its ID
+   * @param {Object} meta - Extra fields stored on every record of the run (e.g. { rollbackOf })
+   * @returns {string} Run ID, e.g. "20261019T035350-a1b2c3"
+   */
+  startRun(meta = {}) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    this.runId = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    this.runMeta = meta;
+    this.sequence = 0;
+    return this.runId;
+  }
+
+  /**
+   * Appends an executed operation to the journal
+   * @param {Object} operation - Executed operation ({ side, action, trelloId, notionPageId, name, changes })
+   * @param {Array<Object>|null} undo - Operations that revert it, or null if it cannot be reverted
+   * @returns {Promise<void>}
+   */
+  async record(operation, undo) {
+    if (!this.runId) {
+      throw new Error('Journal run not started');
+    }
+
+    const record = {
+      runId: this.runId,
+      seq: ++this.sequence,
+      at: new Date().toISOString(),
+      ...this.runMeta,
+      side: operation.side,
+      action: operation.action,
+      trelloId: operation.trelloId || null,
+      notionPageId: operation.notionPageId || null,
+      name: operation.name || null,
+      changes: operation.changes || {},
+      writes: describeTrelloWrites(operation), // Lets the poller and webhook ignore the sync's own echoes
+      undo
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      this.logger.error(`Error writing sync journal ${this.filePath}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Parses journal lines, skipping unreadable ones
+   * @param {string} text - Journal file content
+   * @returns {Array<Object>} Journal records
+   */
+  parseRecords(text) {
+    const records = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a truncated last line
+        this.logger.warn(`Skipping unreadable line ${index + 1} in sync journal ${this.filePath}`);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Reads every record of a run, in the order they were written
+   * @param {string} runId - Run ID
+   * @returns {Promise<Array<Object>>} Journal records
+   */
+  async readRun(runId) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return this.parseRecords(raw)
+      .filter(record => record.runId === runId)
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Reads the complete records appended after a byte offset, so callers can follow the journal without re-reading it
+   * @param {number} offset - Byte offset returned by the previous call (0 to read from the start)
+   * @returns {Promise<Object>} { records, offset } - offset is where the next call should continue
+   */
+  async readFrom(offset = 0) {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { records: [], offset: 0 };
+      }
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      // Start over if the journal was truncated or replaced
+      const start = size < offset ? 0 : offset;
+      if (size === start) {
+        return { records: [], offset: start };
+      }
+
+      const buffer = Buffer.alloc(size - start);
+      await handle.read(buffer, 0, buffer.length, start);
+
+      // Leave a line that is still being appended for the next call
+      const end = buffer.lastIndexOf(0x0a) + 1;
+      return {
+        records: this.parseRecords(buffer.subarray(0, end).toString('utf8')),
+        offset: start + end
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+export default Journal;
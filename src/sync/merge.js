@@ -0,0 +1,168 @@
+import { hasChanged } from '../utils/mapping.js';
+
+/**
+ * Three-way merge of field values between Trello and Notion
+ */
+
+/**
+ * Default conflict resolver used when no policy callback is given
+ * @returns {Object} Trello-wins resolution
+ */
+function defaultResolver() {
+  return { policy: 'trello-wins', winner: 'trello' };
+}
+
+/**
+ * Returns true if a value counts as "not set" on a platform
+ * @param {any} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmpty(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Merges two edited lists (e.g. label names) item by item: names added on either side are
+ * added and names removed on either side are removed
+ * @param {Array<string>|null} base - Last-synced list
+ * @param {Array<string>|null} trelloValue - Current Trello list
+ * @param {Array<string>|null} notionValue - Current Notion list
+ * @returns {Array<string>|null} Merged list, sorted, or null if empty
+ */
+function mergeLists(base, trelloValue, notionValue) {
+  const baseSet = new Set(base || []);
+  const trelloSet = new Set(trelloValue || []);
+  const notionSet = new Set(notionValue || []);
+  const removed = [...baseSet].filter(name => !trelloSet.has(name) || !notionSet.has(name));
+  const merged = [...new Set([...trelloSet, ...notionSet])].filter(name => !removed.includes(name)).sort();
+  return merged.length > 0 ? merged : null;
+}
+
+/**
+ * Joins two lists
+ * @param {Array<string>|null} first - List
+ * @param {Array<string>} second - List
+ * @returns {Array<string>|null} Both lists' items, sorted and without duplicates, or null if empty
+ */
+function joinLists(first, second) {
+  const joined = [...new Set([...(first || []), ...second])].sort();
+  return joined.length > 0 ? joined : null;
+}
+
+/**
+ * Compares both sides of a pair against the last-synced base values and
+ * decides, per field, which side changed and therefore which side to update.
+ *
+ * - Only Trello changed  → push the Trello value to Notion
+ * - Only Notion changed  → push the Notion value to Trello
+ * - Both changed         → conflict, settled by the resolveConflict callback; lists are
+ *                          merged item by item instead
+ * - No base recorded yet → seed from whichever side has a value, Trello first
+ *
+ * One-way fields skip the merge: the source side's value is pushed whenever the sides differ.
+ * Lists that do not sync removals (syncRemovals: false) only ever gain the items added on the
+ * other side since the last sync, in either case.
+ *
+ * @param {Object|null} base - Last-synced field values (from the state store)
+ * @param {Object} trelloValues - Current Trello field values
+ * @param {Object} notionValues - Current Notion field values
+ * @param {Array<Object>} fields - Field definitions ({ key, type, direction, syncRemovals }) to merge
+ * @param {Function} resolveConflict - (field, conflict) => { policy, winner }; winner is
+ *   'trello', 'notion' or null to leave both sides untouched. Defaults to Trello winning.
+ * @returns {Object} { toNotion, toTrello, conflicts, merged }
+ */
+export function threeWayMerge(base, trelloValues, notionValues, fields, resolveConflict = defaultResolver) {
+  const toNotion = {};
+  const toTrello = {};
+  const conflicts = [];
+  const merged = {};
+
+  for (const { key: field, type, direction, syncRemovals } of fields) {
+    const trelloValue = trelloValues[field] ?? null;
+    const notionValue = notionValues[field] ?? null;
+
+    // Both sides agree - nothing to push
+    if (!hasChanged(trelloValue, notionValue)) {
+      merged[field] = trelloValue;
+      continue;
+    }
+
+    const hasBase = base != null && Object.prototype.hasOwnProperty.call(base, field);
+
+    if (type === 'list' && syncRemovals === false) {
+      // Items missing from one side were removed there, so are only carried over when new
+      const baseItems = hasBase ? base[field] || [] : [];
+      const added = value => (value || []).filter(item => !baseItems.includes(item));
+      const trelloResult = direction === 'trello-to-notion' ? trelloValue : joinLists(trelloValue, added(notionValue));
+      const notionResult = direction === 'notion-to-trello' ? notionValue : joinLists(notionValue, added(trelloValue));
+      if (hasChanged(trelloResult, trelloValue)) {
+        toTrello[field] = trelloResult;
+      }
+      if (hasChanged(notionResult, notionValue)) {
+        toNotion[field] = notionResult;
+      }
+      // Remembering both sides' items keeps an item removed on one side from looking new on the other
+      merged[field] = joinLists(trelloResult, notionResult || []);
+      continue;
+    }
+
+    if (direction === 'trello-to-notion') {
+      toNotion[field] = trelloValue;
+      merged[field] = trelloValue;
+      continue;
+    }
+    if (direction === 'notion-to-trello') {
+      toTrello[field] = notionValue;
+      merged[field] = notionValue;
+      continue;
+    }
+
+    if (!hasBase) {
+      if (isEmpty(trelloValue)) {
+        toTrello[field] = notionValue;
+        merged[field] = notionValue;
+      } else {
+        toNotion[field] = trelloValue;
+        merged[field] = trelloValue;
+      }
+      continue;
+    }
+
+    const trelloChanged = hasChanged(base[field], trelloValue);
+    const notionChanged = hasChanged(base[field], notionValue);
+
+    if (trelloChanged && !notionChanged) {
+      toNotion[field] = trelloValue;
+      merged[field] = trelloValue;
+    } else if (notionChanged && !trelloChanged) {
+      toTrello[field] = notionValue;
+      merged[field] = notionValue;
+    } else if (type === 'list') {
+      const value = mergeLists(base[field], trelloValue, notionValue);
+      if (hasChanged(value, trelloValue)) {
+        toTrello[field] = value;
+      }
+      if (hasChanged(value, notionValue)) {
+        toNotion[field] = value;
+      }
+      merged[field] = value;
+    } else {
+      const conflict = { field, base: base[field], trelloValue, notionValue };
+      const { policy, winner } = resolveConflict(field, conflict);
+      conflicts.push({ ...conflict, policy, winner });
+
+      if (winner === 'trello') {
+        toNotion[field] = trelloValue;
+        merged[field] = trelloValue;
+      } else if (winner === 'notion') {
+        toTrello[field] = notionValue;
+        merged[field] = notionValue;
+      } else {
+        // Unresolved - keep the old base so the conflict is reported again next run
+        merged[field] = base[field];
+      }
+    }
+  }
+
+  return { toNotion, toTrello, conflicts, merged };
+}
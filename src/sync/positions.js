@@ -0,0 +1,60 @@
+/**
+ * Card positions: Trello `pos` values ⟷ per-list ranks.
+ *
+ * Trello orders the cards of a list by their `pos`, a positive number that only
+ * means something relative to the other cards. The sync exposes it as a rank,
+ * 1 for the top card of each list, and turns a new rank back into a `pos`
+ * between the cards the card should sit between.
+ */
+
+// Gap Trello leaves between cards added to the bottom of a list
+const POSITION_STEP = 65536;
+
+/**
+ * Orders the open cards of each list by position
+ * @param {Array<Object>} trelloCards - Trello cards ({ id, idList, pos, closed })
+ * @returns {Map<string, Array<Object>>} List ID -> cards from top to bottom ({ id, pos })
+ */
+export function buildListOrder(trelloCards) {
+  const order = new Map();
+  trelloCards
+    .filter(card => !card.closed && typeof card.pos === 'number')
+    .sort((a, b) => a.pos - b.pos)
+    .forEach(card => {
+      order.set(card.idList, [...(order.get(card.idList) || []), { id: card.id, pos: card.pos }]);
+    });
+  return order;
+}
+
+/**
+ * Reads the rank of a card in its list
+ * @param {Map<string, Array<Object>>} order - List order (see buildListOrder)
+ * @param {Object} trelloCard - Trello card ({ id, idList })
+ * @returns {number|null} 1-based rank, or null for an archived card
+ */
+export function readRank(order, trelloCard) {
+  const index = (order.get(trelloCard.idList) || []).findIndex(entry => entry.id === trelloCard.id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Finds the position that puts a card at a rank in a list, and records the card there
+ * so the next card placed in the same run sees the new order
+ * @param {Map<string, Array<Object>>} order - List order (see buildListOrder); updated in place
+ * @param {string} cardId - Card to place
+ * @param {string} listId - List the card will be in
+ * @param {number} rank - 1-based rank; fractions round up and ranks past the bottom place it last
+ * @returns {number} Trello position
+ */
+export function placeCard(order, cardId, listId, rank) {
+  order.forEach((cards, id) => order.set(id, cards.filter(entry => entry.id !== cardId)));
+  const others = order.get(listId) || [];
+  const index = Math.min(Math.max(Math.ceil(rank) - 1, 0), others.length);
+
+  const above = others[index - 1]?.pos ?? 0;
+  const below = others[index]?.pos;
+  const pos = below === undefined ? above + POSITION_STEP : (above + below) / 2;
+
+  order.set(listId, [...others.slice(0, index), { id: cardId, pos }, ...others.slice(index)]);
+  return pos;
+}
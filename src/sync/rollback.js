@@ -0,0 +1,169 @@
+import { buildNotionProperties, buildTrelloCardFields } from '../utils/mapping.js';
+import { findPageBodyField } from '../config/fieldMapping.js';
+import { invertChecklistSteps } from './checklists.js';
+
+/**
+ * Inverse operations for journaled writes, used by the rollback command.
+ * Undo operations use the same { side, action, payload } shape as plan
+ * operations, so a rollback is executed like any other sync plan.
+ */
+
+/**
+ * Swaps the before/after values of field changes
+ * @param {Object} changes - Field changes ({ field: { from, to } })
+ * @returns {Object} Reverted changes
+ */
+function revertChanges(changes = {}) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([field, change]) => [field, { from: change.to, to: change.from }])
+  );
+}
+
+/**
+ * Finds the value a Trello custom field had before an update
+ * @param {string} fieldName - Trello custom field name
+ * @param {Object} changes - Field changes of the update
+ * @param {Object} mapping - Field mapping
+ * @returns {any} Previous value
+ */
+function previousCustomFieldValue(fieldName, changes, mapping) {
+  const field = mapping.fields.find(candidate => candidate.trello.source === 'customField' && candidate.trello.name === fieldName);
+  const key = field ? field.key : fieldName; // The synced flag is recorded under its own name
+  return changes[key]?.from ?? null;
+}
+
+/**
+ * Builds the operations that revert an executed operation
+ * @param {Object} operation - Executed operation ({ side, action, trelloId, notionPageId, name, changes, payload })
+ * @param {Object} mapping - Field mapping the operation was planned with
+ * @returns {Array<Object>|null} Undo operations, or null if the operation cannot be reverted
+ */
+export function createUndoOperations(operation, mapping) {
+  const { side, action, payload = {}, changes = {} } = operation;
+  const item = { trelloId: operation.trelloId || null, notionPageId: operation.notionPageId || null, name: operation.name };
+  const { trelloIdProperty, syncedFlag } = mapping.identity;
+
+  switch (`${side}:${action}`) {
+    case 'notion:create':
+      // undoesCreate keeps the next sync from creating the page again
+      return [{ ...item, side: 'notion', action: 'delete', changes: revertChanges(changes), undoesCreate: true }];
+
+    case 'notion:update': {
+      const previous = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.from]));
+      // Properties that cannot be rebuilt from field values (e.g. people) are recorded as they were
+      const properties = { ...buildNotionProperties(previous, mapping), ...payload.previousProperties };
+      if (syncedFlag && changes[syncedFlag]) {
+        properties[syncedFlag] = { checkbox: changes[syncedFlag].from === true };
+      }
+      const bodyField = findPageBodyField(mapping);
+      const body = bodyField && changes[bodyField.key] ? changes[bodyField.key].from ?? '' : undefined;
+      const checklists = payload.checklists ? invertChecklistSteps('notion', payload.checklists, operation.createdIds) : [];
+      return [{
+        ...item,
+        side: 'notion',
+        action: 'update',
+        changes: revertChanges(changes),
+        payload: { properties, body, ...(checklists.length > 0 ? { checklists } : {}) }
+      }];
+    }
+
+    case 'notion:delete':
+    case 'notion:archive':
+      return [{ ...item, side: 'notion', action: 'restore', changes: revertChanges(changes) }];
+
+    case 'notion:restore':
+      return [{ ...item, side: 'notion', action: 'archive', changes: revertChanges(changes), lifecycle: true }];
+
+    case 'trello:create':
+      // Archive the card and unlink the page it was created from; undoesCreate keeps the next sync from creating the card again
+      return [
+        { ...item, side: 'trello', action: 'archive', changes: revertChanges(changes), undoesCreate: true },
+        {
+          ...item,
+          side: 'notion',
+          action: 'update',
+          changes: {
+            [trelloIdProperty]: { from: operation.trelloId, to: null },
+            ...(syncedFlag ? { [syncedFlag]: { from: true, to: false } } : {})
+          },
+          payload: {
+            properties: {
+              [trelloIdProperty]: { rich_text: [] },
+              ...(syncedFlag ? { [syncedFlag]: { checkbox: false } } : {})
+            }
+          }
+        }
+      ];
+
+    case 'trello:update': {
+      const checklists = payload.checklists ? invertChecklistSteps('trello', payload.checklists, operation.createdIds) : [];
+      const card = {};
+      mapping.fields
+        .filter(field => changes[field.key])
+        .forEach(field => {
+          Object.entries(buildTrelloCardFields(field, changes[field.key].from ?? null))
+            .filter(([property]) => Object.prototype.hasOwnProperty.call(payload.card || {}, property))
+            .forEach(([property, value]) => {
+              card[property] = value;
+            });
+        });
+      // The card goes back to where it was, between the cards that were around it
+      if (payload.fromPos !== undefined) {
+        card.pos = payload.fromPos;
+      }
+
+      return [{
+        ...item,
+        side: 'trello',
+        action: 'update',
+        changes: revertChanges(changes),
+        payload: {
+          card,
+          customFields: (payload.customFields || []).map(update => ({
+            ...update,
+            value: previousCustomFieldValue(update.fieldName, changes, mapping)
+          })),
+          // Labels created on the board stay there; they are only taken off the card
+          labels: { add: payload.labels?.remove || [], remove: [...(payload.labels?.add || []), ...(operation.createdLabelIds || [])] },
+          ...(payload.members ? { members: { add: payload.members.remove, remove: payload.members.add } } : {}),
+          // Deleted attachments come back as new attachments with the same URL
+          ...(payload.attachments ? {
+            attachments: {
+              add: payload.attachments.remove.map(({ url, name }) => ({ url, name })),
+              remove: operation.createdAttachments || []
+            }
+          } : {}),
+          ...(checklists.length > 0 ? { checklists } : {})
+        }
+      }];
+    }
+
+    case 'trello:move':
+      return [{
+        ...item,
+        side: 'trello',
+        action: 'move',
+        changes: revertChanges(changes),
+        payload: {
+          idList: payload.fromListId,
+          fromListId: payload.idList,
+          ...(payload.fromPos !== undefined ? { pos: payload.fromPos, fromPos: payload.pos } : {})
+        }
+      }];
+
+    case 'trello:archive':
+      return [{ ...item, side: 'trello', action: 'restore', changes: revertChanges(changes) }];
+
+    case 'trello:restore':
+      // Archiving keeps the pair, so the card can be restored again
+      return [{ ...item, side: 'trello', action: 'archive', changes: revertChanges(changes), lifecycle: true }];
+
+    case 'trello:comment':
+      return [{ ...item, side: 'trello', action: 'deleteComment', changes: revertChanges(changes), payload: { commentId: operation.commentId } }];
+
+    default:
+      // Hard-deleted Trello cards and deleted comments cannot be brought back, and Notion comments cannot be deleted;
+      // renamed options follow a list rename on the board, which a rollback does not undo
+      return null;
+  }
+}
@@ -0,0 +1,280 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+const STATE_VERSION = 1;
+
+/**
+ * Persistent store for the last-synced value of every mapped field.
+ * Each Trello card / Notion page pair is keyed by Trello card ID and holds the
+ * field values both sides agreed on at the end of the previous run, which is
+ * the "base" the sync engine uses for its three-way merge.
+ */
+class StateStore {
+  /**
+   * @param {string} filePath - Path to the JSON state file
+   * @param {Object} options - Store options
+   * @param {Object} options.logger - Logger to use, e.g. one tagged with the sync pair name
+   */
+  constructor(filePath = config.sync.stateFile, { logger: storeLogger = logger } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.logger = storeLogger;
+    this.state = this.createEmptyState();
+  }
+
+  /**
+   * Creates an empty state document
+   * @returns {Object} Empty state
+   */
+  createEmptyState() {
+    return {
+      version: STATE_VERSION,
+      updatedAt: null,
+      cursors: null,
+      pairs: {},
+      tombstones: {},
+      pendingCreates: {},
+      rolledBackCreates: {},
+      comments: {}
+    };
+  }
+
+  /**
+   * Loads the state file from disk, starting empty if it does not exist yet
+   * @returns {Promise<Object>} Loaded state
+   */
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(raw);
+
+      if (parsed.version !== STATE_VERSION) {
+        throw new Error(`Unsupported sync state version ${parsed.version} in ${this.filePath}`);
+      }
+
+      this.state = { ...this.createEmptyState(), ...parsed };
+      this.logger.info(`Loaded sync state for ${Object.keys(this.state.pairs).length} pairs`, { file: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error(`Error loading sync state from ${this.filePath}`, { error: error.message });
+        throw error;
+      }
+
+      this.logger.info('No sync state file found - starting with empty state', { file: this.filePath });
+      this.state = this.createEmptyState();
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Writes the state to disk atomically (temp file + rename). Overlapping saves,
+   * e.g. from pairs written concurrently, run one at a time.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.saving = (this.saving || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.write());
+    return this.saving;
+  }
+
+  /**
+   * Writes the current state to disk
+   * @returns {Promise<void>}
+   */
+  async write() {
+    this.state.updatedAt = new Date().toISOString();
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2));
+      await fs.rename(tempPath, this.filePath);
+      this.logger.debug('Saved sync state', { file: this.filePath });
+    } catch (error) {
+      this.logger.error(`Error saving sync state to ${this.filePath}`, { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the time the state was last saved, i.e. the end of the previous run
+   * @returns {string|null} ISO timestamp or null on the first run
+   */
+  getLastSyncTime() {
+    return this.state.updatedAt;
+  }
+
+  /**
+   * Gets the change cursors recorded by the last successful run
+   * @returns {Object|null} { trelloActionId, notionWatermark, lastFullSyncAt, commentsSince } or null before the first run
+   */
+  getCursors() {
+    return this.state.cursors;
+  }
+
+  /**
+   * Records the change cursors to continue from on the next incremental run
+   * @param {Object} cursors - { trelloActionId, notionWatermark, lastFullSyncAt, commentsSince }
+   */
+  setCursors(cursors) {
+    this.state.cursors = { ...this.state.cursors, ...cursors };
+  }
+
+  /**
+   * Gets the stored record for a card/page pair
+   * @param {string} trelloId - Trello card ID
+   * @returns {Object|null} Pair record ({ notionPageId, fields, archived, checklists, syncedAt }) or null
+   */
+  getPair(trelloId) {
+    return this.state.pairs[trelloId] || null;
+  }
+
+  /**
+   * Finds the stored record for a Notion page
+   * @param {string} notionPageId - Notion page ID
+   * @returns {Object|null} Pair record including its trelloId, or null
+   */
+  findPairByNotionId(notionPageId) {
+    const entry = Object.entries(this.state.pairs)
+      .find(([, pair]) => pair.notionPageId === notionPageId);
+    return entry ? { trelloId: entry[0], ...entry[1] } : null;
+  }
+
+  /**
+   * Records the last-synced field values for a card/page pair
+   * @param {string} trelloId - Trello card ID
+   * @param {string} notionPageId - Notion page ID
+   * @param {Object} fields - Field values keyed by field name
+   * @param {boolean} archived - Whether both items were archived when last synced
+   * @param {Array<Object>} [checklists] - Linked checklists and items (see sync/checklists.js), when synced
+   */
+  setPair(trelloId, notionPageId, fields, archived = false, checklists = undefined) {
+    this.state.pairs[trelloId] = {
+      notionPageId,
+      fields,
+      archived,
+      ...(checklists ? { checklists } : {}),
+      syncedAt: new Date().toISOString()
+    };
+    // A recorded pair completes any interrupted create for its page, and links items whose create was rolled back
+    delete this.state.pendingCreates[notionPageId];
+    delete this.state.rolledBackCreates[trelloId];
+    delete this.state.rolledBackCreates[notionPageId];
+  }
+
+  /**
+   * Records whether a card/page pair is archived, keeping its last-synced field values
+   * @param {string} trelloId - Trello card ID
+   * @param {boolean} archived - Whether both items are now archived
+   */
+  setArchived(trelloId, archived) {
+    const pair = this.state.pairs[trelloId];
+    if (pair) {
+      this.setPair(trelloId, pair.notionPageId, pair.fields, archived, pair.checklists);
+    }
+  }
+
+  /**
+   * Forgets a card/page pair (e.g. after deletion sync)
+   * @param {string} trelloId - Trello card ID
+   */
+  removePair(trelloId) {
+    delete this.state.pairs[trelloId];
+    delete this.state.comments[trelloId];
+  }
+
+  /**
+   * Gets the mirrored comments of a card/page pair
+   * @param {string} trelloId - Trello card ID
+   * @returns {Array<Object>} Links between each mirrored comment and its source ({ trello, notion } comment IDs)
+   */
+  getCommentLinks(trelloId) {
+    return this.state.comments[trelloId] || [];
+  }
+
+  /**
+   * Records that a comment was mirrored, so neither copy is mirrored again
+   * @param {string} trelloId - Trello card ID
+   * @param {Object} link - { trello, notion } comment IDs
+   */
+  addCommentLink(trelloId, link) {
+    this.state.comments[trelloId] = [...this.getCommentLinks(trelloId), link];
+  }
+
+  /**
+   * Gets every Trello card create that was started but not confirmed as linked
+   * @returns {Object} Pending creates keyed by Notion page ID ({ name, startedAt, trelloId })
+   */
+  getPendingCreates() {
+    return this.state.pendingCreates;
+  }
+
+  /**
+   * Records a Trello card create for a Notion page before (and after) it is made
+   * @param {string} notionPageId - Notion page the card is created for
+   * @param {Object} pending - { name, startedAt, trelloId } - trelloId is null until the card exists
+   */
+  setPendingCreate(notionPageId, pending) {
+    this.state.pendingCreates[notionPageId] = pending;
+  }
+
+  /**
+   * Gets the rolled-back create recorded for a card or page
+   * @param {string} itemId - Trello card or Notion page the create was made from
+   * @returns {Object|null} { side, name, rolledBackAt } or null
+   */
+  getRolledBackCreate(itemId) {
+    return this.state.rolledBackCreates[itemId] || null;
+  }
+
+  /**
+   * Records that the counterpart created for a card or page was rolled back, so the
+   * item is not synced again until it is linked by hand
+   * @param {string} itemId - Trello card or Notion page the create was made from
+   * @param {Object} rolledBack - { side, name } - side of the item
+   */
+  setRolledBackCreate(itemId, rolledBack) {
+    this.state.rolledBackCreates[itemId] = { ...rolledBack, rolledBackAt: new Date().toISOString() };
+    // An interrupted create for the page would otherwise link its card on the next run
+    delete this.state.pendingCreates[itemId];
+  }
+
+  /**
+   * Gets the pending deletion recorded for a card/page pair
+   * @param {string} trelloId - Trello card ID
+   * @returns {Object|null} Tombstone ({ side, notionPageId, name, missingSince }) or null
+   */
+  getTombstone(trelloId) {
+    return this.state.tombstones[trelloId] || null;
+  }
+
+  /**
+   * Gets every pending deletion
+   * @returns {Object} Tombstones keyed by Trello card ID
+   */
+  getTombstones() {
+    return this.state.tombstones;
+  }
+
+  /**
+   * Records that one side of a pair went missing and its counterpart is due for deletion
+   * @param {string} trelloId - Trello card ID
+   * @param {Object} tombstone - { side, notionPageId, name, missingSince }
+   */
+  setTombstone(trelloId, tombstone) {
+    this.state.tombstones[trelloId] = tombstone;
+  }
+
+  /**
+   * Clears a pending deletion (the item came back or was deleted)
+   * @param {string} trelloId - Trello card ID
+   */
+  removeTombstone(trelloId) {
+    delete this.state.tombstones[trelloId];
+  }
+}
+
+export default StateStore;
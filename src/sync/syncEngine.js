@@ -1,114 +1,1479 @@
 import TrelloService from '../services/trello.js';
 import NotionService from '../services/notion.js';
-import { 
-  mapTrelloToNotion, 
-  mapNotionToTrello, 
-  extractTrelloCustomFields, 
-  hasChanged 
+import StateStore from './stateStore.js';
+import Journal from './journal.js';
+import { createUndoOperations } from './rollback.js';
+import { threeWayMerge } from './merge.js';
+import { getConflictPolicy, isPolicyInUse, resolveConflict } from './conflictResolver.js';
+import { createPlan, addOperation, findDrift, PLAN_VERSION } from './syncPlan.js';
+import { loadFieldMapping, findFieldBySource, findPageBodyField } from '../config/fieldMapping.js';
+import {
+  mapTrelloToNotion,
+  extractTrelloCustomFields,
+  extractTrelloFieldValues,
+  extractNotionFieldValues,
+  buildNotionProperties,
+  buildTrelloCardFields,
+  hasChanged,
+  fileNameFromUrl,
+  labelColorToNotion,
+  notionColorToLabel
 } from '../utils/mapping.js';
+import { markdownToBlocks, blocksToMarkdown, markdownToRichText } from '../utils/markdown.js';
+import { toTrelloDate } from '../utils/dates.js';
+import {
+  readTrelloChecklists,
+  splitPageBlocks,
+  checklistsFromState,
+  mergeChecklists,
+  resolveChecklistState,
+  checklistHeadingBlock,
+  checklistItemBlock
+} from './checklists.js';
+import { readTrelloComments, readNotionComments, planCommentMirrors, describeComment } from './comments.js';
+import { CHECKLIST_ACTIONS } from './echo.js';
+import { buildUserMap, readCardMembers, readPagePeople, buildPagePeople, planMemberChanges } from './users.js';
+import { buildListOrder, readRank, placeCard } from './positions.js';
 import { logger } from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/requestScheduler.js';
+import { cardCreatedAt } from '../utils/duplicates.js';
+import { config } from '../config/config.js';
 
 /**
- * Core synchronization engine that orchestrates data sync between Trello and Notion
+ * Trello board actions that change a card's synced data
+ */
+const CARD_CHANGE_ACTIONS = [
+  'createCard',
+  'updateCard',
+  'updateCustomFieldItem',
+  'addLabelToCard',
+  'removeLabelFromCard',
+  'addMemberToCard',
+  'removeMemberFromCard',
+  'addAttachmentToCard',
+  'deleteAttachmentFromCard',
+  'copyCard',
+  'moveCardToBoard',
+  'convertToCardFromCheckItem',
+  ...CHECKLIST_ACTIONS
+];
+
+// Trello custom field types the sync can write; "list" is a dropdown, synced by option name
+const CUSTOM_FIELD_TYPES = ['number', 'text', 'checkbox', 'list', 'date'];
+
+// Conflict policy key (see CONFLICT_POLICIES) for checklists and items changed on both sides
+const CHECKLISTS_POLICY_KEY = 'Checklists';
+
+// Trello returns at most 1000 actions per request; hitting that means changes may have been missed
+const ACTION_PAGE_LIMIT = 1000;
+
+// Allowed difference between local and Trello clocks when matching cards to interrupted creates
+const CREATE_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Core synchronization engine that orchestrates data sync between Trello and Notion.
+ * A sync run first builds a plan of operations without writing anything, then
+ * executes it; the two steps can also be run separately (dry run + apply).
  */
 class SyncEngine {
-  constructor() {
-    this.trelloService = new TrelloService();
-    this.notionService = new NotionService();
-    this.syncStats = {
-      trelloToNotion: { created: 0, updated: 0 },
-      notionToTrello: { created: 0, updated: 0 },
-      errors: 0
+  /**
+   * @param {Object} pair - Sync pair to work on (see config/syncPairs.js); defaults to the
+   *   board, database, mapping and state file from the environment
+   * @param {Object} options - Engine options
+   * @param {Object} options.logger - Logger to use, e.g. one tagged with the pair name
+   */
+  constructor(pair = {}, { logger: engineLogger = logger } = {}) {
+    this.pair = pair;
+    this.logger = engineLogger;
+    this.mapping = loadFieldMapping(pair.mappingFile || undefined);
+    // Conflict policies set in the mapping take the place of the environment ones for this pair
+    this.conflictPolicies = this.mapping.conflicts || config.conflicts;
+    // Archived cards are only fetched when their archived state is synced, and checklists and attachments when they are synced
+    this.syncChecklists = this.mapping.checklists !== 'off';
+    this.attachmentsField = findFieldBySource(this.mapping, 'attachments');
+    this.cardFetchOptions = {
+      includeClosed: this.mapping.archive !== 'off',
+      includeChecklists: this.syncChecklists,
+      includeAttachments: Boolean(this.attachmentsField)
     };
+    // New comments bring their card into incremental runs when comments are mirrored, and renamed lists their cards when lists are synced
+    this.syncComments = this.mapping.comments !== 'off';
+    this.listField = findFieldBySource(this.mapping, 'list');
+    this.cardChangeActions = [
+      ...CARD_CHANGE_ACTIONS,
+      ...(this.syncComments ? ['commentCard'] : []),
+      ...(this.listField ? ['updateList'] : [])
+    ];
+    // Page content is only fetched when a field or the checklists sync it
+    this.bodyField = findPageBodyField(this.mapping);
+    this.labelsField = findFieldBySource(this.mapping, 'labels');
+    // Board members and Notion users are only listed when card members are synced
+    this.membersField = findFieldBySource(this.mapping, 'members');
+    this.positionField = findFieldBySource(this.mapping, 'position');
+    this.trelloService = new TrelloService({ boardId: pair.boardId, duplicates: pair.duplicates, logger: engineLogger });
+    this.notionService = new NotionService({
+      databaseId: pair.databaseId,
+      trelloIdProperty: this.mapping.identity.trelloIdProperty,
+      logger: engineLogger
+    });
+    this.stateStore = new StateStore(pair.stateFile || undefined, { logger: engineLogger });
+    this.journal = new Journal(pair.journalFile || undefined, { logger: engineLogger });
+    this.resetStats();
   }
 
   /**
    * Performs a complete sync between Trello and Notion
-   * @returns {Promise<Object>} Sync statistics
+   * @param {Object} options - Sync options
+   * @param {boolean} options.dryRun - Only build the plan, without writing anything
+   * @param {boolean} options.full - Force a full reconcile instead of an incremental run
+   * @param {boolean} options.allowMassDelete - Allow deleting more than the configured share of items
+   * @returns {Promise<Object>} Sync statistics (including the plan on dry runs)
    */
-  async performSync() {
-    logger.info('Starting sync process...');
+  async performSync({ dryRun = false, full = false, allowMassDelete = config.deletion.allowMassDelete } = {}) {
+    this.logger.info(`Starting sync process${dryRun ? ' (dry run)' : ''}...`);
     this.resetStats();
 
     try {
-      // Fetch all data upfront
-      const [trelloCards, trelloLists, trelloCustomFields, notionEntries] = await Promise.all([
-        this.trelloService.getCards(),
-        this.trelloService.getLists(),
-        this.trelloService.getCustomFields(),
-        this.notionService.getEntries()
-      ]);
+      const plan = await this.planSync({ full });
+      this.syncStats.mode = plan.mode;
+      this.syncStats.skippedDuplicates = this.trelloService.getSkippedDuplicates();
+      this.syncStats.conflicts = plan.conflicts;
+      this.syncStats.unsorted = plan.unsorted;
+      this.syncStats.skippedPages = plan.skippedPages;
+
+      if (dryRun) {
+        plan.operations.forEach(operation => this.countOperation(operation));
+        this.syncStats.dryRun = true;
+        this.syncStats.plan = plan;
+        this.syncStats.api.trello = this.trelloService.getRequestStats();
+        this.syncStats.api.notion = this.notionService.getRequestStats();
+        this.findMassDeletions(plan).forEach(message => this.logger.warn(`Plan would delete ${message} - applying it will be refused without --allow-mass-delete`));
+        this.logger.info(`Dry run complete: ${plan.operations.length} operations planned`);
+        return this.syncStats;
+      }
+
+      await this.executePlan(plan, { allowMassDelete });
+
+      this.logger.info('Sync completed successfully', this.syncStats);
+      return this.syncStats;
+
+    } catch (error) {
+      this.logger.error('Sync process failed', error);
+      this.syncStats.errors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Executes a previously saved plan, refusing to run if either side drifted since it was made
+   * @param {Object} plan - Plan produced by a dry run
+   * @param {Object} options - Apply options
+   * @param {boolean} options.allowMassDelete - Allow deleting more than the configured share of items
+   * @returns {Promise<Object>} Sync statistics
+   * @throws {Error} If the plan does not match this board/database or is stale
+   */
+  async applyPlan(plan, { allowMassDelete = config.deletion.allowMassDelete } = {}) {
+    this.logger.info(`Applying sync plan created at ${plan.createdAt} (${plan.operations.length} operations)`);
+    this.resetStats();
+
+    if (plan.version !== PLAN_VERSION) {
+      throw new Error(`Unsupported sync plan version ${plan.version}`);
+    }
+    if (plan.boardId !== this.trelloService.boardId || plan.databaseId !== this.notionService.databaseId) {
+      throw new Error('Sync plan was made for a different Trello board or Notion database');
+    }
+
+    await this.stateStore.load();
+    if (this.stateStore.getLastSyncTime() !== plan.stateUpdatedAt) {
+      throw new Error('Sync state changed since the plan was made (another sync ran) - create a new plan');
+    }
+
+    const [trelloCards, notionEntries] = await Promise.all([
+      this.trelloService.getCards(this.cardFetchOptions),
+      this.notionService.getEntries()
+    ]);
+
+    await this.loadPageContent(notionEntries.filter(entry => plan.snapshot.notion[entry.id]), trelloCards);
+    const drift = findDrift(plan, trelloCards, notionEntries);
+    if (drift.length > 0) {
+      drift.forEach(item => this.logger.warn(`Drift detected on ${item.side} ${item.id}: ${item.reason}`));
+      throw new Error(`Refusing to apply plan: ${drift.length} items changed since it was made - create a new plan`);
+    }
+
+    this.syncStats.mode = plan.mode;
+    this.syncStats.skippedDuplicates = this.trelloService.getSkippedDuplicates();
+    this.syncStats.conflicts = plan.conflicts;
+    this.syncStats.unsorted = plan.unsorted || [];
+    this.syncStats.skippedPages = plan.skippedPages || [];
+    await this.executePlan(plan, { allowMassDelete });
+
+    this.logger.info('Sync plan applied', this.syncStats);
+    return this.syncStats;
+  }
 
-      // Create lookup maps
-      const listIdToNameMap = this.createListMap(trelloLists);        // ID -> name for Trello→Notion
-      const listNameToIdMap = this.createListMapReverse(trelloLists); // name -> ID for Notion→Trello
-      const customFieldMap = this.createCustomFieldMap(trelloCustomFields);
-      const notionByTrelloId = this.createNotionLookupMap(notionEntries);
+  /**
+   * Reverts every journaled write of a previous run. Items changed since that run are
+   * reported and left alone rather than overwritten.
+   * @param {string} runId - Run to roll back
+   * @param {Object} options - Rollback options
+   * @param {boolean} options.dryRun - Only build the rollback plan, without writing anything
+   * @returns {Promise<Object>} Sync statistics, with `skipped` listing the items not rolled back
+   * @throws {Error} If the journal has no writes for the run
+   */
+  async rollback(runId, { dryRun = false } = {}) {
+    this.logger.info(`Rolling back run ${runId}${dryRun ? ' (dry run)' : ''}...`);
+    this.resetStats();
+
+    const records = await this.journal.readRun(runId);
+    if (records.length === 0) {
+      throw new Error(`No journaled writes found for run ${runId} in ${this.journal.filePath}`);
+    }
+
+    await this.stateStore.load();
+    // Blockers are checked against the same view of the board the sync reads
+    const [trelloCards, trelloLists, trelloCustomFields, notionEntries] = await Promise.all([
+      this.trelloService.getCards(this.cardFetchOptions),
+      this.trelloService.getLists(),
+      this.trelloService.getCustomFields(),
+      this.notionService.getEntries()
+    ]);
+
+    const touchedPageIds = new Set(records.map(record => record.notionPageId).filter(Boolean));
+    await this.loadPageContent(notionEntries.filter(entry => touchedPageIds.has(entry.id)), trelloCards);
+    if (this.membersField) {
+      this.resolveMembers(trelloCards, notionEntries, await this.loadUserMap());
+    }
+    if (this.positionField) {
+      this.resolvePositions(trelloCards);
+    }
 
-      // Sync Trello → Notion
-      await this.syncTrelloToNotion(trelloCards, listIdToNameMap, trelloCustomFields, notionByTrelloId);
+    const current = {
+      listIdToNameMap: this.createListMap(trelloLists),
+      trelloCustomFields,
+      cards: Object.fromEntries(trelloCards.map(card => [card.id, card])),
+      entries: Object.fromEntries(notionEntries.map(entry => [entry.id, entry]))
+    };
 
-      // Sync Notion → Trello (including Total Score sync)
-      await this.syncNotionToTrello(notionEntries, listNameToIdMap, customFieldMap);
+    const plan = createPlan({
+      boardId: this.trelloService.boardId,
+      databaseId: this.notionService.databaseId,
+      stateUpdatedAt: this.stateStore.getLastSyncTime()
+    });
+    plan.mode = 'rollback';
+    const skipped = [];
+
+    // Undo the newest writes first
+    for (const record of [...records].reverse()) {
+      const reason = this.findRollbackBlocker(record, current);
+      if (reason) {
+        this.logger.warn(`Not rolling back ${record.side} ${record.action} of "${record.name}": ${reason}`);
+        skipped.push({ side: record.side, action: record.action, trelloId: record.trelloId, notionPageId: record.notionPageId, name: record.name, reason });
+        continue;
+      }
 
-      // Handle deletion sync based on "synced" checkbox
-      await this.handleDeletionSync(trelloCards, notionEntries, customFieldMap);
+      record.undo.forEach(operation => addOperation(plan, { ...operation, reason: `rollback of run ${runId}` }, {
+        trelloCard: current.cards[operation.trelloId] || null,
+        notionEntry: current.entries[operation.notionPageId] || null
+      }));
+    }
 
-      // Note: syncTotalScoreToTrello is now called within syncNotionToTrello to avoid duplicate API calls
+    this.syncStats.mode = plan.mode;
+    this.syncStats.skipped = skipped;
 
-      logger.info('Sync completed successfully', this.syncStats);
+    if (dryRun) {
+      plan.operations.forEach(operation => this.countOperation(operation));
+      this.syncStats.dryRun = true;
+      this.syncStats.plan = plan;
+      this.syncStats.api.trello = this.trelloService.getRequestStats();
+      this.syncStats.api.notion = this.notionService.getRequestStats();
       return this.syncStats;
+    }
+
+    await this.executePlan(plan, { rollbackOf: runId });
+    this.logger.info(`Rolled back run ${runId}: ${plan.operations.length} operations, ${skipped.length} items skipped`);
+    return this.syncStats;
+  }
+
+  /**
+   * Checks whether a journaled write can still be reverted safely
+   * @param {Object} record - Journal record
+   * @param {Object} current - Current items ({ cards, entries, listIdToNameMap, trelloCustomFields })
+   * @returns {string|null} Why the write cannot be reverted, or null if it can
+   */
+  findRollbackBlocker(record, current) {
+    if (!record.undo) {
+      return {
+        'notion:comment': 'Notion comments cannot be deleted through the API',
+        'trello:deleteComment': 'the Trello comment was deleted permanently'
+      }[`${record.side}:${record.action}`] || 'the Trello card was deleted permanently';
+    }
+    if (record.action === 'comment') {
+      return null;
+    }
+
+    const item = record.side === 'trello' ? current.cards[record.trelloId] : current.entries[record.notionPageId];
+
+    if (['delete', 'archive'].includes(record.action)) {
+      // Archived cards are read too when archive state is synced
+      return item && !item.closed ? 'it has been restored since' : null;
+    }
+    if (!item) {
+      return 'it no longer exists';
+    }
+
+    const values = record.side === 'trello'
+      ? extractTrelloFieldValues(
+        item,
+        extractTrelloCustomFields(item, current.trelloCustomFields),
+        current.listIdToNameMap[item.idList] || 'Unknown',
+        this.mapping
+      )
+      : extractNotionFieldValues(item, this.mapping);
+
+    const changedFields = Object.entries(record.changes)
+      .filter(([field]) => this.mapping.fields.some(candidate => candidate.key === field))
+      .filter(([field, change]) => hasChanged(values[field], change.to))
+      .map(([field]) => field);
+
+    return changedFields.length > 0 ? `changed since that run (${changedFields.join(', ')})` : null;
+  }
+
+  /**
+   * Builds the plan of every write needed to bring Trello and Notion in sync.
+   * Incremental runs only look at cards and pages changed since the previous run;
+   * a full reconcile runs on the first sync, every FULL_SYNC_INTERVAL and when asked.
+   * @param {Object} options - Planning options
+   * @param {boolean} options.full - Force a full reconcile
+   * @returns {Promise<Object>} Sync plan
+   */
+  async planSync({ full = false } = {}) {
+    // Load the last-synced field values used as the merge base
+    await this.stateStore.load();
+
+    const plan = createPlan({
+      boardId: this.trelloService.boardId,
+      databaseId: this.notionService.databaseId,
+      stateUpdatedAt: this.stateStore.getLastSyncTime()
+    });
+
+    const startedAt = new Date().toISOString();
+    const changes = !full && this.canSyncIncrementally() ? await this.fetchChanges(startedAt) : null;
+    const { mode, cursors, trelloCards, notionEntries, listOrder: fetchedOrder } = changes || await this.fetchEverything(startedAt);
+    plan.mode = mode;
+    plan.cursors = cursors;
+
+    // Comments are mirrored from the first run with comment mirroring on; older ones stay where they are
+    const commentsSince = this.stateStore.getCursors()?.commentsSince || null;
+    if (this.syncComments && !commentsSince) {
+      this.logger.info('Mirroring comments made from now on');
+      plan.cursors.commentsSince = startedAt;
+    } else if (!this.syncComments && commentsSince) {
+      plan.cursors.commentsSince = null;
+    }
+
+    if (mode === 'incremental' && trelloCards.length === 0 && notionEntries.length === 0) {
+      this.logger.info('No changes since the last sync');
+      return plan;
+    }
+
+    const [trelloLists, trelloCustomFields] = await Promise.all([
+      this.trelloService.getLists(),
+      this.trelloService.getCustomFields()
+    ]);
+
+    const userMap = this.membersField ? await this.loadUserMap() : null;
+    if (userMap) {
+      this.resolveMembers(trelloCards, notionEntries, userMap);
+    }
+
+    // Ranks come from every card in a list, including the cards an incremental run leaves out
+    const listOrder = this.positionField
+      ? fetchedOrder || this.resolvePositions(await this.trelloService.getCards(this.cardFetchOptions))
+      : null;
+
+    // Create lookup maps
+    const listIdToNameMap = this.createListMap(trelloLists);        // ID -> name for Trello→Notion
+    const listNameToIdMap = this.createListMapReverse(trelloLists); // name -> ID for Notion→Trello
+    const customFieldMap = this.createCustomFieldMap(trelloCustomFields);
+    const notionByTrelloId = this.createNotionLookupMap(notionEntries);
+
+    // Renamed lists rename their Notion option instead of rewriting every page that has it
+    const optionRenames = await this.planOptionRenames(trelloLists, plan);
+
+    // Board labels are only needed when the mapping syncs label fields
+    const labelNameToIdMap = findFieldBySource(this.mapping, 'label') || this.labelsField
+      ? this.createLabelMap(await this.trelloService.getBoardLabels())
+      : {};
+
+    // Labels missing from the Notion multi-select are added as options before they are used
+    const selectOptions = this.labelsField ? await this.getSelectOptions(this.labelsField.notion.property) : null;
+
+    // Field-level Trello edit times are only needed to settle latest-edit-wins conflicts
+    const fieldEditTimes = isPolicyInUse('latest-edit-wins', this.conflictPolicies)
+      ? await this.getTrelloFieldEditTimes(this.stateStore.getLastSyncTime())
+      : {};
+
+    const uniqueCards = this.getUniqueCards(trelloCards, listIdToNameMap);
+    await this.loadPageContent(notionEntries, uniqueCards);
+
+    // Cards left behind by interrupted creates are linked to their pages instead of being synced as new cards
+    const adoptions = this.findOrphanAdoptions(uniqueCards, notionEntries);
+
+    // Cards skipped by the duplicate rules still exist: their pages are neither deleted nor given new cards
+    const skippedCards = this.trelloService.getSkippedDuplicates();
+    const skippedCreates = this.findSkippedCreates(notionEntries, adoptions, skippedCards);
+
+    // Archiving or restoring a card or its page is mirrored on the other side before fields are merged
+    const archiveHandled = this.mapping.archive === 'page'
+      ? this.planArchiveSync(uniqueCards, notionByTrelloId, await this.findArchivedPages(uniqueCards, notionByTrelloId), plan)
+      : new Set();
+
+    const context = { listIdToNameMap, listNameToIdMap, trelloCustomFields, customFieldMap, labelNameToIdMap, selectOptions, userMap, listOrder, optionRenames, fieldEditTimes, adoptions, archiveHandled, skippedCards, skippedCreates };
+
+    // Trello → Notion (new cards) and three-way merge of linked pairs
+    this.planTrelloToNotion(uniqueCards, notionByTrelloId, context, plan);
+
+    // Notion → Trello (new entries)
+    this.planNotionToTrello(notionEntries, uniqueCards, context, plan);
+
+    if (this.syncComments && commentsSince) {
+      await this.planComments(uniqueCards, notionByTrelloId, commentsSince, plan);
+    }
+
+    // Deletion sync based on "synced" checkbox - an item missing from a partial fetch is not necessarily deleted
+    if (mode === 'full') {
+      this.planDeletionSync(uniqueCards, notionEntries, context, plan);
+    } else {
+      this.logger.debug('Skipping deletion sync on incremental run');
+    }
+
+    this.logger.info(`Sync plan built (${mode}): ${plan.operations.length} operations, ${plan.conflicts.length} conflicts`);
+    return plan;
+  }
+
+  /**
+   * Links the board members to Notion users (see sync/users.js), logging overrides that matched nobody
+   * @returns {Promise<Object>} User map
+   */
+  async loadUserMap() {
+    const [members, users] = await Promise.all([
+      this.trelloService.getBoardMembers(),
+      this.notionService.listUsers()
+    ]);
+    const userMap = buildUserMap(members, users, this.membersField?.users);
+    userMap.warnings.forEach(warning => this.logger.warn(warning));
+    this.logger.info(`Linked ${userMap.links.length} Trello members to Notion users`, {
+      unmatchedMembers: userMap.unmatchedMembers.map(member => member.username),
+      unmatchedUsers: userMap.unmatchedUsers.map(user => user.name)
+    });
+    return userMap;
+  }
+
+  /**
+   * Resolves the synced members of cards and pages: card.linkedMembers and entry.linkedPeople hold
+   * the usernames of the linked members on them, which is how the members field compares
+   * @param {Array} trelloCards - Trello cards
+   * @param {Array} notionEntries - Notion database entries
+   * @param {Object} userMap - User map
+   */
+  resolveMembers(trelloCards, notionEntries, userMap) {
+    const { property } = this.membersField.notion;
+    trelloCards.forEach(card => {
+      card.linkedMembers = readCardMembers(card.idMembers, userMap);
+    });
+    notionEntries.forEach(entry => {
+      entry.linkedPeople = readPagePeople(entry.properties[property]?.people, userMap);
+    });
+  }
+
+  /**
+   * Resolves the ranks of cards in their lists: card.rank holds the rank (see sync/positions.js),
+   * which is how the position field compares
+   * @param {Array} trelloCards - Trello cards, all of the board's open cards for the ranks to be right
+   * @returns {Map<string, Array<Object>>} List order the ranks were read from
+   */
+  resolvePositions(trelloCards) {
+    const order = buildListOrder(trelloCards);
+    trelloCards.forEach(card => {
+      card.rank = readRank(order, card);
+    });
+    return order;
+  }
+
+  /**
+   * Returns true if the saved cursors allow an incremental run and no full reconcile is due
+   * @returns {boolean} True if the run can be incremental
+   */
+  canSyncIncrementally() {
+    if (!config.sync.incremental) {
+      return false;
+    }
+
+    const cursors = this.stateStore.getCursors();
+    if (!cursors?.trelloActionId || !cursors.notionWatermark || !cursors.lastFullSyncAt) {
+      return false;
+    }
+
+    const sinceFullSync = Date.now() - new Date(cursors.lastFullSyncAt).getTime();
+    if (sinceFullSync >= config.sync.fullSyncInterval) {
+      this.logger.info('Full reconcile is due');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Fetches every card and entry, plus the cursors to continue from incrementally
+   * @param {string} startedAt - ISO timestamp the run started at
+   * @returns {Promise<Object>} { mode, cursors, trelloCards, notionEntries }
+   */
+  async fetchEverything(startedAt) {
+    // Take the cursor first so changes made while fetching are picked up by the next run
+    const [latestAction] = await this.trelloService.getBoardActions({
+      filter: this.cardChangeActions.join(','),
+      limit: 1
+    });
+
+    const [trelloCards, notionEntries] = await Promise.all([
+      this.trelloService.getCards(this.cardFetchOptions),
+      this.notionService.getEntries()
+    ]);
+
+    return {
+      mode: 'full',
+      cursors: {
+        trelloActionId: latestAction?.id || null,
+        notionWatermark: startedAt,
+        lastFullSyncAt: startedAt
+      },
+      trelloCards,
+      notionEntries,
+      listOrder: this.positionField ? this.resolvePositions(trelloCards) : null
+    };
+  }
+
+  /**
+   * Fetches only the cards and entries changed since the saved cursors, with the
+   * counterpart of each so changed pairs can be merged
+   * @param {string} startedAt - ISO timestamp the run started at
+   * @returns {Promise<Object|null>} { mode, cursors, trelloCards, notionEntries, listOrder }, or null if a full run is needed
+   */
+  async fetchChanges(startedAt) {
+    const cursors = this.stateStore.getCursors();
+
+    const actions = await this.trelloService.getBoardActions({
+      filter: this.cardChangeActions.join(','),
+      since: cursors.trelloActionId,
+      limit: ACTION_PAGE_LIMIT
+    });
+    if (actions.length >= ACTION_PAGE_LIMIT) {
+      this.logger.info(`More than ${ACTION_PAGE_LIMIT} Trello changes since the last sync - running a full reconcile`);
+      return null;
+    }
+
+    const notionSince = new Date(new Date(cursors.notionWatermark).getTime() - config.sync.notionWatermarkMargin).toISOString();
+    const changedEntries = await this.notionService.getEntriesEditedSince(notionSince);
+
+    const nextCursors = {
+      trelloActionId: actions[0]?.id || cursors.trelloActionId, // Actions are returned newest first
+      notionWatermark: startedAt
+    };
+
+    const changedCardIds = new Set(actions.map(action => action.data?.card?.id).filter(Boolean));
+    const entriesByTrelloId = this.createNotionLookupMap(changedEntries);
+    Object.keys(entriesByTrelloId).forEach(trelloId => changedCardIds.add(trelloId));
+
+    // A renamed list changes the list value of every card in it
+    const renamedListIds = new Set(actions
+      .filter(action => action.type === 'updateList' && action.data?.old?.name !== undefined)
+      .map(action => action.data.list?.id));
+
+    this.logger.info(`Incremental sync: ${actions.length} Trello actions, ${changedEntries.length} edited Notion entries`);
+
+    if (changedCardIds.size === 0 && renamedListIds.size === 0) {
+      return { mode: 'incremental', cursors: nextCursors, trelloCards: [], notionEntries: changedEntries };
+    }
+
+    // The board's cards come back in one request, which is cheaper than fetching changed cards one by one
+    const cards = await this.trelloService.getCards(this.cardFetchOptions);
+    // Moving a card changes the ranks of the cards around it, which have no actions of their own
+    const listOrder = this.positionField ? this.resolvePositions(cards) : null;
+    const rankChanged = card => listOrder && this.stateStore.getPair(card.id) &&
+      (this.stateStore.getPair(card.id).fields?.[this.positionField.key] ?? null) !== card.rank;
+    const trelloCards = cards.filter(card => changedCardIds.has(card.id) || renamedListIds.has(card.idList) || rankChanged(card));
+
+    // Changed cards are merged with their linked entries even when those were not edited
+    const linkedEntries = await Promise.all(
+      trelloCards
+        .filter(card => !entriesByTrelloId[card.id])
+        .map(card => this.findLinkedEntry(card.id))
+    );
+
+    return {
+      mode: 'incremental',
+      cursors: nextCursors,
+      trelloCards,
+      notionEntries: [...changedEntries, ...linkedEntries.filter(Boolean)],
+      listOrder
+    };
+  }
+
+  /**
+   * Finds the Notion entry linked to a Trello card, using the state store's page ID when known
+   * @param {string} trelloId - Trello card ID
+   * @returns {Promise<Object|null>} Linked Notion entry or null
+   */
+  async findLinkedEntry(trelloId) {
+    const pair = this.stateStore.getPair(trelloId);
+
+    if (pair) {
+      const page = await this.notionService.getPage(pair.notionPageId);
+      const linkedId = page && this.notionService.extractRichTextValue(page.properties[this.mapping.identity.trelloIdProperty]);
+      if (linkedId === trelloId) {
+        return page;
+      }
+    }
+
+    return await this.notionService.findEntryByTrelloId(trelloId);
+  }
+
+  /**
+   * Loads the synced content of Notion pages: entry.body ({ markdown, unsupported }) when a field
+   * syncs the page body, and entry.checklists (see sync/checklists.js) when checklists are synced.
+   * A page not edited since its pair was last synced, whose card description is unchanged too,
+   * reuses the last-synced content instead of being fetched block by block.
+   * @param {Array} notionEntries - Notion database entries
+   * @param {Array} trelloCards - Trello cards, to tell whether a linked card's description changed
+   * @returns {Promise<void>}
+   */
+  async loadPageContent(notionEntries, trelloCards) {
+    if (!this.bodyField && !this.syncChecklists) {
+      return;
+    }
+
+    const bodyMapping = this.bodyField ? { ...this.mapping, fields: [this.bodyField] } : null;
+    const cardsById = new Map(trelloCards.map(card => [card.id, card]));
+    const linkedPair = entry => {
+      const trelloId = this.notionService.extractRichTextValue(entry.properties[this.mapping.identity.trelloIdProperty]);
+      const pair = trelloId ? this.stateStore.getPair(trelloId) : null;
+      return pair && pair.notionPageId === entry.id ? { trelloId, pair } : { trelloId, pair: null };
+    };
+
+    const toFetch = notionEntries.filter(entry => {
+      const { trelloId, pair } = linkedPair(entry);
+      const card = cardsById.get(trelloId);
+      if (!pair || !card) {
+        return true;
+      }
+
+      // Notion edit times are rounded to the minute, so look back a little further
+      const editedSinceSync = new Date(entry.last_edited_time).getTime() >= new Date(pair.syncedAt).getTime() - config.sync.notionWatermarkMargin;
+      if (editedSinceSync || (this.syncChecklists && !pair.checklists)) {
+        return true;
+      }
+
+      if (this.bodyField) {
+        if (!Object.prototype.hasOwnProperty.call(pair.fields, this.bodyField.key)) {
+          return true;
+        }
+        const base = pair.fields[this.bodyField.key];
+        const cardValue = extractTrelloFieldValues(card, {}, null, bodyMapping)[this.bodyField.key];
+        if (hasChanged(cardValue, base)) {
+          return true;
+        }
+        entry.body = { markdown: base, unsupported: [] };
+      }
+      if (this.syncChecklists) {
+        entry.checklists = checklistsFromState(pair.checklists);
+      }
+      return false;
+    });
+
+    if (toFetch.length > 0) {
+      this.logger.info(`Loading the content of ${toFetch.length} Notion pages`);
+    }
+    await mapWithConcurrency(toFetch, config.notion.concurrency, async entry => {
+      const blocks = await this.notionService.getPageBlocks(entry.id);
+      const { content, checklists } = this.splitPageContent(blocks, linkedPair(entry).pair);
+      if (this.bodyField) {
+        entry.body = blocksToMarkdown(content);
+      }
+      if (this.syncChecklists) {
+        entry.checklists = checklists;
+      }
+    });
+  }
+
+  /**
+   * Splits page blocks into checklist sections (when checklists are synced) and the rest of the content
+   * @param {Array<Object>} blocks - Top-level page blocks
+   * @param {Object|null} pair - State store record of the page's pair
+   * @returns {Object} { content, checklists }
+   */
+  splitPageContent(blocks, pair) {
+    if (!this.syncChecklists) {
+      return { content: blocks, checklists: undefined };
+    }
+    return splitPageBlocks(blocks, new Set((pair?.checklists || []).map(checklist => checklist.blockId)));
+  }
+
+  /**
+   * Executes every operation of a plan and records the merged state of pairs that fully succeeded.
+   * Operations on the same card/page pair run in plan order; different pairs run concurrently,
+   * throttled by the Trello and Notion request layers.
+   * @param {Object} plan - Sync plan
+   * @param {Object} options - Execution options
+   * @param {boolean} options.allowMassDelete - Allow deleting more than the configured share of items
+   * @param {string|null} options.rollbackOf - Run being rolled back, recorded in the journal
+   * @returns {Promise<void>}
+   * @throws {Error} If the plan deletes too many items and that was not explicitly allowed
+   */
+  async executePlan(plan, { allowMassDelete = false, rollbackOf = null } = {}) {
+    const massDeletions = this.findMassDeletions(plan);
+    if (massDeletions.length > 0 && !allowMassDelete) {
+      throw new Error(`Refusing to delete ${massDeletions.join(' and ')} (limit ${config.deletion.maxRatio * 100}% per side) - check for a partial fetch, or re-run with --allow-mass-delete`);
+    }
+
+    // Every successful write is journaled under this run so it can be rolled back
+    this.syncStats.runId = this.journal.startRun(rollbackOf ? { rollbackOf } : {});
+    this.logger.info(`Run ID: ${this.syncStats.runId}`);
+
+    const failedPairs = new Set();
+    const createdIds = {}; // Checklists and items created during the run, by the ID of what they mirror
+    this.createdLabels = new Map(); // Board labels created during the run, by name
+    this.createdLists = new Map(); // Board lists created during the run, by name
 
+    // Option renames change the values the pairs were planned with, so they run first
+    // and hold back the state of those pairs when they fail
+    const renames = plan.operations.filter(operation => operation.action === 'renameOption');
+    for (const operation of renames) {
+      try {
+        await this.executeOperation(operation);
+        this.countOperation(operation);
+        await this.journal.record(operation, createUndoOperations(operation, this.mapping));
+      } catch (error) {
+        this.logger.error(`Error renaming Notion option "${operation.payload.from}"`, { operation: operation.id, error: error.message });
+        this.syncStats.errors++;
+        operation.payload.trelloIds.forEach(trelloId => failedPairs.add(trelloId));
+      }
+    }
+
+    const groups = new Map();
+    plan.operations.filter(operation => operation.action !== 'renameOption').forEach(operation => {
+      const pairKey = operation.trelloId || operation.notionPageId;
+      if (!groups.has(pairKey)) {
+        groups.set(pairKey, []);
+      }
+      groups.get(pairKey).push(operation);
+    });
+
+    try {
+      await mapWithConcurrency([...groups.entries()], config.sync.concurrency, async ([pairKey, operations]) => {
+        for (const operation of operations) {
+          try {
+            await this.executeOperation(operation);
+            Object.assign(createdIds, operation.createdIds);
+            this.countOperation(operation);
+            await this.journal.record(operation, createUndoOperations(operation, this.mapping));
+          } catch (error) {
+            this.logger.error(`Error executing ${operation.side} ${operation.action} for "${operation.name}"`, {
+              operation: operation.id,
+              error: error.message
+            });
+            this.syncStats.errors++;
+            failedPairs.add(pairKey);
+          }
+        }
+      });
+
+      Object.entries(plan.stateUpdates).forEach(([trelloId, update]) => {
+        if (!failedPairs.has(trelloId)) {
+          const checklists = update.checklists
+            ? resolveChecklistState(update.checklists, createdIds)
+            : this.stateStore.getPair(trelloId)?.checklists;
+          this.stateStore.setPair(trelloId, update.notionPageId, update.fields, update.archived, checklists);
+        }
+      });
+
+      Object.entries(plan.tombstones.add).forEach(([trelloId, tombstone]) => this.stateStore.setTombstone(trelloId, tombstone));
+      plan.tombstones.remove.forEach(trelloId => this.stateStore.removeTombstone(trelloId));
+      Object.entries(plan.commentLinks || {}).forEach(([trelloId, links]) => links.forEach(link => this.stateStore.addCommentLink(trelloId, link)));
+
+      // Only move the cursors past changes that were fully synced; otherwise the next run retries them
+      if (plan.cursors && this.syncStats.errors === 0) {
+        this.stateStore.setCursors(plan.cursors);
+      }
+    } finally {
+      // Every recorded pair reflects writes that succeeded, so partial runs are safe to persist
+      await this.stateStore.save();
+      this.syncStats.api.trello = this.trelloService.getRequestStats();
+      this.syncStats.api.notion = this.notionService.getRequestStats();
+    }
+  }
+
+  /**
+   * Executes a single planned operation against Trello or Notion
+   * @param {Object} operation - Planned operation
+   * @returns {Promise<void>}
+   */
+  async executeOperation(operation) {
+    const { side, action, payload } = operation;
+
+    switch (`${side}:${action}`) {
+      case 'notion:create': {
+        await this.addSelectOptions(payload.selectOptions);
+        const newEntry = await this.notionService.createEntry(payload.properties, payload.body ? markdownToBlocks(payload.body) : []);
+        operation.notionPageId = newEntry.id;
+        if (payload.checklists) {
+          await this.applyChecklistSteps(operation);
+        }
+        this.stateStore.setPair(operation.trelloId, newEntry.id, operation.stateFields, false, this.createdChecklistState(operation));
+        this.logger.info(`Created new Notion entry for Trello card: ${operation.name} - Trello ID: ${operation.trelloId}`);
+        break;
+      }
+      case 'notion:update':
+        await this.addSelectOptions(payload.selectOptions);
+        if (Object.keys(payload.properties).length > 0) {
+          await this.notionService.updateEntry(operation.notionPageId, payload.properties);
+        }
+        if (payload.body !== undefined) {
+          // Only the description is replaced; checklist sections keep their blocks
+          const blocks = await this.notionService.listBlockChildren(operation.notionPageId);
+          const { content } = this.splitPageContent(blocks, this.stateStore.getPair(operation.trelloId));
+          await this.notionService.replaceBlocks(operation.notionPageId, content.map(block => block.id), markdownToBlocks(payload.body));
+        }
+        if (payload.checklists) {
+          await this.applyChecklistSteps(operation);
+        }
+        this.logger.info(`Updated Notion entry for Trello card: ${operation.name}`, { fields: Object.keys(operation.changes) });
+        break;
+      case 'notion:archive':
+        this.logger.info(`Archiving Notion entry (${operation.reason}): ${operation.name}`);
+        await this.notionService.archivePage(operation.notionPageId);
+        this.stateStore.setArchived(operation.trelloId, true);
+        break;
+      case 'notion:delete':
+        this.logger.info(`Deleting Notion entry (${operation.reason || `synced=true but Trello card ${operation.trelloId} not found`}): ${operation.name}`);
+        await this.notionService.deletePage(operation.notionPageId);
+        this.stateStore.removePair(operation.trelloId);
+        this.stateStore.removeTombstone(operation.trelloId);
+        if (operation.undoesCreate) {
+          this.stateStore.setRolledBackCreate(operation.trelloId, { side: 'trello', name: operation.name });
+        }
+        break;
+      case 'trello:create':
+        await this.createTrelloCardFromNotion(operation);
+        break;
+      case 'trello:update':
+        if (Object.keys(payload.card).length > 0) {
+          await this.trelloService.updateCard(operation.trelloId, payload.card);
+        }
+        for (const update of payload.customFields) {
+          await this.applyCustomFieldUpdate(operation.trelloId, update);
+        }
+        for (const labelId of payload.labels?.add || []) {
+          await this.trelloService.addLabel(operation.trelloId, labelId);
+        }
+        for (const { name, color } of payload.labels?.create || []) {
+          const labelId = await this.createLabel(name, color);
+          await this.trelloService.addLabel(operation.trelloId, labelId);
+          operation.createdLabelIds = [...(operation.createdLabelIds || []), labelId];
+        }
+        for (const labelId of payload.labels?.remove || []) {
+          await this.trelloService.removeLabel(operation.trelloId, labelId);
+        }
+        for (const memberId of payload.members?.add || []) {
+          await this.trelloService.addMember(operation.trelloId, memberId);
+        }
+        for (const memberId of payload.members?.remove || []) {
+          await this.trelloService.removeMember(operation.trelloId, memberId);
+        }
+        await this.applyAttachmentChanges(operation);
+        if (payload.checklists) {
+          await this.applyChecklistSteps(operation);
+        }
+        this.logger.info(`Updated Trello card from Notion: ${operation.name}`, { fields: Object.keys(operation.changes) });
+        break;
+      case 'trello:move':
+        if (payload.createList) {
+          payload.idList = await this.createList(payload.createList);
+        }
+        await this.trelloService.moveCard(operation.trelloId, payload.idList, payload.pos);
+        break;
+      case 'notion:renameOption':
+        await this.notionService.renameSelectOption(payload.property, payload.from, payload.to);
+        break;
+      case 'trello:delete':
+        this.logger.info(`Deleting Trello card (${operation.reason || 'synced=true but Notion entry not found'}): ${operation.name}`);
+        await this.trelloService.deleteCard(operation.trelloId);
+        this.stateStore.removePair(operation.trelloId);
+        this.stateStore.removeTombstone(operation.trelloId);
+        break;
+      case 'trello:archive':
+        this.logger.info(`Archiving Trello card (${operation.reason || 'synced=true but Notion entry not found'}): ${operation.name}`);
+        await this.trelloService.archiveCard(operation.trelloId);
+        if (operation.lifecycle) {
+          // Archived because its page was archived: the pair is kept so restoring either side restores both
+          this.stateStore.setArchived(operation.trelloId, true);
+        } else {
+          this.stateStore.removePair(operation.trelloId);
+          this.stateStore.removeTombstone(operation.trelloId);
+          if (operation.undoesCreate) {
+            this.stateStore.setRolledBackCreate(operation.notionPageId, { side: 'notion', name: operation.name });
+          }
+        }
+        break;
+      case 'notion:comment': {
+        const comment = await this.notionService.createComment(operation.notionPageId, markdownToRichText(payload.text));
+        this.stateStore.addCommentLink(operation.trelloId, { trello: payload.sourceId, notion: comment.id });
+        this.logger.info(`Mirrored Trello comment to Notion entry: ${operation.name}`);
+        break;
+      }
+      case 'trello:comment': {
+        const comment = await this.trelloService.addComment(operation.trelloId, payload.text);
+        operation.commentId = comment.id;
+        this.stateStore.addCommentLink(operation.trelloId, { trello: comment.id, notion: payload.sourceId });
+        this.logger.info(`Mirrored Notion comment to Trello card: ${operation.name}`);
+        break;
+      }
+      case 'trello:deleteComment':
+        // The link is kept, so the comment it mirrored is not mirrored again
+        await this.trelloService.deleteComment(payload.commentId);
+        this.logger.info(`Deleted mirrored comment from Trello card: ${operation.name}`);
+        break;
+      case 'notion:restore':
+        await this.notionService.restorePage(operation.notionPageId);
+        this.stateStore.setArchived(operation.trelloId, false);
+        this.logger.info(`Restored Notion entry (${operation.reason}): ${operation.name}`);
+        break;
+      case 'trello:restore':
+        await this.trelloService.restoreCard(operation.trelloId);
+        this.stateStore.setArchived(operation.trelloId, false);
+        this.logger.info(`Restored Trello card (${operation.reason}): ${operation.name}`);
+        break;
+      default:
+        throw new Error(`Unknown sync operation: ${side} ${action}`);
+    }
+  }
+
+  /**
+   * Gets the option names of a Notion select or multi-select property
+   * @param {string} propertyName - Property name
+   * @returns {Promise<Set<string>|null>} Option names, or null if the property was not found
+   */
+  async getSelectOptions(propertyName) {
+    const property = (await this.notionService.getDatabaseSchema())[propertyName];
+    if (!property) {
+      this.logger.warn(`Notion property "${propertyName}" not found in the database`);
+      return null;
+    }
+    return new Set((property[property.type]?.options || []).map(option => option.name));
+  }
+
+  /**
+   * Adds the options an operation needs to the Notion database before the page is written.
+   * Each update sends the property's full option list, so overlapping updates, e.g. from
+   * pairs written concurrently, run one at a time.
+   * @param {Object} [selectOptions] - Options to add ({ name, color }), by property name
+   * @returns {Promise<void>}
+   */
+  async addSelectOptions(selectOptions = {}) {
+    for (const [propertyName, options] of Object.entries(selectOptions)) {
+      this.addingSelectOptions = (this.addingSelectOptions || Promise.resolve())
+        .catch(() => {})
+        .then(() => this.notionService.addSelectOptions(propertyName, options));
+      await this.addingSelectOptions;
+    }
+  }
+
+  /**
+   * Creates a board label, once per run even when several cards need it
+   * @param {string} name - Label name
+   * @param {string|null} color - Trello label color
+   * @returns {Promise<string>} Label ID
+   */
+  async createLabel(name, color) {
+    if (!this.createdLabels.has(name)) {
+      this.createdLabels.set(name, this.trelloService.createLabel(name, color).then(label => label.id));
+    }
+    try {
+      return await this.createdLabels.get(name);
     } catch (error) {
-      logger.error('Sync process failed', error);
-      this.syncStats.errors++;
+      // Let a later card try again
+      this.createdLabels.delete(name);
       throw error;
     }
   }
 
   /**
-   * Syncs data from Trello to Notion
-   * @param {Array} trelloCards - Trello cards  
-   * @param {Object} listIdToNameMap - Map of list ID to name
-   * @param {Array} trelloCustomFields - Custom field definitions
-   * @param {Object} notionByTrelloId - Notion entries mapped by Trello ID
+   * Creates a board list, once per run even when several cards need it
+   * @param {string} name - List name
+   * @returns {Promise<string>} List ID
    */
-  async syncTrelloToNotion(trelloCards, listIdToNameMap, trelloCustomFields, notionByTrelloId) {
-    logger.info('Syncing Trello → Notion');
+  async createList(name) {
+    if (!this.createdLists.has(name)) {
+      this.createdLists.set(name, this.trelloService.createList(name).then(list => list.id));
+    }
+    try {
+      return await this.createdLists.get(name);
+    } catch (error) {
+      // Let a later card try again
+      this.createdLists.delete(name);
+      throw error;
+    }
+  }
 
-    // DEBUG: Log the BOARD ID being used
-    logger.info(`Using Board ID: ${this.trelloService.boardId}`);
-    
-    // DEBUG: Analyze the card IDs to see if they're from different sources
-    const cardIdPrefixes = {};
-    trelloCards.forEach(card => {
-      const prefix = card.id.substring(0, 5);
-      if (!cardIdPrefixes[prefix]) {
-        cardIdPrefixes[prefix] = [];
+  /**
+   * Finds the list a card goes to for a list field value, following the field's unknownLists policy
+   * @param {string|null} listName - List name from Notion, with aliases applied
+   * @param {Object} context - Lookup maps built in planSync
+   * @returns {Object|null} { listId } for an existing list or { createList } for a list to create, with
+   *   unsorted set when it is the unsorted list; null when the policy leaves the card where it is
+   */
+  resolveListTarget(listName, context) {
+    const { listNameToIdMap } = context;
+    if (listNameToIdMap[listName]) {
+      return { listId: listNameToIdMap[listName] };
+    }
+
+    const { unknownLists, unsortedList } = this.listField;
+    if (unknownLists === 'create' && listName) {
+      return { createList: listName };
+    }
+    if (unknownLists === 'unsorted') {
+      return listNameToIdMap[unsortedList]
+        ? { listId: listNameToIdMap[unsortedList], unsorted: true }
+        : { createList: unsortedList, unsorted: true };
+    }
+    return null;
+  }
+
+  /**
+   * Records a Notion entry left alone because its card is skipped by the duplicate rules, so the run reports it
+   * @param {Object} plan - Plan to add to
+   * @param {Object} notionEntry - Notion entry
+   * @param {Object} card - Skipped card ({ id, name, reason })
+   */
+  flagSkippedPage(plan, notionEntry, card) {
+    this.logger.warn(`Leaving Notion entry ${notionEntry.id} alone: its card "${card.name}" (${card.id}) is skipped as a duplicate`);
+    plan.skippedPages.push({ trelloId: card.id, notionPageId: notionEntry.id, name: card.name, reason: card.reason });
+  }
+
+  /**
+   * Records a card sent to the unsorted list, so the run reports it
+   * @param {Object} plan - Plan to add to
+   * @param {Object} item - Card or page being sent ({ trelloId, notionPageId, name })
+   * @param {string|null} value - List field value no list matches
+   */
+  flagUnsorted(plan, item, value) {
+    const { key, unsortedList } = this.listField;
+    this.logger.warn(`No Trello list matches ${key} "${value ?? ''}" of "${item.name}" - it goes to "${unsortedList}"`);
+    plan.unsorted.push({ ...item, value, list: unsortedList });
+  }
+
+  /**
+   * Plans renaming the Notion select options of lists renamed on the board since the last sync
+   * @param {Array<Object>} trelloLists - Board lists
+   * @param {Object} plan - Plan to add operations to
+   * @returns {Promise<Map<string, Object>>} Renames by old option name ({ to, trelloIds }); the pairs
+   *   planned with a renamed value add their card IDs to trelloIds
+   */
+  async planOptionRenames(trelloLists, plan) {
+    const renames = new Map();
+    const since = this.stateStore.getLastSyncTime();
+    // Status options cannot be renamed through the API; their pages are updated one by one
+    if (!this.listField || this.listField.notion.type !== 'select' || this.listField.direction === 'notion-to-trello' || !since) {
+      return renames;
+    }
+
+    const actions = await this.trelloService.getBoardActions({ filter: 'updateList', since, limit: 1000 });
+    const names = new Map(); // First name since the last sync -> current name
+    [...actions].reverse()
+      .filter(action => action.data?.old?.name !== undefined && action.data.list?.name)
+      .forEach(action => {
+        const first = [...names.entries()].find(([, name]) => name === action.data.old.name)?.[0] ?? action.data.old.name;
+        names.set(first, action.data.list.name);
+      });
+    const current = [...names.entries()].filter(([from, to]) => from !== to && trelloLists.some(list => list.name === to));
+    if (current.length === 0) {
+      return renames;
+    }
+
+    const { property } = this.listField.notion;
+    const options = (await this.notionService.getDatabaseSchema())[property]?.select?.options || [];
+    current.forEach(([from, to]) => {
+      if (!options.some(option => option.name === from)) {
+        return;
       }
-      cardIdPrefixes[prefix].push({
-        id: card.id,
-        name: card.name,
-        listId: card.idList,
-        listName: listIdToNameMap[card.idList]
+      if (options.some(option => option.name === to)) {
+        this.logger.warn(`List "${from}" was renamed to "${to}", which ${property} already has as an option - updating its pages one by one`);
+        return;
+      }
+      const operation = addOperation(plan, {
+        side: 'notion',
+        action: 'renameOption',
+        name: `${property}: ${from} → ${to}`,
+        changes: { [this.listField.key]: { from, to } },
+        payload: { property, from, to, trelloIds: [] }
       });
+      renames.set(from, { to, trelloIds: operation.payload.trelloIds });
     });
-    
-    logger.info('Card ID Prefixes Analysis:');
-    Object.entries(cardIdPrefixes).forEach(([prefix, cards]) => {
-      logger.info(`  ${prefix}***: ${cards.length} cards`);
-      // Show first few examples
-      cards.slice(0, 3).forEach(card => {
-        logger.info(`    - ${card.name} in ${card.listName}`);
+    return renames;
+  }
+
+  /**
+   * Reads the synced values of a Notion entry as they will be once the planned option renames ran
+   * @param {Object} notionEntry - Notion database entry
+   * @param {Object} context - Lookup maps built in planSync
+   * @param {string|null} trelloId - Card the entry is paired with, held back if a rename it relies on fails
+   * @returns {Object} Field values keyed by field key
+   */
+  readNotionValues(notionEntry, context, trelloId = null) {
+    const values = extractNotionFieldValues(notionEntry, this.mapping);
+    const rename = this.listField && context.optionRenames?.get(values[this.listField.key]);
+    if (rename) {
+      values[this.listField.key] = rename.to;
+      if (trelloId) {
+        rename.trelloIds.push(trelloId);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Plans the options to add to the Notion multi-select for labels pushed from a card, colored after the labels
+   * @param {Array<string>|null} names - Label names being written to the page
+   * @param {Object} trelloCard - Trello card carrying the labels
+   * @param {Object} context - Lookup maps built in planSync
+   * @returns {Object|null} Options to add ({ name, color }) by property name, or null if none are missing
+   */
+  planSelectOptions(names, trelloCard, context) {
+    // Without the property (see getSelectOptions) the page write reports the problem
+    const missing = (names || []).filter(name => context.selectOptions && !context.selectOptions.has(name));
+    if (missing.length === 0) {
+      return null;
+    }
+    return {
+      [this.labelsField.notion.property]: missing.map(name => ({
+        name,
+        color: labelColorToNotion(this.labelsField, (trelloCard.labels || []).find(label => label.name === name)?.color)
+      }))
+    };
+  }
+
+  /**
+   * Plans the label changes that give a card exactly the synced labels named, creating missing board labels
+   * colored after the Notion options
+   * @param {Array<string>|null} names - Label names the card should have
+   * @param {Object} trelloCard - Trello card (null for a card yet to be created)
+   * @param {Object} notionEntry - Notion entry the names come from
+   * @param {Object} context - Lookup maps built in planSync
+   * @returns {Object} { add, remove } label IDs and { name, color } labels to create
+   */
+  planLabelChanges(names, trelloCard, notionEntry, context) {
+    const field = this.labelsField;
+    const wanted = new Set(names || []);
+    // Labels left out of the sync (see normalizeFieldValue) are never removed
+    const current = (trelloCard?.labels || []).filter(label => label.name && !label.name.includes(','));
+    const options = notionEntry.properties[field.notion.property]?.multi_select || [];
+
+    const changes = {
+      add: [],
+      remove: current.filter(label => !wanted.has(label.name)).map(label => label.id),
+      create: []
+    };
+    [...wanted]
+      .filter(name => !current.some(label => label.name === name))
+      .forEach(name => {
+        if (context.labelNameToIdMap[name]) {
+          changes.add.push(context.labelNameToIdMap[name]);
+        } else {
+          changes.create.push({ name, color: notionColorToLabel(field, options.find(option => option.name === name)?.color ?? 'default') });
+        }
       });
-      if (cards.length > 3) {
-        logger.info(`    - ... and ${cards.length - 3} more`);
+    return changes;
+  }
+
+  /**
+   * Plans the checklists a new card or page is created with, from the side it is created for
+   * @param {Array|undefined} trelloChecklists - Checklists of the card (see readTrelloChecklists)
+   * @param {Array|undefined} notionChecklists - Checklist sections of the page (see splitPageBlocks)
+   * @returns {Object|null} Merge result (see mergeChecklists), or null when checklists are not synced or not loaded
+   */
+  planCreateChecklists(trelloChecklists, notionChecklists) {
+    if (!this.syncChecklists || !trelloChecklists || !notionChecklists) {
+      return null;
+    }
+    // With nothing on the new side yet, there is nothing to conflict with
+    return mergeChecklists(null, trelloChecklists, notionChecklists, { direction: this.mapping.checklists });
+  }
+
+  /**
+   * Gets the checklist state to store for the pair a create just linked
+   * @param {Object} operation - Executed 'notion:create' or 'trello:create' operation
+   * @returns {Array|undefined} Checklist state, or undefined when the create did not plan checklists
+   */
+  createdChecklistState(operation) {
+    return operation.stateChecklists ? resolveChecklistState(operation.stateChecklists, operation.createdIds || {}) : undefined;
+  }
+
+  /**
+   * Applies the checklist steps of an update (see sync/checklists.js), recording the ID of everything
+   * created in operation.createdIds so the new links can be stored
+   * @param {Object} operation - Planned create or update operation with payload.checklists
+   * @returns {Promise<void>}
+   */
+  async applyChecklistSteps(operation) {
+    const createdIds = operation.createdIds || {};
+    operation.createdIds = createdIds;
+    const remember = (key, id) => {
+      if (key) {
+        createdIds[key] = id;
+      }
+    };
+
+    for (const step of operation.payload.checklists) {
+      switch (`${operation.side}:${step.type}`) {
+        case 'trello:createChecklist': {
+          const checklist = await this.trelloService.createChecklist(operation.trelloId, step.name);
+          remember(step.key, checklist.id);
+          for (const item of step.items) {
+            const checkItem = await this.trelloService.addCheckItem(checklist.id, item.name, item.checked);
+            remember(item.key, checkItem.id);
+          }
+          break;
+        }
+        case 'trello:renameChecklist':
+          await this.trelloService.renameChecklist(step.checklistId, step.name);
+          break;
+        case 'trello:deleteChecklist':
+          await this.trelloService.deleteChecklist(step.checklistId);
+          break;
+        case 'trello:addItem': {
+          const checkItem = await this.trelloService.addCheckItem(step.checklistId, step.name, step.checked);
+          remember(step.key, checkItem.id);
+          break;
+        }
+        case 'trello:updateItem':
+          await this.trelloService.updateCheckItem(operation.trelloId, step.itemId, { name: step.name, checked: step.checked });
+          break;
+        case 'trello:deleteItem':
+          await this.trelloService.deleteCheckItem(step.checklistId, step.itemId);
+          break;
+        case 'notion:createChecklist': {
+          const [heading, ...blocks] = await this.notionService.appendBlocks(operation.notionPageId, [
+            checklistHeadingBlock(step.name),
+            ...step.items.map(checklistItemBlock)
+          ]);
+          remember(step.key, heading.id);
+          step.items.forEach((item, index) => remember(item.key, blocks[index].id));
+          break;
+        }
+        case 'notion:renameChecklist':
+          await this.notionService.updateBlock({ ...checklistHeadingBlock(step.name), id: step.blockId });
+          break;
+        case 'notion:deleteChecklist':
+          for (const blockId of step.blockIds) {
+            await this.notionService.deleteBlock(blockId);
+          }
+          break;
+        case 'notion:addItems': {
+          const blocks = await this.notionService.appendBlocks(operation.notionPageId, step.items.map(checklistItemBlock), { after: step.after });
+          step.items.forEach((item, index) => remember(item.key, blocks[index].id));
+          break;
+        }
+        case 'notion:updateItem':
+          await this.notionService.updateBlock({ ...checklistItemBlock(step), id: step.blockId });
+          break;
+        case 'notion:deleteItem':
+          await this.notionService.deleteBlock(step.blockId);
+          break;
+        default:
+          throw new Error(`Unknown checklist step: ${operation.side} ${step.type}`);
+      }
+    }
+  }
+
+  /**
+   * Attaches and deletes the attachments of a Trello write, recording the attachments it
+   * created in operation.createdAttachments so they can be rolled back
+   * @param {Object} operation - Trello create or update operation (payload.attachments: { add, remove })
+   * @returns {Promise<void>}
+   */
+  async applyAttachmentChanges(operation) {
+    const { add = [], remove = [] } = operation.payload.attachments || {};
+    for (const attachment of add) {
+      const created = await this.trelloService.addAttachment(operation.trelloId, attachment);
+      operation.createdAttachments = [...(operation.createdAttachments || []), { id: created.id, url: attachment.url, name: created.name }];
+    }
+    for (const { id } of remove) {
+      await this.trelloService.deleteAttachment(operation.trelloId, id);
+    }
+  }
+
+  /**
+   * Builds a Notion files property value for attachment URLs, keeping the names files already have
+   * on the page and naming new ones after their Trello attachments
+   * @param {Array<string>|null} urls - Attachment URLs
+   * @param {Array<Object>} currentFiles - Current property files ({ name, type, external })
+   * @param {Object} trelloCard - Trello card the URLs come from
+   * @returns {Array<Object>} External files ({ name, type, external: { url } })
+   */
+  buildPageFiles(urls, currentFiles, trelloCard) {
+    return (urls || []).map(url => {
+      // Link attachments are named after their URL unless renamed
+      const name = [
+        currentFiles.find(file => file.external?.url === url)?.name,
+        trelloCard.attachments?.find(attachment => attachment.url === url)?.name
+      ].find(candidate => candidate && candidate !== url) || fileNameFromUrl(url);
+      return { name: name.slice(0, 100), type: 'external', external: { url } };
+    });
+  }
+
+  /**
+   * Plans the attachment changes that give a card exactly the URLs named, naming new attachments
+   * after the Notion files they come from
+   * @param {Array<string>|null} urls - Attachment URLs the card should have
+   * @param {Object|null} trelloCard - Trello card (null for a card yet to be created)
+   * @param {Object} notionEntry - Notion entry the URLs come from
+   * @returns {Object} { add, remove } - attachments to add ({ url, name }) and to delete ({ id, url, name })
+   */
+  planAttachmentChanges(urls, trelloCard, notionEntry) {
+    const files = notionEntry.properties[this.attachmentsField.notion.property]?.files || [];
+    const current = trelloCard?.attachments || [];
+    const wanted = new Set(urls || []);
+    return {
+      add: [...wanted]
+        .filter(url => !current.some(attachment => attachment.url === url))
+        .map(url => ({ url, name: files.find(file => file.external?.url === url)?.name || null })),
+      remove: current
+        .filter(attachment => !wanted.has(attachment.url))
+        .map(({ id, url, name }) => ({ id, url, name }))
+    };
+  }
+
+  /**
+   * Writes a single custom field value using the setter for its type
+   * @param {string} cardId - Trello card ID
+   * @param {Object} update - { fieldId, fieldName, type, value }, with the timeZone of all-day values for date fields
+   * @returns {Promise<void>}
+   */
+  async applyCustomFieldUpdate(cardId, { fieldId, type, value, timeZone }) {
+    if (value === null || value === undefined) {
+      await this.trelloService.clearCustomField(cardId, fieldId);
+    } else if (type === 'checkbox') {
+      await this.trelloService.updateCheckboxCustomField(cardId, fieldId, value);
+    } else if (type === 'text') {
+      await this.trelloService.updateTextCustomField(cardId, fieldId, value);
+    } else if (type === 'list') {
+      await this.trelloService.updateDropdownCustomField(cardId, fieldId, value);
+    } else if (type === 'date') {
+      await this.trelloService.updateDateCustomField(cardId, fieldId, toTrelloDate(value, timeZone));
+    } else {
+      await this.trelloService.updateCustomField(cardId, fieldId, value);
+    }
+  }
+
+  /**
+   * Plans mirroring the new comments of linked cards and pages (see sync/comments.js). Comments are
+   * read for every pair in the run; Notion does not count a comment as a page edit, so a comment on
+   * a page that was not otherwise changed is picked up by the next full reconcile.
+   * @param {Array} trelloCards - Unique Trello cards
+   * @param {Object} notionByTrelloId - Notion entries by linked Trello card ID
+   * @param {string} since - Comments made before this ISO time are not mirrored
+   * @param {Object} plan - Plan to add to
+   * @returns {Promise<void>}
+   */
+  async planComments(trelloCards, notionByTrelloId, since, plan) {
+    // Only pairs linked by an earlier run; comments on pairs created in this run are mirrored by the next one
+    const pairs = trelloCards
+      .filter(card => !card.closed && notionByTrelloId[card.id])
+      .filter(card => this.stateStore.getPair(card.id)?.notionPageId === notionByTrelloId[card.id].id)
+      .map(card => ({ card, entry: notionByTrelloId[card.id] }));
+    if (pairs.length === 0) {
+      return;
+    }
+
+    this.logger.info(`Reading the comments of ${pairs.length} linked cards and pages`);
+    const mirrors = await mapWithConcurrency(pairs, config.notion.concurrency, async ({ card, entry }) => {
+      try {
+        const [actions, comments] = await Promise.all([
+          this.trelloService.getCardComments(card.id, { since }),
+          this.notionService.getComments(entry.id)
+        ]);
+
+        const userNames = {};
+        for (const userId of new Set(comments.map(comment => comment.created_by?.id).filter(Boolean))) {
+          userNames[userId] = await this.notionService.getUserName(userId);
+        }
+
+        return planCommentMirrors(
+          readTrelloComments(actions),
+          readNotionComments(comments, userNames),
+          this.stateStore.getCommentLinks(card.id),
+          { direction: this.mapping.comments, since }
+        );
+      } catch (error) {
+        this.logger.error(`Error reading comments of "${card.name}"`, { error: error.message });
+        this.syncStats.errors++;
+        return null;
+      }
+    });
+
+    pairs.forEach(({ card, entry }, index) => {
+      const { toNotion = [], toTrello = [], adopted = [] } = mirrors[index] || {};
+      const item = { trelloId: card.id, notionPageId: entry.id, name: card.name, action: 'comment' };
+
+      toNotion.forEach(({ source, text }) => addOperation(plan, {
+        ...item,
+        side: 'notion',
+        changes: { Comment: { from: null, to: describeComment(source) } },
+        payload: { text, sourceId: source.id }
+      }, { trelloCard: card, notionEntry: entry }));
+      toTrello.forEach(({ source, text }) => addOperation(plan, {
+        ...item,
+        side: 'trello',
+        changes: { Comment: { from: null, to: describeComment(source) } },
+        payload: { text, sourceId: source.id }
+      }, { trelloCard: card, notionEntry: entry }));
+
+      if (adopted.length > 0) {
+        this.logger.info(`Linking ${adopted.length} comments mirrored by an interrupted run on "${card.name}"`);
+        plan.commentLinks[card.id] = adopted;
       }
     });
+  }
+
+  /**
+   * Adds an executed (or, on dry runs, planned) operation to the sync statistics
+   * @param {Object} operation - Sync operation
+   */
+  countOperation(operation) {
+    const direction = operation.side === 'notion' ? this.syncStats.trelloToNotion : this.syncStats.notionToTrello;
+    const counter = {
+      create: 'created',
+      update: 'updated',
+      move: 'moved',
+      delete: 'deleted',
+      archive: 'archived',
+      restore: 'restored',
+      comment: 'commented',
+      deleteComment: 'commentsDeleted',
+      renameOption: 'optionsRenamed'
+    }[operation.action];
+
+    direction[counter] = (direction[counter] || 0) + 1;
+  }
+
+  /**
+   * Deduplicates cards by Trello ID, logging diagnostics about duplicate IDs and names
+   * @param {Array} trelloCards - Trello cards
+   * @param {Object} listIdToNameMap - Map of list ID to name
+   * @returns {Array} Unique cards
+   */
+  getUniqueCards(trelloCards, listIdToNameMap) {
+    this.logger.debug(`Cards received from Trello board ${this.trelloService.boardId}: ${trelloCards.length}`);
 
-    // DEBUG: First, let's see what we're actually getting from Trello
-    logger.info(`Total cards received from Trello API: ${trelloCards.length}`);
-    
     // Group cards by their actual Trello ID to see if we have true duplicates
     const cardsByTrelloId = {};
     trelloCards.forEach(card => {
@@ -121,18 +1486,18 @@ class SyncEngine {
     // Log any cards that appear multiple times with the same Trello ID
     const trueDuplicates = Object.entries(cardsByTrelloId).filter(([id, cards]) => cards.length > 1);
     if (trueDuplicates.length > 0) {
-      logger.error('FOUND TRUE DUPLICATES - Same Trello ID appearing multiple times:');
+      this.logger.error('FOUND TRUE DUPLICATES - Same Trello ID appearing multiple times:');
       trueDuplicates.forEach(([trelloId, cards]) => {
-        logger.error(`Trello ID ${trelloId} appears ${cards.length} times:`);
+        this.logger.error(`Trello ID ${trelloId} appears ${cards.length} times:`);
         cards.forEach((card, index) => {
-          logger.error(`  ${index + 1}. "${card.name}" in list ${card.idList} (${listIdToNameMap[card.idList]})`);
+          this.logger.error(`  ${index + 1}. "${card.name}" in list ${card.idList} (${listIdToNameMap[card.idList]})`);
         });
       });
     }
 
     // Get unique cards only (deduplicate by Trello ID)
     const uniqueCards = Object.values(cardsByTrelloId).map(cards => cards[0]);
-    logger.info(`Unique cards after deduplication: ${uniqueCards.length}`);
+    this.logger.debug(`Unique cards after deduplication: ${uniqueCards.length}`);
 
     // Now check for cards with same NAME but different Trello IDs (legitimate but confusing)
     const cardsByName = {};
@@ -150,57 +1515,111 @@ class SyncEngine {
 
     const sameNameDifferentIds = Object.entries(cardsByName).filter(([name, cards]) => cards.length > 1);
     if (sameNameDifferentIds.length > 0) {
-      logger.warn('Cards with same NAME but different Trello IDs (these are actually different cards):');
+      this.logger.debug('Cards with same NAME but different Trello IDs (these are actually different cards):');
       sameNameDifferentIds.forEach(([cardName, cards]) => {
-        logger.warn(`"${cardName}" appears in ${cards.length} different cards:`);
+        this.logger.debug(`"${cardName}" appears in ${cards.length} different cards:`);
         cards.forEach((card, index) => {
-          logger.warn(`  ${index + 1}. Trello ID: ${card.trelloId} | List: ${card.listName} (${card.listId})`);
+          this.logger.debug(`  ${index + 1}. Trello ID: ${card.trelloId} | List: ${card.listName} (${card.listId})`);
         });
       });
     }
 
-    // Continue with the sync using only unique cards
-    for (const card of uniqueCards) {
+    return uniqueCards;
+  }
+
+  /**
+   * Plans Trello → Notion creates, and merges cards that already have a Notion entry
+   * @param {Array} trelloCards - Unique Trello cards
+   * @param {Object} notionByTrelloId - Notion entries mapped by Trello ID
+   * @param {Object} context - Lookup maps built in planSync
+   * @param {Object} plan - Plan to add operations to
+   */
+  planTrelloToNotion(trelloCards, notionByTrelloId, context, plan) {
+    this.logger.info('Planning Trello → Notion');
+    const { listIdToNameMap, trelloCustomFields } = context;
+    const adoptedCardIds = new Set([...context.adoptions.values()].map(card => card.id));
+
+    for (const card of trelloCards) {
+      if (adoptedCardIds.has(card.id)) {
+        this.logger.debug(`Card "${card.name}" (${card.id}) will be linked to the page it was created for`);
+        continue;
+      }
+      if (context.archiveHandled.has(card.id)) {
+        continue;
+      }
+
       try {
         const listName = listIdToNameMap[card.idList] || 'Unknown';
         const customFields = extractTrelloCustomFields(card, trelloCustomFields);
-        const notionProperties = mapTrelloToNotion(card, customFields, listName);
 
-        logger.debug(`Processing card: "${card.name}" | Trello ID: ${card.id} | List: ${listName}`);
+        this.logger.debug(`Processing card: "${card.name}" | Trello ID: ${card.id} | List: ${listName}`);
 
         const existingNotionEntry = notionByTrelloId[card.id];
 
         if (existingNotionEntry) {
-          // Update existing entry if needed
-          if (this.shouldUpdateNotionEntry(existingNotionEntry, card, customFields, listName)) {
-            await this.notionService.updateEntry(existingNotionEntry.id, notionProperties);
-            this.syncStats.trelloToNotion.updated++;
-            logger.info(`Updated Notion entry for Trello card: ${card.name} (${listName})`);
-          }
+          // Push only the side that changed since the last sync
+          this.planPair(card, existingNotionEntry, listName, customFields, context, plan);
+        } else if (this.mapping.identity.syncedFlag && customFields[this.mapping.identity.syncedFlag] === true) {
+          // Previously synced card whose entry is gone - handled by deletion sync, not re-created
+          continue;
+        } else if (card.closed) {
+          // Archived cards that were never synced stay out of Notion
+          continue;
+        } else if (this.stateStore.getRolledBackCreate(card.id)) {
+          this.logger.debug(`Skipping card "${card.name}" - its Notion entry was rolled back`);
+          continue;
         } else {
-          // Create new entry
-          await this.notionService.createEntry(notionProperties);
-          this.syncStats.trelloToNotion.created++;
-          logger.info(`Created new Notion entry for Trello card: ${card.name} (${listName}) - Trello ID: ${card.id}`);
+          const trelloValues = extractTrelloFieldValues(card, customFields, listName, this.mapping);
+          const createFields = this.mapping.fields.filter(field => field.direction !== 'notion-to-trello');
+          const stateFields = Object.fromEntries(createFields.map(field => [field.key, trelloValues[field.key]]));
+          const checklists = this.planCreateChecklists(card.checklists && readTrelloChecklists(card), []);
+          const selectOptions = this.labelsField && createFields.includes(this.labelsField)
+            ? this.planSelectOptions(trelloValues[this.labelsField.key], card, context)
+            : null;
+          const properties = mapTrelloToNotion(card, customFields, listName, this.mapping);
+          if (this.membersField && createFields.includes(this.membersField) && trelloValues[this.membersField.key]) {
+            properties[this.membersField.notion.property] = { people: buildPagePeople(trelloValues[this.membersField.key], [], context.userMap) };
+          }
+          if (this.attachmentsField && createFields.includes(this.attachmentsField)) {
+            properties[this.attachmentsField.notion.property] = { files: this.buildPageFiles(trelloValues[this.attachmentsField.key], [], card) };
+          }
+          addOperation(plan, {
+            side: 'notion',
+            action: 'create',
+            trelloId: card.id,
+            name: card.name,
+            changes: { ...this.describeCreate(stateFields), ...checklists?.notionChanges },
+            payload: {
+              properties,
+              body: this.bodyField && createFields.includes(this.bodyField) ? trelloValues[this.bodyField.key] : null,
+              ...(selectOptions ? { selectOptions } : {}),
+              ...(checklists?.notionSteps.length > 0 ? { checklists: checklists.notionSteps } : {})
+            },
+            stateFields,
+            ...(checklists ? { stateChecklists: checklists.merged } : {})
+          }, { trelloCard: card });
         }
       } catch (error) {
-        logger.error(`Error syncing Trello card ${card.id} to Notion`, error);
+        this.logger.error(`Error planning sync of Trello card ${card.id} to Notion`, error);
         this.syncStats.errors++;
       }
     }
   }
 
   /**
-   * Syncs data from Notion to Trello (including one-way Total Score)
+   * Plans Notion → Trello creates for entries that have no Trello card yet
    * @param {Array} notionEntries - Notion database entries
-   * @param {Object} listNameToIdMap - Map of list name to ID
-   * @param {Object} customFieldMap - Map of custom field name to ID
+   * @param {Array} trelloCards - Unique Trello cards
+   * @param {Object} context - Lookup maps built in planSync
+   * @param {Object} plan - Plan to add operations to
    */
-  async syncNotionToTrello(notionEntries, listNameToIdMap, customFieldMap) {
-    logger.info('Syncing Notion → Trello');
+  planNotionToTrello(notionEntries, trelloCards, context, plan) {
+    this.logger.info('Planning Notion → Trello');
+    const { listNameToIdMap, customFieldMap, trelloCustomFields, labelNameToIdMap, adoptions, skippedCards, skippedCreates } = context;
+    const nameField = findFieldBySource(this.mapping, 'name');
+    const listField = findFieldBySource(this.mapping, 'list');
+    const closedField = findFieldBySource(this.mapping, 'closed');
 
-    // Get all Trello cards for lookup
-    const trelloCards = await this.trelloService.getCards();
     const trelloCardMap = {};
     trelloCards.forEach(card => {
       trelloCardMap[card.id] = card;
@@ -208,196 +1627,753 @@ class SyncEngine {
 
     for (const entry of notionEntries) {
       try {
-        const trelloId = this.notionService.extractRichTextValue(entry.properties['Trello ID']);
-        
-        if (!trelloId) {
-          // This is a new Notion entry that needs a Trello card
-          await this.createTrelloCardFromNotion(entry, listNameToIdMap);
-          this.syncStats.notionToTrello.created++;
+        const trelloId = this.notionService.extractRichTextValue(entry.properties[this.mapping.identity.trelloIdProperty]);
+
+        if (trelloId) {
+          // Linked entries are merged during the Trello → Notion pass
+          const skippedCard = skippedCards.find(card => card.id === trelloId);
+          if (skippedCard) {
+            this.flagSkippedPage(plan, entry, skippedCard);
+          } else if (!trelloCardMap[trelloId]) {
+            this.logger.warn(`Trello card ${trelloId} not found for Notion entry ${entry.id}`);
+          }
           continue;
         }
 
-        const trelloCard = trelloCardMap[trelloId];
-        if (!trelloCard) {
-          logger.warn(`Trello card ${trelloId} not found for Notion entry ${entry.id}`);
+        if (skippedCreates.has(entry.id)) {
+          this.flagSkippedPage(plan, entry, skippedCreates.get(entry.id));
           continue;
         }
+        if (this.stateStore.getRolledBackCreate(entry.id)) {
+          this.logger.debug(`Skipping Notion entry ${entry.id} - its Trello card was rolled back`);
+          continue;
+        }
+
+        // This is a new Notion entry that needs a Trello card
+        const notionValues = this.readNotionValues(entry, context);
+        if (closedField && notionValues[closedField.key] === true) {
+          // Entries marked archived before they were ever synced do not get a card
+          this.logger.debug(`Skipping archived Notion entry ${entry.id}`);
+          continue;
+        }
+
+        const title = nameField ? notionValues[nameField.key] : null;
+        const listName = listField ? notionValues[listField.key] : null;
+        // Default to the first list when the policy leaves unknown lists alone
+        const listTarget = (listField && this.resolveListTarget(listName, context)) || { listId: Object.values(listNameToIdMap)[0] };
+        const listId = listTarget.listId || null;
+        const cardData = {
+          name: title || 'Untitled',
+          idList: listId
+        };
+
+        const stateFields = {};
+        const changes = {};
+        if (nameField) {
+          stateFields[nameField.key] = cardData.name;
+          changes[nameField.key] = cardData.name;
+        }
+        if (listField) {
+          if (listTarget.unsorted) {
+            // The card's list is the base, so the Notion value is tried again rather than overwritten
+            stateFields[listField.key] = listField.unsortedList;
+            this.flagUnsorted(plan, { trelloId: null, notionPageId: entry.id, name: cardData.name }, listName);
+          } else if (listNameToIdMap[listName] || listTarget.createList) {
+            stateFields[listField.key] = listName;
+          }
+          changes[listField.key] = listName;
+        }
+
+        // Every mapped custom field and label is set on the new card right away
+        const customFields = [];
+        const labelIds = [];
+        const createLabels = [];
+        let attachments = null;
+        this.mapping.fields
+          .filter(field => field.direction !== 'trello-to-notion')
+          .forEach(field => {
+            const value = notionValues[field.key];
+            if (value === null || value === undefined) {
+              return;
+            }
+
+            if (field.trello.source === 'customField') {
+              const fieldId = customFieldMap[field.trello.name];
+              const type = trelloCustomFields.find(definition => definition.id === fieldId)?.type;
+              if (!fieldId || !CUSTOM_FIELD_TYPES.includes(type) || (type === 'date') !== (field.type === 'date')) {
+                return;
+              }
+              // Unchecked is a new card's default
+              if (type !== 'checkbox' || value === true) {
+                customFields.push({ fieldId, fieldName: field.trello.name, type, value, ...(type === 'date' ? { timeZone: field.timeZone } : {}) });
+                changes[field.key] = value;
+              }
+              stateFields[field.key] = value;
+            } else if (field.trello.source === 'label' && labelNameToIdMap[field.trello.name]) {
+              if (value === true) {
+                labelIds.push(labelNameToIdMap[field.trello.name]);
+                changes[field.key] = value;
+              }
+              stateFields[field.key] = value;
+            } else if (field.trello.source === 'labels') {
+              const { add, create } = this.planLabelChanges(value, null, entry, context);
+              labelIds.push(...add);
+              if (create.length > 0) {
+                createLabels.push(...create);
+              }
+              changes[field.key] = value;
+              stateFields[field.key] = value;
+            } else if (field.trello.source === 'desc') {
+              cardData.desc = value;
+              changes[field.key] = value;
+              stateFields[field.key] = value;
+            } else if (field.trello.source === 'position') {
+              // The page stands in for the card until it exists, so later cards are placed around it
+              cardData.pos = placeCard(context.listOrder, entry.id, listId, value);
+              changes[field.key] = value;
+              stateFields[field.key] = value;
+            } else if (field.trello.source === 'attachments') {
+              // An adopted card may already have some of them
+              attachments = { add: this.planAttachmentChanges(value, adoptions.get(entry.id), entry).add, remove: [] };
+              changes[field.key] = value;
+              stateFields[field.key] = value;
+            } else if (field.trello.source === 'members') {
+              const { add } = planMemberChanges(value, [], context.userMap);
+              if (add.length > 0) {
+                cardData.idMembers = add.join(',');
+              }
+              changes[field.key] = value;
+              stateFields[field.key] = value;
+            } else if (['due', 'start', 'dates', 'dueComplete'].includes(field.trello.source)) {
+              // Not completed is a new card's default
+              if (value !== false) {
+                Object.entries(buildTrelloCardFields(field, value))
+                  .filter(([, cardValue]) => cardValue !== null)
+                  .forEach(([property, cardValue]) => {
+                    cardData[property] = cardValue;
+                  });
+                changes[field.key] = value;
+              }
+              stateFields[field.key] = value;
+            }
+          });
+
+        if (labelIds.length > 0) {
+          cardData.idLabels = labelIds.join(',');
+        }
+
+        const { syncedFlag } = this.mapping.identity;
+        if (syncedFlag && customFieldMap[syncedFlag]) {
+          customFields.push({ fieldId: customFieldMap[syncedFlag], fieldName: syncedFlag, type: 'checkbox', value: true });
+        }
 
-        // Update Trello card with Notion data
-        await this.updateTrelloFromNotion(entry, trelloCard, listNameToIdMap, customFieldMap);
+        const orphan = adoptions.get(entry.id) || null;
+        if (orphan) {
+          this.logger.info(`Linking Notion entry "${cardData.name}" to Trello card ${orphan.id} from an interrupted create`);
+        }
 
+        // An adopted card may already carry some of the checklists; the next run matches them by name
+        const checklists = orphan ? null : this.planCreateChecklists([], entry.checklists);
+
+        addOperation(plan, {
+          side: 'trello',
+          action: 'create',
+          notionPageId: entry.id,
+          name: cardData.name,
+          changes: { ...this.describeCreate(changes), ...checklists?.trelloChanges },
+          payload: {
+            card: cardData,
+            customFields,
+            adoptCardId: orphan ? orphan.id : null,
+            ...(listTarget.createList ? { createList: listTarget.createList } : {}),
+            ...(createLabels.length > 0 ? { createLabels } : {}),
+            ...(attachments?.add.length > 0 ? { attachments } : {}),
+            ...(checklists?.trelloSteps.length > 0 ? { checklists: checklists.trelloSteps } : {})
+          },
+          stateFields,
+          ...(checklists ? { stateChecklists: checklists.merged } : {})
+        }, { notionEntry: entry, trelloCard: orphan });
       } catch (error) {
-        logger.error(`Error syncing Notion entry ${entry.id} to Trello`, error);
+        this.logger.error(`Error planning sync of Notion entry ${entry.id} to Trello`, error);
         this.syncStats.errors++;
       }
     }
+  }
+
+  /**
+   * Finds cards created for Notion entries whose create was interrupted before the
+   * card was linked, using the pending creates recorded in the state store
+   * @param {Array} trelloCards - Unique Trello cards
+   * @param {Array} notionEntries - Notion database entries
+   * @returns {Map<string, Object>} Orphan card per Notion page ID
+   */
+  findOrphanAdoptions(trelloCards, notionEntries) {
+    const adoptions = new Map();
+    const pendingCreates = this.stateStore.getPendingCreates();
+    if (Object.keys(pendingCreates).length === 0) {
+      return adoptions;
+    }
+
+    const linkedCardIds = new Set(Object.keys(this.createNotionLookupMap(notionEntries)));
+    const adoptedCardIds = new Set();
+    const isOrphan = card => !linkedCardIds.has(card.id) && !this.stateStore.getPair(card.id) && !adoptedCardIds.has(card.id);
+
+    for (const entry of notionEntries) {
+      const pending = pendingCreates[entry.id];
+      if (!pending || this.notionService.extractRichTextValue(entry.properties[this.mapping.identity.trelloIdProperty])) {
+        continue;
+      }
+
+      const card = this.findPendingCreateCard(pending, trelloCards, isOrphan);
+      if (card && isOrphan(card)) {
+        adoptions.set(entry.id, card);
+        adoptedCardIds.add(card.id);
+      }
+    }
 
-    // Pass the existing trelloCardMap to avoid re-fetching
-    await this.syncTotalScoreToTrello(notionEntries, customFieldMap, trelloCardMap);
+    return adoptions;
   }
 
   /**
-   * Creates a new Trello card from a Notion entry
-   * @param {Object} notionEntry - Notion database entry
-   * @param {Object} listNameToIdMap - Map of list name to ID
+   * Finds the Notion entries whose interrupted create left a card the duplicate rules skip.
+   * The entry already has its card, so it must not get another one.
+   * @param {Array} notionEntries - Notion database entries
+   * @param {Map<string, Object>} adoptions - Orphan card per Notion page ID (see findOrphanAdoptions)
+   * @param {Array<Object>} skippedCards - Cards skipped by the duplicate rules ({ id, name, reason })
+   * @returns {Map<string, Object>} Skipped card per Notion page ID
    */
-  async createTrelloCardFromNotion(notionEntry, listNameToIdMap) {
-    const title = this.notionService.extractTitleValue(notionEntry.properties['Priority Name']);
-    const department = this.notionService.extractSelectValue(notionEntry.properties.Department);
-    const listId = listNameToIdMap[department] || Object.values(listNameToIdMap)[0]; // Default to first list
+  findSkippedCreates(notionEntries, adoptions, skippedCards) {
+    const skippedCreates = new Map();
+    const pendingCreates = this.stateStore.getPendingCreates();
+    if (skippedCards.length === 0 || Object.keys(pendingCreates).length === 0) {
+      return skippedCreates;
+    }
 
-    const cardData = {
-      name: title || 'Untitled',
-      idList: listId
-    };
+    notionEntries
+      .filter(entry => pendingCreates[entry.id] && !adoptions.has(entry.id))
+      .forEach(entry => {
+        const card = this.findPendingCreateCard(pendingCreates[entry.id], skippedCards, candidate => !this.stateStore.getPair(candidate.id));
+        if (card) {
+          skippedCreates.set(entry.id, card);
+        }
+      });
+
+    return skippedCreates;
+  }
+
+  /**
+   * Finds the card an interrupted create may have made
+   * @param {Object} pending - Pending create ({ trelloId, name, startedAt })
+   * @param {Array<Object>} trelloCards - Candidate cards ({ id, name })
+   * @param {Function} isOrphan - Whether a card is linked to nothing yet
+   * @returns {Object|undefined} The card, if any
+   */
+  findPendingCreateCard(pending, trelloCards, isOrphan) {
+    if (pending.trelloId) {
+      return trelloCards.find(candidate => candidate.id === pending.trelloId);
+    }
+
+    // Without a recorded card ID the create may still have gone through: look for a card made for it since
+    const startedAt = new Date(pending.startedAt).getTime();
+    return trelloCards
+      .filter(candidate => candidate.name.trim() === pending.name.trim() && cardCreatedAt(candidate) >= startedAt - CREATE_CLOCK_SKEW)
+      .sort((a, b) => cardCreatedAt(a) - cardCreatedAt(b))
+      .find(isOrphan);
+  }
+
+  /**
+   * Creates a new Trello card from a planned Notion → Trello create, or links the card
+   * left by an interrupted create. The create is recorded in the state store before it is
+   * made, so a run that fails before linking the card adopts it instead of creating another.
+   * @param {Object} operation - Planned 'trello:create' operation
+   * @returns {Promise<void>}
+   */
+  async createTrelloCardFromNotion(operation) {
+    const { card: cardData, customFields, adoptCardId } = operation.payload;
+
+    let cardId = adoptCardId;
+    if (!cardId) {
+      const pending = { name: cardData.name, startedAt: new Date().toISOString(), trelloId: null };
+      this.stateStore.setPendingCreate(operation.notionPageId, pending);
+      await this.stateStore.save();
+
+      // Lists and labels the board does not have yet are created first, so the card is made with them
+      if (operation.payload.createList) {
+        cardData.idList = await this.createList(operation.payload.createList);
+      }
+      const labelIds = [];
+      for (const { name, color } of operation.payload.createLabels || []) {
+        labelIds.push(await this.createLabel(name, color));
+      }
+      if (labelIds.length > 0) {
+        cardData.idLabels = [cardData.idLabels, ...labelIds].filter(Boolean).join(',');
+      }
+
+      const newCard = await this.trelloService.createCard(cardData);
+      cardId = newCard.id;
 
-    const newCard = await this.trelloService.createCard(cardData);
-    
-    // Update the Notion entry with the new Trello ID
-    await this.notionService.updateEntry(notionEntry.id, {
-      'Trello ID': {
+      this.stateStore.setPendingCreate(operation.notionPageId, { ...pending, trelloId: cardId });
+      await this.stateStore.save();
+    }
+    operation.trelloId = cardId;
+
+    // Update the Notion entry with the new Trello ID (and mark it synced in the same write)
+    const { trelloIdProperty, syncedFlag } = this.mapping.identity;
+    const linkProperties = {
+      [trelloIdProperty]: {
         rich_text: [
           {
             text: {
-              content: newCard.id
+              content: cardId
             }
           }
         ]
       }
+    };
+    if (syncedFlag) {
+      linkProperties[syncedFlag] = { checkbox: true };
+    }
+    await this.notionService.updateEntry(operation.notionPageId, linkProperties);
+
+    // Set the mapped custom fields on the new card
+    for (const update of customFields) {
+      await this.applyCustomFieldUpdate(cardId, update);
+    }
+    await this.applyAttachmentChanges(operation);
+
+    if (operation.payload.checklists) {
+      await this.applyChecklistSteps(operation);
+    }
+
+    this.stateStore.setPair(cardId, operation.notionPageId, operation.stateFields, false, this.createdChecklistState(operation));
+
+    this.logger.info(`${adoptCardId ? 'Linked interrupted' : 'Created new'} Trello card for Notion entry: ${cardData.name}`, {
+      fields: customFields.map(update => update.fieldName)
+    });
+  }
+
+  /**
+   * Three-way merges a linked Trello card and Notion entry against the last-synced
+   * values in the state store, planning each field push only from the side that changed
+   * @param {Object} trelloCard - Trello card
+   * @param {Object} notionEntry - Linked Notion database entry
+   * @param {string} listName - Name of the card's Trello list
+   * @param {Object} customFields - Trello custom field values mapped by name
+   * @param {Object} context - Lookup maps built in planSync
+   * @param {Object} plan - Plan to add operations to
+   */
+  planPair(trelloCard, notionEntry, listName, customFields, context, plan) {
+    const pair = this.stateStore.getPair(trelloCard.id);
+    const baseFields = pair?.fields || null;
+    const trelloValues = extractTrelloFieldValues(trelloCard, customFields, listName, this.mapping);
+    const notionValues = this.readNotionValues(notionEntry, context, trelloCard.id);
+    const items = { trelloCard, notionEntry };
+
+    // Settle fields changed on both sides using the pair's per-field policy
+    const resolve = (field) => {
+      const policy = getConflictPolicy(field, this.conflictPolicies);
+      const winner = resolveConflict(policy, {
+        trelloEditedAt: context.fieldEditTimes[trelloCard.id]?.[field] || trelloCard.dateLastActivity,
+        notionEditedAt: notionEntry.last_edited_time
+      });
+      return { policy, winner };
+    };
+
+    const { toNotion, toTrello, conflicts, merged } = threeWayMerge(
+      baseFields,
+      trelloValues,
+      notionValues,
+      this.mapping.fields,
+      resolve
+    );
+
+    // Checklists are merged item by item, when both the card and the page were loaded with theirs
+    const checklists = this.syncChecklists && trelloCard.checklists && notionEntry.checklists
+      ? mergeChecklists(pair?.checklists || null, readTrelloChecklists(trelloCard), notionEntry.checklists, {
+        direction: this.mapping.checklists,
+        resolveConflict: () => resolve(CHECKLISTS_POLICY_KEY)
+      })
+      : null;
+
+    [...conflicts, ...(checklists?.conflicts || [])].forEach(conflict => {
+      const outcome = conflict.winner ? `${conflict.winner} value kept` : 'left for manual resolution';
+      this.logger.warn(`Conflict on "${conflict.field}" for "${trelloCard.name}" - changed on both sides, ${outcome} (${conflict.policy})`, conflict);
+      plan.conflicts.push({
+        trelloId: trelloCard.id,
+        notionPageId: notionEntry.id,
+        name: trelloCard.name,
+        ...conflict
+      });
     });
 
-    // Set initial Notion Link in the new Trello card if the field exists
-    const customFields = await this.trelloService.getCustomFields();
-    const customFieldMap = this.createCustomFieldMap(customFields);
-    
-    if (customFieldMap['Notion Link']) {
-      const notionPageUrl = this.notionService.generateNotionPageUrl(notionEntry.id);
-      await this.trelloService.updateTextCustomField(
-        newCard.id, 
-        customFieldMap['Notion Link'], 
-        notionPageUrl
-      );
-      logger.info(`Set Notion Link for new Trello card "${title}": ${notionPageUrl}`);
+    // Trello-side changes → Notion, keeping the synced flag set
+    const notionProperties = buildNotionProperties(toNotion, this.mapping);
+    const notionChanges = this.describeChanges(toNotion, notionValues);
+    const skippedFields = [];
+    let body;
+    if (this.bodyField && Object.prototype.hasOwnProperty.call(toNotion, this.bodyField.key)) {
+      // Replacing the page content would lose blocks that have no markdown equivalent
+      const unsupported = notionEntry.body?.unsupported || [];
+      if (unsupported.length > 0) {
+        this.logger.warn(`Not updating the page body of "${trelloCard.name}" - it has content that cannot be synced (${unsupported.join(', ')})`);
+        delete notionChanges[this.bodyField.key];
+        skippedFields.push(this.bodyField.key);
+      } else {
+        body = toNotion[this.bodyField.key] ?? '';
+      }
+    }
+    // The undo restores the people and file names the page had
+    let previousProperties;
+    if (this.attachmentsField && Object.prototype.hasOwnProperty.call(toNotion, this.attachmentsField.key)) {
+      // Files uploaded to Notion cannot be written back through the API, so replacing the property would lose them
+      const { property } = this.attachmentsField.notion;
+      const files = notionEntry.properties[property]?.files || [];
+      if (files.some(file => file.type === 'file')) {
+        this.logger.warn(`Not updating ${property} of "${trelloCard.name}" - it has files uploaded to Notion, which cannot be synced`);
+        delete notionProperties[property];
+        delete notionChanges[this.attachmentsField.key];
+        skippedFields.push(this.attachmentsField.key);
+      } else {
+        notionProperties[property] = { files: this.buildPageFiles(toNotion[this.attachmentsField.key], files, trelloCard) };
+        previousProperties = { [property]: { files } };
+      }
+    }
+    // People without a linked member stay on the page
+    if (this.membersField && Object.prototype.hasOwnProperty.call(toNotion, this.membersField.key)) {
+      const { property } = this.membersField.notion;
+      const people = notionEntry.properties[property]?.people || [];
+      notionProperties[property] = { people: buildPagePeople(toNotion[this.membersField.key], people, context.userMap) };
+      previousProperties = { ...previousProperties, [property]: { people: people.map(person => ({ id: person.id })) } };
+    }
+    const { syncedFlag } = this.mapping.identity;
+    if (syncedFlag && !this.notionService.extractCheckboxValue(notionEntry.properties[syncedFlag])) {
+      notionProperties[syncedFlag] = { checkbox: true };
+      notionChanges[syncedFlag] = { from: false, to: true };
+    }
+
+    const notionSteps = checklists?.notionSteps || [];
+    const selectOptions = this.labelsField && Object.prototype.hasOwnProperty.call(toNotion, this.labelsField.key)
+      ? this.planSelectOptions(toNotion[this.labelsField.key], trelloCard, context)
+      : null;
+    if (Object.keys(notionProperties).length > 0 || body !== undefined || notionSteps.length > 0) {
+      addOperation(plan, {
+        side: 'notion',
+        action: 'update',
+        trelloId: trelloCard.id,
+        notionPageId: notionEntry.id,
+        name: trelloCard.name,
+        changes: { ...notionChanges, ...checklists?.notionChanges },
+        payload: {
+          properties: notionProperties,
+          body,
+          ...(selectOptions ? { selectOptions } : {}),
+          ...(previousProperties ? { previousProperties } : {}),
+          ...(notionSteps.length > 0 ? { checklists: notionSteps } : {})
+        }
+      }, items);
+    }
+
+    // Notion-side changes → Trello; fields that cannot be applied keep their previous base
+    skippedFields.push(...this.planTrelloUpdates(notionEntry, trelloCard, toTrello, trelloValues, context, plan, {
+      steps: checklists?.trelloSteps || [],
+      changes: checklists?.trelloChanges || {}
+    }));
+    skippedFields.forEach(field => {
+      if (baseFields && Object.prototype.hasOwnProperty.call(baseFields, field)) {
+        merged[field] = baseFields[field];
+      } else {
+        delete merged[field];
+      }
+    });
+    // An unsorted card's list is its base, so the Notion value is tried again rather than overwritten
+    const unsorted = plan.unsorted.find(item => item.trelloId === trelloCard.id);
+    if (unsorted) {
+      merged[this.listField.key] = unsorted.list;
     }
 
-    logger.info(`Created new Trello card for Notion entry: ${title}`);
+    plan.stateUpdates[trelloCard.id] = {
+      notionPageId: notionEntry.id,
+      fields: merged,
+      ...(checklists ? { checklists: checklists.merged } : {})
+    };
   }
 
   /**
-   * Updates a Trello card with data from Notion
+   * Plans Notion-side field changes (merged two-way fields and one-way Notion → Trello fields) for a Trello card
    * @param {Object} notionEntry - Notion database entry
    * @param {Object} trelloCard - Trello card
-   * @param {Object} listNameToIdMap - Map of list name to ID
-   * @param {Object} customFieldMap - Map of custom field name to ID
-   */
-  async updateTrelloFromNotion(notionEntry, trelloCard, listNameToIdMap, customFieldMap) {
-    const { update, customFields } = mapNotionToTrello(notionEntry);
-    let hasUpdates = false;
-
-    // Update basic card properties
-    if (update.name && hasChanged(update.name, trelloCard.name)) {
-      await this.trelloService.updateCard(trelloCard.id, { name: update.name });
-      hasUpdates = true;
-    }
-
-    // Update list/department
-    const department = this.notionService.extractSelectValue(notionEntry.properties.Department);
-    const targetListId = listNameToIdMap[department];
-    if (targetListId && hasChanged(targetListId, trelloCard.idList)) {
-      await this.trelloService.moveCard(trelloCard.id, targetListId);
-      hasUpdates = true;
-    }
-
-    // Update custom fields (two-way sync)
-    for (const [fieldName, value] of Object.entries(customFields)) {
-      const fieldId = customFieldMap[fieldName];
-      if (fieldId && value !== null && value !== undefined) {
-        // Handle different field types
-        if (fieldName === 'synced') {
-          // Handle checkbox field
-          await this.trelloService.updateCheckboxCustomField(trelloCard.id, fieldId, value);
-        } else if (typeof value === 'boolean') {
-          // Handle other checkbox fields
-          await this.trelloService.updateCheckboxCustomField(trelloCard.id, fieldId, value);
-        } else if (typeof value === 'string') {
-          // Handle text fields
-          await this.trelloService.updateTextCustomField(trelloCard.id, fieldId, value);
-        } else {
-          // Handle number fields
-          await this.trelloService.updateCustomField(trelloCard.id, fieldId, value);
-        }
-        hasUpdates = true;
-      }
-    }
-
-    // One-way sync: Total Score from Notion to Trello (using formula-aware method)
-    const totalScore = this.notionService.extractNumericValue(notionEntry.properties['Total Score']);
-    if (totalScore !== null && totalScore !== undefined && customFieldMap['Total Score']) {
-      await this.trelloService.updateCustomField(
-        trelloCard.id, 
-        customFieldMap['Total Score'], 
-        totalScore
-      );
-      hasUpdates = true;
-    }
-
-    // One-way sync: Notion Link from Notion to Trello
-    if (customFieldMap['Notion Link']) {
-      const notionPageUrl = this.notionService.generateNotionPageUrl(notionEntry.id);
-      
-      // Get current Notion Link value from Trello
-      const currentNotionLink = this.getTrelloTextCustomFieldValue(trelloCard, customFieldMap['Notion Link']);
-      
-      // Only update if values are different
-      if (hasChanged(currentNotionLink, notionPageUrl)) {
-        await this.trelloService.updateTextCustomField(
-          trelloCard.id, 
-          customFieldMap['Notion Link'], 
-          notionPageUrl
-        );
-        hasUpdates = true;
-        logger.info(`Updated Notion Link for Trello card "${trelloCard.name}": ${notionPageUrl}`);
+   * @param {Object} changes - Field values to push, keyed by field key
+   * @param {Object} trelloValues - Current Trello field values
+   * @param {Object} context - Lookup maps built in planSync
+   * @param {Object} plan - Plan to add operations to
+   * @param {Object} checklists - Checklist steps and changes for the card ({ steps, changes }, see sync/checklists.js)
+   * @returns {Array<string>} Fields that could not be applied
+   */
+  planTrelloUpdates(notionEntry, trelloCard, changes, trelloValues, context, plan, checklists = { steps: [], changes: {} }) {
+    const { customFieldMap, trelloCustomFields, labelNameToIdMap } = context;
+    const items = { trelloCard, notionEntry };
+    const skippedFields = [];
+    const cardUpdates = {};
+    const customFieldUpdates = [];
+    let labels = { add: [], remove: [] };
+    let members = null;
+    let attachments = null;
+    let rank = null;
+    const updateChanges = {};
+    let moveOperation = null;
+
+    for (const [fieldKey, value] of Object.entries(changes)) {
+      const field = this.mapping.fields.find(candidate => candidate.key === fieldKey);
+      const change = { from: trelloValues[fieldKey] ?? null, to: value };
+
+      switch (field.trello.source) {
+        case 'name':
+          // Trello cards cannot have an empty name
+          if (!value) {
+            skippedFields.push(fieldKey);
+            continue;
+          }
+          cardUpdates.name = value;
+          updateChanges[fieldKey] = change;
+          break;
+        case 'closed':
+          cardUpdates.closed = value;
+          updateChanges[fieldKey] = change;
+          break;
+        case 'desc':
+          // Trello clears a description with an empty string
+          cardUpdates.desc = value ?? '';
+          updateChanges[fieldKey] = change;
+          break;
+        case 'due':
+        case 'start':
+        case 'dates':
+        case 'dueComplete':
+          Object.assign(cardUpdates, buildTrelloCardFields(field, value));
+          updateChanges[fieldKey] = change;
+          break;
+        case 'list': {
+          const target = this.resolveListTarget(value, context);
+          if (!target) {
+            this.logger.warn(`No Trello list matches ${fieldKey} "${value}" for card "${trelloCard.name}"`);
+            skippedFields.push(fieldKey);
+            continue;
+          }
+          if (target.unsorted) {
+            this.flagUnsorted(plan, { trelloId: trelloCard.id, notionPageId: notionEntry.id, name: trelloCard.name }, value);
+          }
+          // An unsorted card already in the unsorted list stays there
+          if (target.listId === trelloCard.idList) {
+            break;
+          }
+          moveOperation = {
+            side: 'trello',
+            action: 'move',
+            trelloId: trelloCard.id,
+            notionPageId: notionEntry.id,
+            name: trelloCard.name,
+            changes: { [fieldKey]: change },
+            payload: {
+              idList: target.listId || null,
+              ...(target.createList ? { createList: target.createList } : {}),
+              fromListId: trelloCard.idList
+            }
+          };
+          break;
+        }
+        case 'customField': {
+          const fieldId = customFieldMap[field.trello.name];
+          const type = trelloCustomFields.find(definition => definition.id === fieldId)?.type;
+          if (!fieldId || !CUSTOM_FIELD_TYPES.includes(type) || (type === 'date') !== (field.type === 'date')) {
+            this.logger.warn(`Trello custom field "${field.trello.name}" not found, or not a number, text, checkbox, dropdown or date field matching the field type - skipping`);
+            skippedFields.push(fieldKey);
+            continue;
+          }
+          customFieldUpdates.push({ fieldId, fieldName: field.trello.name, type, value, ...(type === 'date' ? { timeZone: field.timeZone } : {}) });
+          updateChanges[fieldKey] = change;
+          break;
+        }
+        case 'label': {
+          const labelId = labelNameToIdMap[field.trello.name];
+          if (!labelId) {
+            this.logger.warn(`Trello label "${field.trello.name}" not found - skipping`);
+            skippedFields.push(fieldKey);
+            continue;
+          }
+          labels[value ? 'add' : 'remove'].push(labelId);
+          updateChanges[fieldKey] = change;
+          break;
+        }
+        case 'labels': {
+          const { add, remove, create } = this.planLabelChanges(value, trelloCard, notionEntry, context);
+          labels = { add: [...labels.add, ...add], remove: [...labels.remove, ...remove], ...(create.length > 0 ? { create } : {}) };
+          updateChanges[fieldKey] = change;
+          break;
+        }
+        case 'members':
+          members = planMemberChanges(value, trelloCard.idMembers, context.userMap);
+          updateChanges[fieldKey] = change;
+          break;
+        case 'attachments':
+          attachments = this.planAttachmentChanges(value, trelloCard, notionEntry);
+          updateChanges[fieldKey] = change;
+          break;
+        case 'position':
+          // A cleared rank leaves the card where it is
+          if (value === null) {
+            skippedFields.push(fieldKey);
+            continue;
+          }
+          rank = { fieldKey, value, change };
+          break;
       }
     }
 
+    // The card is placed in the list it ends up in, together with the move when there is one
+    if (rank) {
+      const pos = placeCard(context.listOrder, trelloCard.id, moveOperation?.payload.idList || trelloCard.idList, rank.value);
+      if (moveOperation) {
+        Object.assign(moveOperation.payload, { pos, fromPos: trelloCard.pos });
+        moveOperation.changes[rank.fieldKey] = rank.change;
+      } else {
+        cardUpdates.pos = pos;
+        updateChanges[rank.fieldKey] = rank.change;
+      }
+    }
+
+    // Keep the synced checkbox set on linked cards
+    const syncedFieldId = customFieldMap[this.mapping.identity.syncedFlag];
+    if (syncedFieldId && !this.getTrelloCheckboxCustomFieldValue(trelloCard, syncedFieldId)) {
+      customFieldUpdates.push({ fieldId: syncedFieldId, fieldName: this.mapping.identity.syncedFlag, type: 'checkbox', value: true });
+      updateChanges[this.mapping.identity.syncedFlag] = { from: false, to: true };
+    }
+
+    const hasUpdates = Object.keys(cardUpdates).length > 0 || customFieldUpdates.length > 0 ||
+      labels.add.length > 0 || labels.remove.length > 0 || labels.create?.length > 0 ||
+      members?.add.length > 0 || members?.remove.length > 0 ||
+      attachments?.add.length > 0 || attachments?.remove.length > 0 || checklists.steps.length > 0;
     if (hasUpdates) {
-      this.syncStats.notionToTrello.updated++;
-      logger.info(`Updated Trello card from Notion: ${trelloCard.name}`);
+      addOperation(plan, {
+        side: 'trello',
+        action: 'update',
+        trelloId: trelloCard.id,
+        notionPageId: notionEntry.id,
+        name: trelloCard.name,
+        changes: { ...updateChanges, ...checklists.changes },
+        payload: {
+          card: cardUpdates,
+          customFields: customFieldUpdates,
+          labels,
+          ...(members ? { members } : {}),
+          ...(attachments ? { attachments } : {}),
+          ...(cardUpdates.pos !== undefined ? { fromPos: trelloCard.pos } : {}),
+          ...(checklists.steps.length > 0 ? { checklists: checklists.steps } : {})
+        }
+      }, items);
+    }
+
+    if (moveOperation) {
+      addOperation(plan, moveOperation, items);
     }
+
+    return skippedFields;
   }
 
   /**
-   * Determines if a Notion entry should be updated based on Trello data
-   * @param {Object} notionEntry - Existing Notion entry
-   * @param {Object} trelloCard - Trello card data
-   * @param {Object} customFields - Trello custom field values
-   * @param {string} listName - Trello list name
-   * @returns {boolean} True if update is needed
+   * Describes field changes as { field: { from, to } } for plans
+   * @param {Object} values - New field values
+   * @param {Object} currentValues - Current field values on the side being updated
+   * @returns {Object} Field changes
    */
-  shouldUpdateNotionEntry(notionEntry, trelloCard, customFields, listName) {
-    // Check title - Changed from 'Title' to 'Priority Name'
-    const currentTitle = this.notionService.extractTitleValue(notionEntry.properties['Priority Name']);
-    if (hasChanged(currentTitle, trelloCard.name)) {
-      return true;
-    }
+  describeChanges(values, currentValues) {
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+      changes[field] = { from: currentValues[field] ?? null, to: value };
+    });
+    return changes;
+  }
 
-    // Check department
-    const currentDepartment = this.notionService.extractSelectValue(notionEntry.properties.Department);
-    if (hasChanged(currentDepartment, listName)) {
-      return true;
-    }
+  /**
+   * Describes the fields of a newly created item for plans
+   * @param {Object} values - Field values of the new item
+   * @returns {Object} Field changes from empty
+   */
+  describeCreate(values) {
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (value !== null && value !== undefined) {
+        changes[field] = { from: null, to: value };
+      }
+    });
+    return changes;
+  }
 
-    // Check custom fields
-    const fieldsToCheck = ['Reach', 'Confidence', 'Effort', 'Impact'];
-    for (const fieldName of fieldsToCheck) {
-      const currentValue = this.notionService.extractNumberValue(notionEntry.properties[fieldName]);
-      const newValue = customFields[fieldName];
-      if (hasChanged(currentValue, newValue)) {
-        return true;
+  /**
+   * Builds the latest Trello edit time per card and field from board actions
+   * @param {string|null} since - Only consider actions after this ISO timestamp
+   * @returns {Promise<Object>} Map of card ID -> field key -> ISO timestamp
+   */
+  async getTrelloFieldEditTimes(since) {
+    const actions = await this.trelloService.getBoardActions({
+      filter: 'updateCard,updateCustomFieldItem,addLabelToCard,removeLabelFromCard,addMemberToCard,removeMemberFromCard,addAttachmentToCard,deleteAttachmentFromCard',
+      since: since || undefined,
+      limit: 1000
+    });
+
+    const editTimes = {};
+    actions.forEach(action => {
+      const cardId = action.data?.card?.id;
+      if (!cardId) {
+        return;
       }
-    }
 
-    return false;
+      const fields = this.mapping.fields
+        .filter(field => this.isFieldEditedByAction(field, action))
+        .map(field => field.key);
+
+      editTimes[cardId] = editTimes[cardId] || {};
+      fields.forEach(field => {
+        if (!editTimes[cardId][field] || action.date > editTimes[cardId][field]) {
+          editTimes[cardId][field] = action.date;
+        }
+      });
+    });
+
+    return editTimes;
+  }
+
+  /**
+   * Returns true if a Trello board action edited a mapped field
+   * @param {Object} field - Field definition
+   * @param {Object} action - Trello board action
+   * @returns {boolean} True if the action changed the field's Trello value
+   */
+  isFieldEditedByAction(field, action) {
+    const { source, name } = field.trello;
+
+    switch (action.type) {
+      case 'updateCard':
+        return (source === 'name' && action.data.old?.name !== undefined) ||
+          (source === 'list' && action.data.old?.idList !== undefined) ||
+          (source === 'closed' && action.data.old?.closed !== undefined) ||
+          (source === 'desc' && action.data.old?.desc !== undefined) ||
+          (['due', 'start', 'dueComplete'].includes(source) && action.data.old?.[source] !== undefined) ||
+          (source === 'dates' && (action.data.old?.due !== undefined || action.data.old?.start !== undefined)) ||
+          (source === 'position' && (action.data.old?.pos !== undefined || action.data.old?.idList !== undefined));
+      case 'updateCustomFieldItem':
+        return source === 'customField' && action.data.customField?.name === name;
+      case 'addLabelToCard':
+      case 'removeLabelFromCard':
+        return (source === 'label' && action.data.label?.name === name) || source === 'labels';
+      case 'addMemberToCard':
+      case 'removeMemberFromCard':
+        return source === 'members';
+      case 'addAttachmentToCard':
+      case 'deleteAttachmentFromCard':
+        return source === 'attachments';
+      default:
+        return false;
+    }
   }
 
   /**
@@ -432,6 +2408,21 @@ class SyncEngine {
     return map;
   }
 
+  /**
+   * Creates a map of label names to IDs for Trello
+   * @param {Array} trelloLabels - Array of Trello board labels
+   * @returns {Object} Map of label name to label ID
+   */
+  createLabelMap(trelloLabels) {
+    const map = {};
+    trelloLabels.forEach(label => {
+      if (label.name) {
+        map[label.name] = label.id;
+      }
+    });
+    return map;
+  }
+
   /**
    * Creates a lookup map of Notion entries by their Trello ID
    * @param {Array} notionEntries - Array of Notion database entries
@@ -440,7 +2431,7 @@ class SyncEngine {
   createNotionLookupMap(notionEntries) {
     const map = {};
     notionEntries.forEach(entry => {
-      const trelloId = this.notionService.extractRichTextValue(entry.properties['Trello ID']);
+      const trelloId = this.notionService.extractRichTextValue(entry.properties[this.mapping.identity.trelloIdProperty]);
       if (trelloId) {
         map[trelloId] = entry;
       }
@@ -449,138 +2440,142 @@ class SyncEngine {
   }
 
   /**
-   * Syncs Total Score formula values from Notion to Trello custom fields
-   * @param {Array} notionEntries - Notion database entries
-   * @param {Object} customFieldMap - Map of custom field name to ID
-   * @param {Object} trelloCardMap - Pre-built map of Trello cards by ID
-   */
-  async syncTotalScoreToTrello(notionEntries, customFieldMap, trelloCardMap = null) {
-    logger.info('Syncing Total Score from Notion → Trello');
-
-    const totalScoreFieldId = customFieldMap['Total Score'];
-    if (!totalScoreFieldId) {
-      logger.warn('Total Score custom field not found in Trello - skipping Total Score sync');
-      return;
-    }
-
-    // Use provided trelloCardMap or fetch fresh data
-    let cardMap = trelloCardMap;
-    if (!cardMap) {
-      const trelloCards = await this.trelloService.getCards();
-      cardMap = {};
-      trelloCards.forEach(card => {
-        cardMap[card.id] = card;
-      });
-    }
-
-    let totalScoreUpdates = 0;
-
-    for (const entry of notionEntries) {
-      try {
-        const trelloId = this.notionService.extractRichTextValue(entry.properties['Trello ID']);
-        
-        if (!trelloId) {
-          continue; // Skip entries without Trello ID
-        }
-
-        const trelloCard = cardMap[trelloId];
-        if (!trelloCard) {
-          logger.warn(`Trello card ${trelloId} not found for Notion entry ${entry.id}`);
-          continue;
-        }
-
-        // Get the Total Score from Notion (formula result) - using formula-aware method
-        const notionTotalScore = this.notionService.extractNumericValue(entry.properties['Total Score']);
-        
-        if (notionTotalScore === null || notionTotalScore === undefined) {
-          logger.debug(`No Total Score found for Notion entry ${entry.id}`);
-          continue;
-        }
-
-        // Get current Total Score from Trello
-        const currentTrelloTotalScore = this.getTrelloCustomFieldValue(trelloCard, totalScoreFieldId);
-
-        // Only update if values are different
-        if (hasChanged(currentTrelloTotalScore, notionTotalScore)) {
-          await this.trelloService.updateCustomField(
-            trelloCard.id, 
-            totalScoreFieldId, 
-            notionTotalScore
-          );
-          
-          totalScoreUpdates++;
-          logger.info(`Updated Total Score for Trello card "${trelloCard.name}": ${currentTrelloTotalScore} → ${notionTotalScore}`);
-        }
-
-      } catch (error) {
-        logger.error(`Error syncing Total Score for Notion entry ${entry.id}`, error);
-        this.syncStats.errors++;
-      }
-    }
-
-    logger.info(`Total Score sync complete: ${totalScoreUpdates} cards updated`);
-  }
-
-  /**
-   * Gets a custom field value from a Trello card
+   * Gets a checkbox custom field value from a Trello card
    * @param {Object} trelloCard - Trello card with customFieldItems
    * @param {string} customFieldId - Custom field ID to look for
-   * @returns {number|null} Custom field value or null if not found
+   * @returns {boolean|null} Custom field checkbox value or null if not found
    */
-  getTrelloCustomFieldValue(trelloCard, customFieldId) {
+  getTrelloCheckboxCustomFieldValue(trelloCard, customFieldId) {
     if (!trelloCard.customFieldItems) {
       return null;
     }
 
     const fieldItem = trelloCard.customFieldItems.find(item => item.idCustomField === customFieldId);
-    return fieldItem?.value?.number || null;
+    return fieldItem?.value?.checked === 'true'; // Convert string to boolean
   }
 
   /**
-   * Gets a text custom field value from a Trello card
-   * @param {Object} trelloCard - Trello card with customFieldItems
-   * @param {string} customFieldId - Custom field ID to look for
-   * @returns {string|null} Custom field text value or null if not found
+   * Looks up the archived Notion pages of linked cards missing from the fetched entries.
+   * Pairs already archived on both sides are skipped, so steady archived pairs cost no requests.
+   * @param {Array} trelloCards - Unique Trello cards
+   * @param {Object} notionByTrelloId - Active Notion entries mapped by Trello ID
+   * @returns {Promise<Object>} Archived pages keyed by Trello card ID
    */
-  getTrelloTextCustomFieldValue(trelloCard, customFieldId) {
-    if (!trelloCard.customFieldItems) {
-      return null;
-    }
+  async findArchivedPages(trelloCards, notionByTrelloId) {
+    const candidates = trelloCards.filter(card => {
+      const pair = this.stateStore.getPair(card.id);
+      return pair && !notionByTrelloId[card.id] && !(pair.archived && card.closed);
+    });
 
-    const fieldItem = trelloCard.customFieldItems.find(item => item.idCustomField === customFieldId);
-    return fieldItem?.value?.text || null;
+    const pages = await Promise.all(candidates.map(card =>
+      this.notionService.getPage(this.stateStore.getPair(card.id).notionPageId, { includeArchived: true })
+    ));
+
+    const archivedPages = {};
+    candidates.forEach((card, index) => {
+      if (pages[index]?.archived) {
+        archivedPages[card.id] = pages[index];
+      }
+    });
+    return archivedPages;
   }
 
   /**
-   * Gets a checkbox custom field value from a Trello card
-   * @param {Object} trelloCard - Trello card with customFieldItems
-   * @param {string} customFieldId - Custom field ID to look for
-   * @returns {boolean|null} Custom field checkbox value or null if not found
+   * Plans archive sync: archiving or restoring a card archives or restores its page, and
+   * the other way round. The archived state recorded for each pair tells which side changed.
+   * @param {Array} trelloCards - Unique Trello cards
+   * @param {Object} notionByTrelloId - Active Notion entries mapped by Trello ID
+   * @param {Object} archivedPages - Archived Notion pages keyed by Trello card ID
+   * @param {Object} plan - Plan to add operations to
+   * @returns {Set<string>} IDs of cards whose pair needs no field sync this run
    */
-  getTrelloCheckboxCustomFieldValue(trelloCard, customFieldId) {
-    if (!trelloCard.customFieldItems) {
-      return null;
+  planArchiveSync(trelloCards, notionByTrelloId, archivedPages, plan) {
+    const handled = new Set();
+
+    for (const card of trelloCards) {
+      const pair = this.stateStore.getPair(card.id);
+      const entry = notionByTrelloId[card.id];
+      const archivedPage = archivedPages[card.id];
+      const wasArchived = pair?.archived === true;
+      const cardArchived = card.closed === true;
+
+      if (!entry && !archivedPage) {
+        // Still archived on both sides; otherwise unlinked, or the page is gone (left to deletion sync)
+        if (wasArchived && cardArchived) {
+          handled.add(card.id);
+        }
+        continue;
+      }
+
+      const pageArchived = !entry;
+      if (cardArchived === pageArchived) {
+        if (cardArchived) {
+          handled.add(card.id);
+          if (!wasArchived) {
+            // Archived on both sides since the last run
+            plan.stateUpdates[card.id] = { notionPageId: pair.notionPageId, fields: pair.fields, archived: true };
+          }
+        }
+        continue;
+      }
+
+      const operation = {
+        trelloId: card.id,
+        notionPageId: entry ? entry.id : archivedPage.id,
+        name: card.name,
+        lifecycle: true
+      };
+      const items = { trelloCard: card, notionEntry: entry || null };
+
+      if (cardArchived !== wasArchived) {
+        // Archived or restored in Trello
+        addOperation(plan, {
+          ...operation,
+          side: 'notion',
+          action: cardArchived ? 'archive' : 'restore',
+          changes: { archived: { from: !cardArchived, to: cardArchived } },
+          reason: cardArchived ? 'Trello card archived' : 'Trello card restored'
+        }, items);
+        handled.add(card.id);
+      } else {
+        // Archived or restored in Notion; a restored page is merged with its card right away
+        addOperation(plan, {
+          ...operation,
+          side: 'trello',
+          action: pageArchived ? 'archive' : 'restore',
+          changes: { archived: { from: !pageArchived, to: pageArchived } },
+          reason: pageArchived ? 'Notion page archived' : 'Notion page restored'
+        }, items);
+        if (pageArchived) {
+          handled.add(card.id);
+        }
+      }
     }
 
-    const fieldItem = trelloCard.customFieldItems.find(item => item.idCustomField === customFieldId);
-    return fieldItem?.value?.checked === 'true'; // Convert string to boolean
+    return handled;
   }
 
   /**
-   * Handles deletion sync based on "synced" checkbox property
+   * Plans deletion sync based on "synced" checkbox property. An item whose counterpart
+   * went missing is first recorded as a tombstone; the deletion is only planned once it
+   * has stayed missing for the grace period.
    * @param {Array} trelloCards - Array of Trello cards
    * @param {Array} notionEntries - Array of Notion entries
-   * @param {Object} customFieldMap - Map of custom field names to IDs
+   * @param {Object} context - Lookup maps built in planSync
+   * @param {Object} plan - Plan to add operations to
    */
-  async handleDeletionSync(trelloCards, notionEntries, customFieldMap) {
-    logger.info('Checking for deletion sync based on "synced" checkbox...');
+  planDeletionSync(trelloCards, notionEntries, context, plan) {
+    this.logger.info('Checking for deletion sync based on "synced" checkbox...');
 
-    const syncedFieldId = customFieldMap['synced'];
+    const { syncedFlag } = this.mapping.identity;
+    const syncedFieldId = syncedFlag ? context.customFieldMap[syncedFlag] : null;
     if (!syncedFieldId) {
-      logger.warn('Synced checkbox field not found in Trello - skipping deletion sync');
+      this.logger.warn('Synced checkbox field not found in Trello - skipping deletion sync');
       return;
     }
 
+    plan.itemCounts = { trello: trelloCards.length, notion: notionEntries.length };
+
     // Create lookup maps
     const trelloCardMap = {};
     trelloCards.forEach(card => {
@@ -589,46 +2584,117 @@ class SyncEngine {
 
     const notionEntryMap = {};
     notionEntries.forEach(entry => {
-      const trelloId = this.notionService.extractRichTextValue(entry.properties['Trello ID']);
+      const trelloId = this.notionService.extractRichTextValue(entry.properties[this.mapping.identity.trelloIdProperty]);
       if (trelloId) {
         notionEntryMap[trelloId] = entry;
       }
     });
 
+    const nameField = findFieldBySource(this.mapping, 'name');
+    const skippedIds = new Set(context.skippedCards.map(card => card.id));
+    const missing = new Set();
+
     // Check for Notion entries marked for deletion (synced=true but Trello card doesn't exist)
     for (const entry of notionEntries) {
-      try {
-        const isSynced = this.notionService.extractCheckboxValue(entry.properties.synced);
-        const trelloId = this.notionService.extractRichTextValue(entry.properties['Trello ID']);
-
-        if (isSynced && trelloId && !trelloCardMap[trelloId]) {
-          logger.info(`Deleting Notion entry (synced=true but Trello card ${trelloId} not found): ${this.notionService.extractTitleValue(entry.properties['Priority Name'])}`);
-          await this.notionService.deletePage(entry.id);
-          this.syncStats.notionToTrello.updated++; // Count as update for stats
-        }
-      } catch (error) {
-        logger.error(`Error checking Notion entry ${entry.id} for deletion`, error);
-        this.syncStats.errors++;
+      const isSynced = this.notionService.extractCheckboxValue(entry.properties[syncedFlag]);
+      const trelloId = this.notionService.extractRichTextValue(entry.properties[this.mapping.identity.trelloIdProperty]);
+
+      // A card skipped by the duplicate rules is not deleted (it is reported by planNotionToTrello)
+      if (isSynced && trelloId && !trelloCardMap[trelloId] && !skippedIds.has(trelloId)) {
+        missing.add(trelloId);
+        this.planDeletion(plan, {
+          side: 'notion',
+          action: 'delete',
+          trelloId,
+          notionPageId: entry.id,
+          name: nameField ? extractNotionFieldValues(entry, this.mapping)[nameField.key] : entry.id
+        }, { notionEntry: entry });
       }
     }
 
     // Check for Trello cards marked for deletion (synced=true but Notion entry doesn't exist)
     for (const card of trelloCards) {
-      try {
-        const isSynced = this.getTrelloCheckboxCustomFieldValue(card, syncedFieldId);
-        
-        if (isSynced && !notionEntryMap[card.id]) {
-          logger.info(`Deleting Trello card (synced=true but Notion entry not found): ${card.name}`);
-          await this.trelloService.deleteCard(card.id);
-          this.syncStats.trelloToNotion.updated++; // Count as update for stats
-        }
-      } catch (error) {
-        logger.error(`Error checking Trello card ${card.id} for deletion`, error);
-        this.syncStats.errors++;
+      const isSynced = this.getTrelloCheckboxCustomFieldValue(card, syncedFieldId);
+
+      // Archived cards need no deletion, archived pages are mirrored by archive sync, and
+      // cards whose entry was rolled back keep the synced flag a later run gave them
+      if (card.closed || context.archiveHandled.has(card.id) || this.stateStore.getRolledBackCreate(card.id)) {
+        continue;
+      }
+
+      if (isSynced && !notionEntryMap[card.id]) {
+        missing.add(card.id);
+        this.planDeletion(plan, {
+          side: 'trello',
+          action: config.deletion.hardDelete ? 'delete' : 'archive',
+          trelloId: card.id,
+          name: card.name
+        }, { trelloCard: card });
       }
     }
 
-    logger.info('Deletion sync check completed');
+    // Items that reappeared (e.g. after a partial fetch) are no longer due for deletion
+    Object.entries(this.stateStore.getTombstones())
+      .filter(([trelloId]) => !missing.has(trelloId))
+      .forEach(([trelloId, tombstone]) => {
+        this.logger.info(`Counterpart of "${tombstone.name}" is back - cancelling its pending deletion`);
+        plan.tombstones.remove.push(trelloId);
+      });
+
+    this.logger.info('Deletion sync check completed');
+  }
+
+  /**
+   * Plans a deletion once its item has been missing for the grace period, otherwise
+   * records (or keeps) its tombstone
+   * @param {Object} plan - Plan to add the operation to
+   * @param {Object} operation - Delete or archive operation
+   * @param {Object} items - Item being deleted, for the plan snapshot
+   */
+  planDeletion(plan, operation, items) {
+    const tombstone = this.stateStore.getTombstone(operation.trelloId);
+    const missingSince = tombstone?.side === operation.side ? tombstone.missingSince : new Date().toISOString();
+    const missingFor = Date.now() - new Date(missingSince).getTime();
+
+    if (missingFor >= config.deletion.gracePeriod) {
+      addOperation(plan, operation, items);
+      return;
+    }
+
+    if (missingSince !== tombstone?.missingSince) {
+      this.logger.warn(`Counterpart of ${operation.side} item "${operation.name}" is missing - it will be deleted if still missing after the grace period`);
+      plan.tombstones.add[operation.trelloId] = {
+        side: operation.side,
+        notionPageId: operation.notionPageId || null,
+        name: operation.name,
+        missingSince
+      };
+    } else {
+      this.logger.debug(`Deletion of ${operation.side} item "${operation.name}" pending (missing for ${Math.round(missingFor / 60000)} min)`);
+    }
+  }
+
+  /**
+   * Finds sides where a plan would delete more than the allowed share of items
+   * @param {Object} plan - Sync plan
+   * @returns {Array<string>} One description per side over the limit, e.g. "40 of 120 Trello cards"
+   */
+  findMassDeletions(plan) {
+    if (!plan.itemCounts) {
+      return [];
+    }
+
+    const deletions = { trello: 0, notion: 0 };
+    plan.operations
+      // Archives mirrored from the other side are deliberate, not signs of a partial fetch
+      .filter(operation => !operation.lifecycle && (operation.action === 'delete' || operation.action === 'archive'))
+      .forEach(operation => deletions[operation.side]++);
+
+    const labels = { trello: 'Trello cards', notion: 'Notion entries' };
+    return Object.entries(deletions)
+      // A single deletion is always allowed, so small boards are not blocked
+      .filter(([side, count]) => count > Math.max(1, plan.itemCounts[side] * config.deletion.maxRatio))
+      .map(([side, count]) => `${count} of ${plan.itemCounts[side]} ${labels[side]}`);
   }
 
   /**
@@ -636,10 +2702,20 @@ class SyncEngine {
    */
   resetStats() {
     this.syncStats = {
-      trelloToNotion: { created: 0, updated: 0 },
-      notionToTrello: { created: 0, updated: 0 },
+      trelloToNotion: { created: 0, updated: 0, deleted: 0, archived: 0, restored: 0, commented: 0 },
+      notionToTrello: { created: 0, updated: 0, moved: 0, deleted: 0, archived: 0, restored: 0, commented: 0 },
+      conflicts: [],
+      unsorted: [],
+      skippedDuplicates: [],
+      skippedPages: [],
+      api: {
+        trello: { requests: 0, retries: 0, rateLimited: 0 },
+        notion: { requests: 0, retries: 0, rateLimited: 0 }
+      },
       errors: 0
     };
+    this.trelloService.resetRequestStats();
+    this.notionService.resetRequestStats();
   }
 }
 
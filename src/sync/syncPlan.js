@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Sync plans: the list of writes a sync run would make, which can be
+ * reviewed (dry run), saved as JSON and later applied exactly.
+ */
+
+export const PLAN_VERSION = 3;
+
+/**
+ * Creates an empty plan
+ * @param {Object} meta - Plan metadata
+ * @param {string} meta.boardId - Trello board ID the plan was made for
+ * @param {string} meta.databaseId - Notion database ID the plan was made for
+ * @param {string|null} meta.stateUpdatedAt - Sync state timestamp the plan was based on
+ * @returns {Object} Empty plan
+ */
+export function createPlan({ boardId, databaseId, stateUpdatedAt }) {
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    boardId,
+    databaseId,
+    stateUpdatedAt,
+    mode: 'full',
+    cursors: null, // Change cursors to record once the plan has been executed
+    itemCounts: null, // Cards and entries seen by a full run, for the mass-delete guard
+    operations: [],
+    stateUpdates: {},
+    tombstones: {
+      add: {}, // Newly missing items, keyed by Trello card ID
+      remove: [] // Trello card IDs whose items came back
+    },
+    commentLinks: {}, // Comments found already mirrored, keyed by Trello card ID (see sync/comments.js)
+    conflicts: [],
+    unsorted: [], // Cards sent to the unsorted list because no list matches their Notion value
+    skippedPages: [], // Entries left alone because their card is skipped by the duplicate rules
+    snapshot: {
+      trello: {},
+      notion: {}
+    }
+  };
+}
+
+/**
+ * Adds an operation to a plan and snapshots the items it touches for drift detection
+ * @param {Object} plan - Plan to add to
+ * @param {Object} operation - Operation ({ side, action, trelloId, notionPageId, name, changes, payload })
+ * @param {Object} items - Items the operation was planned from
+ * @param {Object} [items.trelloCard] - Trello card as fetched
+ * @param {Object} [items.notionEntry] - Notion entry as fetched
+ * @returns {Object} The added operation
+ */
+export function addOperation(plan, operation, { trelloCard = null, notionEntry = null } = {}) {
+  const planned = { id: plan.operations.length + 1, changes: {}, ...operation };
+  plan.operations.push(planned);
+
+  if (trelloCard) {
+    plan.snapshot.trello[trelloCard.id] = {
+      dateLastActivity: trelloCard.dateLastActivity || null,
+      fingerprint: fingerprintCard(trelloCard)
+    };
+  }
+  if (notionEntry) {
+    plan.snapshot.notion[notionEntry.id] = {
+      lastEditedTime: notionEntry.last_edited_time || null,
+      fingerprint: fingerprintEntry(notionEntry)
+    };
+  }
+
+  return planned;
+}
+
+/**
+ * Hashes the synced parts of a Trello card
+ * @param {Object} trelloCard - Trello card
+ * @returns {string} Fingerprint
+ */
+export function fingerprintCard(trelloCard) {
+  return hash({
+    name: trelloCard.name,
+    idList: trelloCard.idList,
+    pos: trelloCard.pos ?? null,
+    closed: trelloCard.closed || false,
+    desc: trelloCard.desc || '',
+    start: trelloCard.start || null,
+    due: trelloCard.due || null,
+    dueComplete: trelloCard.dueComplete || false,
+    idLabels: [...(trelloCard.idLabels || [])].sort(),
+    idMembers: [...(trelloCard.idMembers || [])].sort(),
+    attachments: trelloCard.attachments?.map(attachment => attachment.url),
+    checklists: trelloCard.checklists?.map(checklist => ({
+      id: checklist.id,
+      name: checklist.name,
+      items: (checklist.checkItems || []).map(item => ({ id: item.id, name: item.name, state: item.state }))
+    })),
+    customFieldItems: (trelloCard.customFieldItems || [])
+      .map(item => ({ id: item.idCustomField, value: item.value, idValue: item.idValue }))
+      .sort((a, b) => a.id.localeCompare(b.id))
+  });
+}
+
+/**
+ * Hashes the properties of a Notion entry, and its page body and checklists when those are synced
+ * @param {Object} notionEntry - Notion database entry
+ * @returns {string} Fingerprint
+ */
+export function fingerprintEntry(notionEntry) {
+  if (!notionEntry.body && !notionEntry.checklists) {
+    return hash(notionEntry.properties);
+  }
+  return hash({
+    properties: notionEntry.properties,
+    body: notionEntry.body?.markdown,
+    checklists: notionEntry.checklists?.map(({ blockId, name, items }) => ({ blockId, name, items }))
+  });
+}
+
+/**
+ * Creates a SHA-1 hash of a JSON-serializable value
+ * @param {any} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hash(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Compares a plan's snapshot with the current state of both sides
+ * @param {Object} plan - Saved plan
+ * @param {Array} trelloCards - Current Trello cards
+ * @param {Array} notionEntries - Current Notion entries
+ * @returns {Array<Object>} Drifted items ({ side, id, reason }); empty if nothing changed
+ */
+export function findDrift(plan, trelloCards, notionEntries) {
+  const drift = [];
+  const cardsById = new Map(trelloCards.map(card => [card.id, card]));
+  const entriesById = new Map(notionEntries.map(entry => [entry.id, entry]));
+
+  Object.entries(plan.snapshot.trello).forEach(([cardId, snapshot]) => {
+    const card = cardsById.get(cardId);
+    if (!card) {
+      drift.push({ side: 'trello', id: cardId, reason: 'card no longer exists' });
+    } else if (fingerprintCard(card) !== snapshot.fingerprint) {
+      drift.push({ side: 'trello', id: cardId, name: card.name, reason: 'card changed' });
+    }
+  });
+
+  Object.entries(plan.snapshot.notion).forEach(([pageId, snapshot]) => {
+    const entry = entriesById.get(pageId);
+    if (!entry) {
+      drift.push({ side: 'notion', id: pageId, reason: 'page no longer exists' });
+    } else if (fingerprintEntry(entry) !== snapshot.fingerprint) {
+      drift.push({ side: 'notion', id: pageId, reason: 'page changed' });
+    }
+  });
+
+  return drift;
+}
+
+/**
+ * Formats a value for display in a plan table
+ * @param {any} value - Value to format
+ * @returns {string} Display string
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '∅';
+  }
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Truncates text to a maximum length
+ * @param {string} text - Text to truncate
+ * @param {number} length - Maximum length
+ * @returns {string} Truncated text
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Renders a plan as a readable text table
+ * @param {Object} plan - Plan to render
+ * @returns {string} Table text
+ */
+export function formatPlan(plan) {
+  const pending = Object.keys(plan.tombstones.add).length;
+  const pendingNote = pending > 0 ? `\n${pending} newly missing items will be deleted after the grace period.` : '';
+
+  if (plan.operations.length === 0) {
+    return 'No changes planned - Trello and Notion are in sync.' + pendingNote;
+  }
+
+  const rows = [['#', 'SIDE', 'ACTION', 'ITEM', 'CHANGES']];
+  plan.operations.forEach(operation => {
+    const changes = Object.entries(operation.changes || {})
+      .map(([field, change]) => `${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+    const item = truncate(operation.name || operation.trelloId || operation.notionPageId || '', 40);
+
+    rows.push([String(operation.id), operation.side, operation.action, item, changes[0] || '']);
+    changes.slice(1).forEach(change => rows.push(['', '', '', '', change]));
+  });
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const lines = rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+  return lines.join('\n') + pendingNote;
+}
+
+/**
+ * Saves a plan as JSON
+ * @param {Object} plan - Plan to save
+ * @param {string} filePath - Destination file
+ * @returns {Promise<string>} Absolute path written
+ */
+export async function savePlan(plan, filePath) {
+  const resolved = path.resolve(filePath);
+  await fs.writeFile(resolved, JSON.stringify(plan, null, 2));
+  return resolved;
+}
+
+/**
+ * Loads and validates a saved plan
+ * @param {string} filePath - Plan file
+ * @returns {Promise<Object>} Plan
+ * @throws {Error} If the file is not a supported plan
+ */
+export async function loadPlan(filePath) {
+  const plan = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+
+  if (plan.version !== PLAN_VERSION || !Array.isArray(plan.operations)) {
+    throw new Error(`${filePath} is not a supported sync plan (version ${plan.version})`);
+  }
+
+  return plan;
+}
@@ -0,0 +1,121 @@
+/**
+ * User identity map: Trello board members ⟷ Notion workspace people.
+ *
+ * Members and people are linked by the field's manual overrides first, then by email
+ * (when Trello shares it) and then by full name, when exactly one member and one person
+ * have it. Card members and page people sync as the Trello usernames of linked members;
+ * members and people without a counterpart are never added or removed by the sync.
+ */
+
+/**
+ * Normalizes a name or email for matching
+ * @param {string} value - Name or email
+ * @returns {string} Lowercased value with collapsed whitespace
+ */
+function matchKey(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Links board members to Notion people
+ * @param {Array<Object>} trelloMembers - Board members ({ id, username, fullName, email })
+ * @param {Array<Object>} notionUsers - Notion people ({ id, name, person: { email } })
+ * @param {Object} overrides - Notion user ID or email by Trello username or member ID
+ * @returns {Object} { links, unmatchedMembers, unmatchedUsers, warnings }; each link is
+ *   { username, memberId, memberName, userId, userName, matchedBy } with matchedBy 'override', 'email' or 'name'
+ */
+export function buildUserMap(trelloMembers, notionUsers, overrides = {}) {
+  const links = [];
+  const warnings = [];
+  const members = [...trelloMembers];
+  const users = [...notionUsers];
+
+  const link = (member, user, matchedBy) => {
+    links.push({
+      username: member.username,
+      memberId: member.id,
+      memberName: member.fullName || member.username,
+      userId: user.id,
+      userName: user.name || user.person?.email || user.id,
+      matchedBy
+    });
+    members.splice(members.indexOf(member), 1);
+    users.splice(users.indexOf(user), 1);
+  };
+
+  Object.entries(overrides).forEach(([trelloKey, notionKey]) => {
+    const member = members.find(candidate => candidate.username === trelloKey || candidate.id === trelloKey);
+    const user = users.find(candidate => candidate.id === notionKey || matchKey(candidate.person?.email) === matchKey(notionKey));
+    if (!member || !user) {
+      warnings.push(`User override "${trelloKey}" → "${notionKey}" ignored: ${member ? 'no Notion user' : 'no board member'} matches it`);
+      return;
+    }
+    link(member, user, 'override');
+  });
+
+  // Automatic matches must be unambiguous on both sides
+  const matchBy = (readMember, readUser, matchedBy) => {
+    const count = (items, read, key) => items.filter(item => matchKey(read(item)) === key).length;
+    [...members].forEach(member => {
+      const key = matchKey(readMember(member));
+      if (!key || count(members, readMember, key) !== 1 || count(users, readUser, key) !== 1) {
+        return;
+      }
+      link(member, users.find(user => matchKey(readUser(user)) === key), matchedBy);
+    });
+  };
+  matchBy(member => member.email, user => user.person?.email, 'email');
+  matchBy(member => member.fullName, user => user.name, 'name');
+
+  return { links, unmatchedMembers: members, unmatchedUsers: users, warnings };
+}
+
+/**
+ * Reads the linked members of a card
+ * @param {Array<string>} memberIds - The card's member IDs (idMembers)
+ * @param {Object} userMap - User map (see buildUserMap)
+ * @returns {Array<string>} Usernames of the linked members
+ */
+export function readCardMembers(memberIds = [], userMap) {
+  return userMap.links.filter(link => memberIds.includes(link.memberId)).map(link => link.username);
+}
+
+/**
+ * Reads the linked people of a Notion people property
+ * @param {Array<Object>} people - Property people ({ id })
+ * @param {Object} userMap - User map (see buildUserMap)
+ * @returns {Array<string>} Usernames of the members linked to the people
+ */
+export function readPagePeople(people = [], userMap) {
+  const ids = people.map(person => person.id);
+  return userMap.links.filter(link => ids.includes(link.userId)).map(link => link.username);
+}
+
+/**
+ * Builds a Notion people property value for linked members, keeping the people that have no member
+ * @param {Array<string>|null} usernames - Usernames of the linked members to set
+ * @param {Array<Object>} currentPeople - Current property people ({ id })
+ * @param {Object} userMap - User map (see buildUserMap)
+ * @returns {Array<Object>} People ({ id })
+ */
+export function buildPagePeople(usernames, currentPeople = [], userMap) {
+  const linkedIds = new Set(userMap.links.map(link => link.userId));
+  const kept = currentPeople.filter(person => !linkedIds.has(person.id)).map(person => ({ id: person.id }));
+  const linked = userMap.links.filter(link => (usernames || []).includes(link.username)).map(link => ({ id: link.userId }));
+  return [...kept, ...linked];
+}
+
+/**
+ * Plans the member changes that give a card exactly the linked members named
+ * @param {Array<string>|null} usernames - Usernames of the linked members the card should have
+ * @param {Array<string>} memberIds - The card's current member IDs (idMembers)
+ * @param {Object} userMap - User map (see buildUserMap)
+ * @returns {Object} { add, remove } member IDs
+ */
+export function planMemberChanges(usernames, memberIds = [], userMap) {
+  const wanted = new Set(usernames || []);
+  return {
+    add: userMap.links.filter(link => wanted.has(link.username) && !memberIds.includes(link.memberId)).map(link => link.memberId),
+    remove: userMap.links.filter(link => !wanted.has(link.username) && memberIds.includes(link.memberId)).map(link => link.memberId)
+  };
+}
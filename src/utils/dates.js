@@ -0,0 +1,151 @@
+/**
+ * Date utilities for syncing Trello due and start dates with Notion date properties.
+ *
+ * Synced dates are compared as strings: "YYYY-MM-DD" for all-day dates and UTC ISO
+ * timestamps for timed ones, with "start/end" for a range. Trello only stores
+ * timestamps, so an all-day date is stored on a card as midnight in the mapping's
+ * time zone, and a card date at midnight in that zone reads as all-day.
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Returns true if a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Berlin"
+ * @returns {boolean} True if the time zone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Formats an instant as wall-clock time in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Local time, e.g. "2026-10-19T09:30:00"
+ */
+export function formatInTimeZone(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Converts wall-clock time in a time zone to an instant
+ * @param {string} localTime - Local time without offset, e.g. "2026-10-19T09:30:00"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToUtc(localTime, timeZone) {
+  const asUtc = new Date(`${localTime}Z`).getTime();
+  const offsetAt = time => new Date(`${formatInTimeZone(new Date(time), timeZone)}Z`).getTime() - Math.floor(time / 1000) * 1000;
+
+  // The offset at the guess can differ from the offset at the result around daylight saving changes
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+}
+
+/**
+ * Normalizes a single date
+ * @param {string|null} value - Date, timestamp with offset, or local time in the time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} "YYYY-MM-DD" for all-day dates, a UTC ISO timestamp otherwise, or null
+ */
+function normalizeDatePart(value, timeZone) {
+  const text = value == null ? '' : String(value).trim();
+  if (!text) {
+    return null;
+  }
+  if (DATE_ONLY_PATTERN.test(text)) {
+    return text;
+  }
+
+  const date = OFFSET_PATTERN.test(text) ? new Date(text) : zonedTimeToUtc(text, timeZone);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  const local = formatInTimeZone(date, timeZone);
+  return local.endsWith('T00:00:00') ? local.slice(0, 10) : date.toISOString();
+}
+
+/**
+ * Normalizes a date or date range so both sides compare equal
+ * @param {string|null} value - Date, or range as "start/end"
+ * @param {string} timeZone - IANA time zone all-day dates are in
+ * @returns {string|null} Normalized date, "start/end" for a range, or null
+ */
+export function normalizeDate(value, timeZone) {
+  const [start, end] = String(value ?? '').split('/').map(part => normalizeDatePart(part, timeZone));
+  if (!start || !end || start === end) {
+    return start || end || null;
+  }
+  return `${start}/${end}`;
+}
+
+/**
+ * Reads a Notion date property value as a date string
+ * @param {Object|null} date - Notion date ({ start, end, time_zone })
+ * @param {boolean} range - Whether to read the end date too
+ * @returns {string|null} Date, "start/end" for a range, or null
+ */
+export function readNotionDate(date, range) {
+  if (!date?.start) {
+    return null;
+  }
+  // Timed dates with a time zone come back as local time in that zone
+  const resolve = part => (part && date.time_zone && !OFFSET_PATTERN.test(part) && !DATE_ONLY_PATTERN.test(part)
+    ? zonedTimeToUtc(part, date.time_zone).toISOString()
+    : part);
+  return range && date.end ? `${resolve(date.start)}/${resolve(date.end)}` : resolve(date.start);
+}
+
+/**
+ * Builds a Notion date property value, with timed dates shown in the time zone
+ * @param {string|null} value - Normalized date or "start/end" range
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object|null} Notion date ({ start, end, time_zone }) or null
+ */
+export function buildNotionDate(value, timeZone) {
+  if (!value) {
+    return null;
+  }
+  const parts = value.split('/');
+  const timed = parts.some(part => !DATE_ONLY_PATTERN.test(part));
+  if (!timed) {
+    return { start: parts[0], end: parts[1] || null };
+  }
+
+  // Notion cannot mix an all-day start with a timed end, so all-day parts start at midnight
+  const toLocal = part => (DATE_ONLY_PATTERN.test(part) ? `${part}T00:00:00` : formatInTimeZone(new Date(part), timeZone));
+  if (timeZone === 'UTC') {
+    return { start: `${toLocal(parts[0])}Z`, end: parts[1] ? `${toLocal(parts[1])}Z` : null };
+  }
+  return { start: toLocal(parts[0]), end: parts[1] ? toLocal(parts[1]) : null, time_zone: timeZone };
+}
+
+/**
+ * Converts a normalized date to the timestamp a Trello card stores
+ * @param {string|null} value - Normalized date (not a range)
+ * @param {string} timeZone - IANA time zone all-day dates are in
+ * @returns {string|null} ISO timestamp, all-day dates at midnight in the time zone, or null
+ */
+export function toTrelloDate(value, timeZone) {
+  if (!value) {
+    return null;
+  }
+  return DATE_ONLY_PATTERN.test(value) ? zonedTimeToUtc(`${value}T00:00:00`, timeZone).toISOString() : value;
+}
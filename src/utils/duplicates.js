@@ -0,0 +1,173 @@
+/**
+ * Duplicate card rules: which cards sharing a name are synced and which are skipped.
+ *
+ * Cards are grouped by name (exactly, or normalized for case, spacing and
+ * punctuation), and one card per group is kept by applying the preferences in
+ * order. Every other card in the group is skipped and reported.
+ */
+
+/**
+ * Supported ways of grouping cards as duplicates
+ */
+export const DUPLICATE_GROUPINGS = ['off', 'exact', 'normalized'];
+
+/**
+ * Parses and validates duplicate rules
+ * @param {Object} rules - Raw rules
+ * @param {string} rules.groupBy - 'off', 'exact' or 'normalized'
+ * @param {string|Array<string>} rules.prefer - Preferences in order, e.g. "list:Backlog,oldest"
+ * @returns {Object} { groupBy, prefer: [{ type, list }] }
+ * @throws {Error} If a grouping or preference is not supported
+ */
+export function parseDuplicateRules({ groupBy = 'off', prefer = 'oldest' } = {}) {
+  if (!DUPLICATE_GROUPINGS.includes(groupBy)) {
+    throw new Error(`Duplicate grouping must be one of ${DUPLICATE_GROUPINGS.join(', ')} (got "${groupBy}")`);
+  }
+
+  const entries = Array.isArray(prefer) ? prefer : String(prefer).split(',');
+  const preferences = entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      if (entry === 'oldest' || entry === 'newest') {
+        return { type: entry };
+      }
+
+      const separator = entry.indexOf(':');
+      const type = separator === -1 ? entry : entry.slice(0, separator);
+      const list = separator === -1 ? '' : entry.slice(separator + 1).trim();
+      if (!['list', 'avoid-list'].includes(type) || !list) {
+        throw new Error(`Unsupported duplicate preference "${entry}" (expected oldest, newest, list:<name or id> or avoid-list:<name or id>)`);
+      }
+      return { type, list };
+    });
+
+  return { groupBy, prefer: preferences };
+}
+
+/**
+ * Normalizes a card name for duplicate grouping: case, accents, punctuation and spacing are ignored
+ * @param {string} name - Card name
+ * @returns {string} Normalized name
+ */
+export function normalizeCardName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Gets a card's creation time from its ID (Trello IDs start with a hex Unix timestamp)
+ * @param {Object} card - Trello card
+ * @returns {number} Creation time in milliseconds
+ */
+export function cardCreatedAt(card) {
+  return parseInt(card.id.substring(0, 8), 16) * 1000;
+}
+
+/**
+ * Returns true if a card is in the list a preference names (by ID or name)
+ * @param {Object} card - Trello card
+ * @param {string} list - List ID or name
+ * @param {Object} listIdToNameMap - Map of list ID to name
+ * @returns {boolean} True if the card is in that list
+ */
+function isInList(card, list, listIdToNameMap) {
+  return card.idList === list || listIdToNameMap[card.idList] === list;
+}
+
+/**
+ * Picks the card to keep from a group of duplicates
+ * @param {Array} group - Cards sharing a name, oldest first
+ * @param {Array<Object>} preferences - Parsed preferences
+ * @param {Object} listIdToNameMap - Map of list ID to name
+ * @returns {Object} { card, rule } - the kept card and the preferences that decided it
+ */
+function pickCard(group, preferences, listIdToNameMap) {
+  let candidates = group;
+  const applied = [];
+
+  for (const preference of preferences) {
+    if (candidates.length === 1) {
+      break;
+    }
+
+    let narrowed;
+    switch (preference.type) {
+      case 'oldest':
+        narrowed = candidates.slice(0, 1);
+        break;
+      case 'newest':
+        narrowed = candidates.slice(-1);
+        break;
+      case 'list':
+        narrowed = candidates.filter(card => isInList(card, preference.list, listIdToNameMap));
+        break;
+      case 'avoid-list':
+        narrowed = candidates.filter(card => !isInList(card, preference.list, listIdToNameMap));
+        break;
+    }
+
+    // A preference no card satisfies is skipped
+    if (narrowed.length > 0 && narrowed.length < candidates.length) {
+      candidates = narrowed;
+      applied.push(preference.list ? `${preference.type}:${preference.list}` : preference.type);
+    }
+  }
+
+  // Ties left after every preference go to the oldest card
+  return { card: candidates[0], rule: applied.length > 0 ? applied.join(', ') : 'oldest' };
+}
+
+/**
+ * Applies duplicate rules to a board's cards
+ * @param {Array} cards - Trello cards
+ * @param {Object} rules - Parsed rules (see parseDuplicateRules)
+ * @param {Object} listIdToNameMap - Map of list ID to name, for list preferences given by name
+ * @returns {Object} { kept, skipped } - skipped entries are { id, name, listId, listName, keptId, reason }
+ */
+export function applyDuplicateRules(cards, rules, listIdToNameMap = {}) {
+  if (rules.groupBy === 'off') {
+    return { kept: cards, skipped: [] };
+  }
+
+  const groups = new Map();
+  cards.forEach(card => {
+    const key = rules.groupBy === 'normalized' ? normalizeCardName(card.name) : card.name.trim();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(card);
+  });
+
+  const keptIds = new Set();
+  const skipped = [];
+
+  groups.forEach(group => {
+    if (group.length === 1) {
+      keptIds.add(group[0].id);
+      return;
+    }
+
+    const sorted = [...group].sort((a, b) => cardCreatedAt(a) - cardCreatedAt(b));
+    const { card: keptCard, rule } = pickCard(sorted, rules.prefer, listIdToNameMap);
+    keptIds.add(keptCard.id);
+
+    sorted
+      .filter(card => card.id !== keptCard.id)
+      .forEach(card => skipped.push({
+        id: card.id,
+        name: card.name,
+        listId: card.idList,
+        listName: listIdToNameMap[card.idList] || null,
+        keptId: keptCard.id,
+        reason: `duplicate of ${keptCard.id} (kept by ${rule})`
+      }));
+  });
+
+  // Keep the board's card order
+  return { kept: cards.filter(card => keptIds.has(card.id)), skipped };
+}
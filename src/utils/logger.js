@@ -2,7 +2,11 @@
  * Simple logging utility with timestamp and level support
  */
 class Logger {
-  constructor(level = 'info') {
+  /**
+   * @param {string} level - Minimum level to log
+   * @param {string|null} tag - Prefix added to every message (e.g. a sync pair name)
+   */
+  constructor(level = 'info', tag = null) {
     this.levels = {
       debug: 0,
       info: 1,
@@ -10,6 +14,17 @@ class Logger {
       error: 3
     };
     this.currentLevel = this.levels[level] || this.levels.info;
+    this.level = level;
+    this.tag = tag;
+  }
+
+  /**
+   * Creates a logger that tags every message, e.g. with the sync pair it belongs to
+   * @param {string} tag - Tag to prefix messages with
+   * @returns {Logger} Tagged logger
+   */
+  child(tag) {
+    return new Logger(this.level, this.tag ? `${this.tag}:${tag}` : tag);
   }
 
   /**
@@ -22,7 +37,8 @@ class Logger {
   formatMessage(level, message, data = null) {
     const timestamp = new Date().toISOString();
     const dataStr = data ? ` | ${JSON.stringify(data)}` : '';
-    return `[${timestamp}] ${level.toUpperCase()}: ${message}${dataStr}`;
+    const tagStr = this.tag ? `[${this.tag}] ` : '';
+    return `[${timestamp}] ${level.toUpperCase()}: ${tagStr}${message}${dataStr}`;
   }
 
   /**
@@ -1,3 +1,7 @@
+import { loadFieldMapping, READ_ONLY_NOTION_TYPES } from '../config/fieldMapping.js';
+import { normalizeMarkdown } from './markdown.js';
+import { normalizeDate, readNotionDate, buildNotionDate, toTrelloDate } from './dates.js';
+
 /**
  * Data mapping utilities for transforming data between Trello and Notion formats
  */
@@ -7,87 +11,39 @@
  * @param {Object} trelloCard - Trello card object
  * @param {Object} customFields - Trello custom fields data
  * @param {string} listName - Name of the Trello list (column)
+ * @param {Object} mapping - Field mapping (defaults to the configured mapping)
  * @returns {Object} Notion database entry properties
  */
-export function mapTrelloToNotion(trelloCard, customFields, listName) {
-  const properties = {
-    'Priority Name': {  // Changed from 'Title' to 'Priority Name'
-      title: [
-        {
-          text: {
-            content: trelloCard.name || ''
-          }
+export function mapTrelloToNotion(trelloCard, customFields, listName, mapping = loadFieldMapping()) {
+  const values = extractTrelloFieldValues(trelloCard, customFields, listName, mapping);
+  const createValues = {};
+
+  mapping.fields.forEach(field => {
+    const value = values[field.key];
+    // Leave unset values out of new entries, but always give the page a title
+    if (field.direction !== 'notion-to-trello' && (value !== null || field.notion.type === 'title')) {
+      createValues[field.key] = value;
+    }
+  });
+
+  const properties = buildNotionProperties(createValues, mapping);
+
+  properties[mapping.identity.trelloIdProperty] = {
+    rich_text: [
+      {
+        text: {
+          content: trelloCard.id
         }
-      ]
-    },
-    Department: {
-      select: {
-        name: listName || 'Unknown'
       }
-    },
-    'Trello ID': {
-      rich_text: [
-        {
-          text: {
-            content: trelloCard.id
-          }
-        }
-      ]
-    }
+    ]
   };
 
-  // Map custom fields - ensure numbers are actual numbers, not strings
-  if (customFields.Reach !== undefined && customFields.Reach !== null) {
-    properties.Reach = { number: Number(customFields.Reach) };
-  }
-  if (customFields.Confidence !== undefined && customFields.Confidence !== null) {
-    properties.Confidence = { number: Number(customFields.Confidence) };
-  }
-  if (customFields.Effort !== undefined && customFields.Effort !== null) {
-    properties.Effort = { number: Number(customFields.Effort) };
-  }
-  if (customFields.Impact !== undefined && customFields.Impact !== null) {
-    properties.Impact = { number: Number(customFields.Impact) };
-  }
-
   // Map synced checkbox - always set to true after sync
-  properties.synced = { checkbox: true };
-
-  return properties;
-}
-
-/**
- * Maps Notion database entry to Trello card update format
- * @param {Object} notionEntry - Notion database entry
- * @returns {Object} Trello card update data
- */
-export function mapNotionToTrello(notionEntry) {
-  const update = {};
-  const customFields = {};
-
-  // Map title - Changed from 'Title' to 'Priority Name'
-  if (notionEntry.properties['Priority Name']?.title?.[0]?.text?.content) {
-    update.name = notionEntry.properties['Priority Name'].title[0].text.content;
+  if (mapping.identity.syncedFlag) {
+    properties[mapping.identity.syncedFlag] = { checkbox: true };
   }
 
-  // Map custom fields
-  if (notionEntry.properties.Reach?.number !== null && notionEntry.properties.Reach?.number !== undefined) {
-    customFields.Reach = notionEntry.properties.Reach.number;
-  }
-  if (notionEntry.properties.Confidence?.number !== null && notionEntry.properties.Confidence?.number !== undefined) {
-    customFields.Confidence = notionEntry.properties.Confidence.number;
-  }
-  if (notionEntry.properties.Effort?.number !== null && notionEntry.properties.Effort?.number !== undefined) {
-    customFields.Effort = notionEntry.properties.Effort.number;
-  }
-  if (notionEntry.properties.Impact?.number !== null && notionEntry.properties.Impact?.number !== undefined) {
-    customFields.Impact = notionEntry.properties.Impact.number;
-  }
-
-  // Map synced checkbox - always set to true after sync
-  customFields.synced = true;
-
-  return { update, customFields };
+  return properties;
 }
 
 /**
@@ -103,18 +59,25 @@ export function extractTrelloCustomFields(trelloCard, boardCustomFields) {
     return customFields;
   }
 
-  // Create a map of custom field IDs to names
+  // Create a map of custom field IDs to definitions
   const fieldMap = {};
   boardCustomFields.forEach(field => {
-    fieldMap[field.id] = field.name;
+    fieldMap[field.id] = field;
   });
 
   // Extract values
   trelloCard.customFieldItems.forEach(item => {
-    const fieldName = fieldMap[item.idCustomField];
-    if (fieldName) {
+    const definition = fieldMap[item.idCustomField];
+    if (definition) {
+      const fieldName = definition.name;
       // Handle different custom field types
-      if (item.value?.number !== undefined) {
+      if (item.idValue) {
+        // Dropdown fields hold an option ID; the sync uses the option's name
+        const option = (definition.options || []).find(candidate => candidate.id === item.idValue);
+        customFields[fieldName] = option?.value?.text ?? null;
+      } else if (item.value?.date !== undefined) {
+        customFields[fieldName] = item.value.date;
+      } else if (item.value?.number !== undefined) {
         customFields[fieldName] = item.value.number;
       } else if (item.value?.text !== undefined) {
         customFields[fieldName] = item.value.text;
@@ -122,7 +85,7 @@ export function extractTrelloCustomFields(trelloCard, boardCustomFields) {
         // Convert string to boolean for checkbox fields
         customFields[fieldName] = item.value.checked === 'true';
       } else {
-        customFields[fieldName] = 0; // Default for number fields
+        customFields[fieldName] = definition.type === 'number' ? 0 : null;
       }
     }
   });
@@ -130,6 +93,321 @@ export function extractTrelloCustomFields(trelloCard, boardCustomFields) {
   return customFields;
 }
 
+/**
+ * Generates the public URL for a Notion page
+ * @param {string} pageId - Notion page ID
+ * @returns {string} Public Notion page URL
+ */
+export function generateNotionPageUrl(pageId) {
+  // Remove dashes from page ID for URL
+  const cleanPageId = pageId.replace(/-/g, '');
+  return `https://www.notion.so/${cleanPageId}`;
+}
+
+/**
+ * Converts a raw value to the mapped field's type so both sides compare equal
+ * @param {Object} field - Field definition
+ * @param {any} value - Raw value
+ * @returns {string|number|boolean|Array<string>|null} Normalized value
+ */
+export function normalizeFieldValue(field, value) {
+  switch (field.type) {
+    case 'number': {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      const number = Number(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'list': {
+      // Sorted and without duplicates, so lists with the same names compare equal.
+      // Notion option names cannot contain commas, so such labels are left out of the sync
+      const names = (Array.isArray(value) ? value : [])
+        .map(name => String(name ?? '').trim())
+        .filter(name => name && !(field.trello.source === 'labels' && name.includes(',')));
+      return names.length > 0 ? [...new Set(names)].sort() : null;
+    }
+    case 'date':
+      return normalizeDate(value, field.timeZone);
+    default:
+      return value === null || value === undefined || value === '' ? null : String(value);
+  }
+}
+
+/**
+ * Reads a field's raw value from a Trello card
+ * @param {Object} field - Field definition
+ * @param {Object} trelloCard - Trello card object
+ * @param {Object} customFields - Trello custom field values mapped by name
+ * @param {string} listName - Name of the Trello list (column)
+ * @returns {any} Raw value
+ */
+function readTrelloValue(field, trelloCard, customFields, listName) {
+  switch (field.trello.source) {
+    case 'name':
+      return trelloCard.name;
+    case 'list':
+      return listName;
+    case 'customField':
+      return customFields[field.trello.name];
+    case 'label':
+      return (trelloCard.labels || []).some(label => label.name === field.trello.name);
+    case 'closed':
+      return trelloCard.closed === true;
+    case 'desc':
+      // Compared with the page body in the form a round trip through Notion blocks gives
+      return field.notion.type === 'page_body' ? normalizeMarkdown(trelloCard.desc) : trelloCard.desc;
+    case 'labels':
+      return (trelloCard.labels || []).map(label => label.name);
+    case 'due':
+      return trelloCard.due;
+    case 'start':
+      return trelloCard.start;
+    case 'dates':
+      return trelloCard.start && trelloCard.due ? `${trelloCard.start}/${trelloCard.due}` : trelloCard.due || trelloCard.start;
+    case 'dueComplete':
+      return trelloCard.dueComplete === true;
+    case 'members':
+      // Resolved by the sync engine with the user map (see SyncEngine.resolveMembers)
+      return trelloCard.linkedMembers ?? null;
+    case 'attachments':
+      return (trelloCard.attachments || []).map(attachment => attachment.url);
+    case 'position':
+      // Resolved by the sync engine from the order of the list (see SyncEngine.resolvePositions)
+      return trelloCard.rank ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Joins the plain text of a Notion rich text array
+ * @param {Array} parts - Rich text parts
+ * @returns {string} Plain text
+ */
+function joinRichText(parts = []) {
+  return parts.map(part => part.plain_text ?? part.text?.content ?? '').join('');
+}
+
+/**
+ * Reads a field's raw value from a Notion database entry
+ * @param {Object} field - Field definition
+ * @param {Object} notionEntry - Notion database entry
+ * @returns {any} Raw value
+ */
+function readNotionValue(field, notionEntry) {
+  const property = notionEntry.properties[field.notion.property];
+
+  switch (field.notion.type) {
+    case 'title':
+      return joinRichText(property?.title);
+    case 'rich_text':
+      return joinRichText(property?.rich_text);
+    case 'select':
+    case 'status': {
+      const option = property?.[field.notion.type]?.name ?? null;
+      return field.type === 'boolean' ? option === field.notion.whenTrue : option;
+    }
+    case 'multi_select':
+      return (property?.multi_select || []).map(option => option.name);
+    case 'date':
+      return readNotionDate(property?.date, field.trello.source === 'dates');
+    case 'people':
+      // Resolved by the sync engine with the user map (see SyncEngine.resolveMembers)
+      return notionEntry.linkedPeople ?? null;
+    case 'files':
+      // Files uploaded to Notion have short-lived URLs, so only external files are synced
+      return (property?.files || []).filter(file => file.type === 'external').map(file => file.external.url);
+    case 'number':
+      return property?.number ?? null;
+    case 'checkbox':
+      return property?.checkbox ?? false;
+    case 'url':
+      return property?.url ?? null;
+    case 'formula': {
+      const formula = property?.formula;
+      return formula ? formula[formula.type] ?? null : null;
+    }
+    case 'page_url':
+      return generateNotionPageUrl(notionEntry.id);
+    case 'page_body':
+      // Loaded by the sync engine (see SyncEngine.loadPageContent); page content is not part of the entry
+      return notionEntry.body?.markdown ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Extracts the mapped field values from a Trello card
+ * @param {Object} trelloCard - Trello card object
+ * @param {Object} customFields - Trello custom field values mapped by name
+ * @param {string} listName - Name of the Trello list (column)
+ * @param {Object} mapping - Field mapping (defaults to the configured mapping)
+ * @returns {Object} Field values keyed by field key
+ */
+export function extractTrelloFieldValues(trelloCard, customFields, listName, mapping = loadFieldMapping()) {
+  const values = {};
+  mapping.fields.forEach(field => {
+    values[field.key] = normalizeFieldValue(field, readTrelloValue(field, trelloCard, customFields, listName));
+  });
+  return values;
+}
+
+/**
+ * Extracts the mapped field values from a Notion database entry
+ * @param {Object} notionEntry - Notion database entry
+ * @param {Object} mapping - Field mapping (defaults to the configured mapping)
+ * @returns {Object} Field values keyed by field key
+ */
+export function extractNotionFieldValues(notionEntry, mapping = loadFieldMapping()) {
+  const values = {};
+  mapping.fields.forEach(field => {
+    const value = readNotionValue(field, notionEntry);
+    // A list alias stands for the list it names, so "Eng" and "Engineering" compare equal
+    values[field.key] = normalizeFieldValue(field, field.aliases?.[value] ?? value);
+  });
+  return values;
+}
+
+/**
+ * Builds Notion properties for a subset of field values
+ * @param {Object} values - Field values keyed by field key
+ * @param {Object} mapping - Field mapping (defaults to the configured mapping)
+ * @returns {Object} Notion properties payload
+ */
+export function buildNotionProperties(values, mapping = loadFieldMapping()) {
+  const properties = {};
+
+  Object.entries(values).forEach(([key, value]) => {
+    const field = mapping.fields.find(candidate => candidate.key === key);
+    if (!field || READ_ONLY_NOTION_TYPES.includes(field.notion.type)) {
+      return;
+    }
+
+    switch (field.notion.type) {
+      case 'title':
+        properties[field.notion.property] = { title: [{ text: { content: value == null ? '' : String(value) } }] };
+        break;
+      case 'rich_text':
+        properties[field.notion.property] = { rich_text: value == null ? [] : [{ text: { content: String(value) } }] };
+        break;
+      case 'select':
+      case 'status': {
+        const option = field.type === 'boolean'
+          ? (value === true ? field.notion.whenTrue : field.notion.whenFalse)
+          : value;
+        // Status properties cannot be cleared
+        if (option == null && field.notion.type === 'status') {
+          break;
+        }
+        properties[field.notion.property] = { [field.notion.type]: option == null ? null : { name: String(option) } };
+        break;
+      }
+      case 'multi_select':
+        properties[field.notion.property] = { multi_select: (value || []).map(name => ({ name })) };
+        break;
+      case 'date':
+        properties[field.notion.property] = { date: buildNotionDate(value, field.timeZone) };
+        break;
+      case 'people':
+        // Written by the sync engine, which knows the Notion users behind the usernames
+        break;
+      case 'files':
+        properties[field.notion.property] = {
+          files: (value || []).map(url => ({ name: fileNameFromUrl(url), type: 'external', external: { url } }))
+        };
+        break;
+      case 'number':
+        properties[field.notion.property] = { number: value == null ? null : Number(value) };
+        break;
+      case 'checkbox':
+        properties[field.notion.property] = { checkbox: value === true };
+        break;
+      case 'url':
+        properties[field.notion.property] = { url: value || null };
+        break;
+    }
+  });
+
+  return properties;
+}
+
+/**
+ * Names a linked file after the last part of its URL path, or its host
+ * @param {string} url - File URL
+ * @returns {string} File name (at most 100 characters, Notion's limit)
+ */
+export function fileNameFromUrl(url) {
+  let name = url;
+  try {
+    const { hostname, pathname } = new URL(url);
+    const segment = pathname.split('/').filter(Boolean).pop();
+    name = segment ? decodeURIComponent(segment) : hostname;
+  } catch {
+    // Not a URL that can be parsed - the whole value names it
+  }
+  return name.slice(0, 100);
+}
+
+/**
+ * Builds the Trello card properties holding a field's value, for fields stored on the card itself
+ * @param {Object} field - Field definition
+ * @param {any} value - Normalized field value
+ * @returns {Object} Card properties to update, e.g. { start, due }; empty for other sources
+ */
+export function buildTrelloCardFields(field, value) {
+  switch (field.trello.source) {
+    case 'name':
+      return { name: value };
+    case 'closed':
+      return { closed: value };
+    case 'desc':
+      // Trello clears a description with an empty string
+      return { desc: value ?? '' };
+    case 'due':
+    case 'start':
+      return { [field.trello.source]: toTrelloDate(value, field.timeZone) };
+    case 'dates': {
+      // A single date is the due date
+      const [start, due] = value?.includes('/') ? value.split('/') : [null, value];
+      return { start: toTrelloDate(start, field.timeZone), due: toTrelloDate(due, field.timeZone) };
+    }
+    case 'dueComplete':
+      return { dueComplete: value === true };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Gets the Notion option color for a Trello label color, using the field's color mapping
+ * @param {Object} field - Labels field definition (with colors)
+ * @param {string|null} trelloColor - Trello label color, e.g. "sky" or "green_dark"
+ * @returns {string} Notion option color
+ */
+export function labelColorToNotion(field, trelloColor) {
+  // Shades of a color map like the color itself
+  const color = trelloColor ? trelloColor.replace(/_(dark|light)$/, '') : null;
+  return (color && field.colors[color]) || 'default';
+}
+
+/**
+ * Gets the Trello label color for a Notion option color, using the field's color mapping in reverse
+ * @param {Object} field - Labels field definition (with colors)
+ * @param {string|null} notionColor - Notion option color
+ * @returns {string|null} Trello label color, or null for a label without color
+ */
+export function notionColorToLabel(field, notionColor) {
+  const colors = Object.entries(field.colors);
+  // Prefer the Trello color of the same name, e.g. blue rather than sky
+  const match = colors.find(([trelloColor, color]) => color === notionColor && trelloColor === notionColor) ||
+    colors.find(([, color]) => color === notionColor);
+  return match ? match[0] : null;
+}
+
 /**
  * Determines if two values are different for sync purposes
  * @param {any} value1 - First value
@@ -140,6 +418,11 @@ export function hasChanged(value1, value2) {
   // Handle null/undefined cases
   if (value1 == null && value2 == null) return false;
   if (value1 == null || value2 == null) return true;
+
+  // Handle lists (normalized, so in the same order)
+  if (Array.isArray(value1) || Array.isArray(value2)) {
+    return JSON.stringify(value1) !== JSON.stringify(value2);
+  }
   
   // Handle numbers
   if (typeof value1 === 'number' && typeof value2 === 'number') {
@@ -0,0 +1,362 @@
+/**
+ * Conversion between Trello card descriptions (markdown) and Notion blocks.
+ *
+ * Supported: paragraphs, headings (#, ##, ###), bulleted and numbered lists
+ * (nested by indentation), fenced code, quotes, dividers, and inline bold,
+ * italic, strikethrough, code and links. Other Notion blocks are reported as
+ * unsupported so callers can avoid overwriting them.
+ */
+
+// Notion limits the length of a single rich text item
+const MAX_TEXT_LENGTH = 2000;
+
+const LIST_TYPES = ['bulleted_list_item', 'numbered_list_item'];
+
+/**
+ * Code languages Notion accepts, with common markdown aliases
+ */
+const CODE_LANGUAGES = {
+  bash: 'bash', sh: 'shell', shell: 'shell', zsh: 'shell',
+  c: 'c', 'c++': 'c++', cpp: 'c++', 'c#': 'c#', cs: 'c#', csharp: 'c#',
+  css: 'css', diff: 'diff', docker: 'docker', dockerfile: 'docker',
+  go: 'go', graphql: 'graphql', html: 'html', java: 'java',
+  javascript: 'javascript', js: 'javascript', jsx: 'javascript', json: 'json',
+  kotlin: 'kotlin', markdown: 'markdown', md: 'markdown', php: 'php',
+  python: 'python', py: 'python', ruby: 'ruby', rb: 'ruby', rust: 'rust', rs: 'rust',
+  scss: 'scss', sql: 'sql', swift: 'swift', typescript: 'typescript', ts: 'typescript', tsx: 'typescript',
+  xml: 'xml', yaml: 'yaml', yml: 'yaml'
+};
+
+// Earliest inline markup wins; the content of bold, italic, strikethrough and links may hold more markup
+const INLINE_PATTERN = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*(?!\s)([^*]+?)\*|(?<![\p{L}\p{N}])_(?!\s)([^_]+?)_(?![\p{L}\p{N}])/u;
+
+/**
+ * Parses inline markdown into Notion rich text items
+ * @param {string} text - Markdown text
+ * @param {Object} annotations - Annotations inherited from enclosing markup
+ * @param {string|null} link - Link inherited from an enclosing link
+ * @returns {Array<Object>} Notion rich text items
+ */
+function parseInline(text, annotations = {}, link = null) {
+  const items = [];
+  let rest = text;
+
+  const pushText = (content, extra = {}, url = link) => {
+    for (let start = 0; start < content.length; start += MAX_TEXT_LENGTH) {
+      const item = {
+        type: 'text',
+        text: { content: content.slice(start, start + MAX_TEXT_LENGTH), ...(url ? { link: { url } } : {}) }
+      };
+      const merged = { ...annotations, ...extra };
+      if (Object.keys(merged).length > 0) {
+        item.annotations = merged;
+      }
+      items.push(item);
+    }
+  };
+
+  while (rest) {
+    const match = INLINE_PATTERN.exec(rest);
+    if (!match) {
+      pushText(rest);
+      break;
+    }
+
+    if (match.index > 0) {
+      pushText(rest.slice(0, match.index));
+    }
+
+    const [, code, linkText, url, boldItalic, bold, boldAlt, strike, italic, italicAlt] = match;
+    if (code !== undefined) {
+      pushText(code, { code: true });
+    } else if (linkText !== undefined) {
+      items.push(...parseInline(linkText, annotations, url));
+    } else if (boldItalic !== undefined) {
+      items.push(...parseInline(boldItalic, { ...annotations, bold: true, italic: true }, link));
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      items.push(...parseInline(bold ?? boldAlt, { ...annotations, bold: true }, link));
+    } else if (strike !== undefined) {
+      items.push(...parseInline(strike, { ...annotations, strikethrough: true }, link));
+    } else {
+      items.push(...parseInline(italic ?? italicAlt, { ...annotations, italic: true }, link));
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return items;
+}
+
+/**
+ * Converts inline markdown (e.g. a Trello comment) to Notion rich text; line breaks are kept as they are
+ * @param {string} markdown - Markdown text
+ * @returns {Array<Object>} Notion rich text items
+ */
+export function markdownToRichText(markdown) {
+  return parseInline(markdown || '');
+}
+
+/**
+ * Creates a Notion block with rich text
+ * @param {string} type - Block type
+ * @param {string} text - Inline markdown
+ * @returns {Object} Notion block
+ */
+function textBlock(type, text) {
+  return { object: 'block', type, [type]: { rich_text: parseInline(text) } };
+}
+
+/**
+ * Converts markdown (e.g. a Trello card description) to Notion blocks
+ * @param {string} markdown - Markdown text
+ * @returns {Array<Object>} Notion blocks, with nested list items as children
+ */
+export function markdownToBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = null;
+  let listStack = []; // { indent, block } of the enclosing list items
+
+  const endParagraph = () => {
+    if (paragraph) {
+      blocks.push(textBlock('paragraph', paragraph.join('\n')));
+      paragraph = null;
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    const fence = line.match(/^\s*```\s*([^`\s]*)\s*$/);
+    if (fence) {
+      endParagraph();
+      listStack = [];
+      const code = [];
+      for (index++; index < lines.length && !/^\s*```\s*$/.test(lines[index]); index++) {
+        code.push(lines[index]);
+      }
+      const content = code.join('\n');
+      const richText = [];
+      for (let start = 0; start < content.length || start === 0; start += MAX_TEXT_LENGTH) {
+        richText.push({ type: 'text', text: { content: content.slice(start, start + MAX_TEXT_LENGTH) } });
+      }
+      blocks.push({
+        object: 'block',
+        type: 'code',
+        code: { rich_text: richText, language: CODE_LANGUAGES[fence[1].toLowerCase()] || 'plain text' }
+      });
+      continue;
+    }
+
+    if (!line.trim()) {
+      endParagraph();
+      listStack = [];
+      continue;
+    }
+
+    const listItem = line.match(/^(\s*)(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (listItem && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      endParagraph();
+      const indent = listItem[1].length;
+      const block = textBlock(listItem[2] ? 'bulleted_list_item' : 'numbered_list_item', listItem[4]);
+
+      while (listStack.length > 0 && indent <= listStack[listStack.length - 1].indent) {
+        listStack.pop();
+      }
+      const parent = listStack[listStack.length - 1];
+      if (parent) {
+        const content = parent.block[parent.block.type];
+        content.children = [...(content.children || []), block];
+      } else {
+        blocks.push(block);
+      }
+      listStack.push({ indent, block });
+      continue;
+    }
+
+    listStack = [];
+
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (heading) {
+      endParagraph();
+      blocks.push(textBlock(`heading_${heading[1].length}`, heading[2].replace(/\s+#+\s*$/, '')));
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      endParagraph();
+      blocks.push({ object: 'block', type: 'divider', divider: {} });
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      endParagraph();
+      const previous = blocks[blocks.length - 1];
+      if (previous?.type === 'quote' && lines[index - 1]?.trim().startsWith('>')) {
+        previous.quote.rich_text.push(...parseInline(`\n${quote[1]}`));
+      } else {
+        blocks.push(textBlock('quote', quote[1]));
+      }
+      continue;
+    }
+
+    paragraph = paragraph || [];
+    paragraph.push(line.trim());
+  }
+
+  endParagraph();
+  return blocks;
+}
+
+/**
+ * Converts Notion rich text items to inline markdown
+ * @param {Array<Object>} richText - Notion rich text items
+ * @returns {string} Markdown text
+ */
+export function richTextToMarkdown(richText = []) {
+  return richText.map(item => {
+    let text = item.plain_text ?? item.text?.content ?? '';
+    const annotations = item.annotations || {};
+    const url = item.text?.link?.url ?? item.href ?? null;
+    if (!text) {
+      return '';
+    }
+
+    // Markers must hug the text, so surrounding whitespace stays outside them
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) {
+      return text;
+    }
+
+    text = core;
+    if (annotations.code) {
+      text = `\`${text}\``;
+    }
+    if (annotations.bold) {
+      text = `**${text}**`;
+    }
+    if (annotations.italic) {
+      text = `*${text}*`;
+    }
+    if (annotations.strikethrough) {
+      text = `~~${text}~~`;
+    }
+    if (url) {
+      text = `[${text}](${url})`;
+    }
+    return `${leading}${text}${trailing}`;
+  }).join('');
+}
+
+/**
+ * Renders list items (and their nested items) as markdown lines
+ * @param {Array<Object>} items - Consecutive list item blocks of one type
+ * @param {string} indent - Indentation of this level
+ * @param {Array<string>} unsupported - Collects unsupported block types
+ * @returns {Array<string>} Markdown lines
+ */
+function listToMarkdown(items, indent, unsupported) {
+  const lines = [];
+  items.forEach((block, index) => {
+    const marker = block.type === 'numbered_list_item' ? `${index + 1}.` : '-';
+    const content = block[block.type];
+    lines.push(`${indent}${marker} ${richTextToMarkdown(content.rich_text)}`);
+    if (content.children?.length) {
+      lines.push(...blocksToLines(content.children, `${indent}${' '.repeat(marker.length + 1)}`, unsupported, true));
+    }
+  });
+  return lines;
+}
+
+/**
+ * Renders blocks as markdown lines
+ * @param {Array<Object>} blocks - Notion blocks
+ * @param {string} indent - Indentation (for nested list content)
+ * @param {Array<string>} unsupported - Collects unsupported block types
+ * @param {boolean} nested - True when rendering the children of a list item
+ * @returns {Array<string>} Markdown lines; separate blocks are joined by blank lines
+ */
+function blocksToLines(blocks, indent, unsupported, nested = false) {
+  const chunks = [];
+
+  for (let index = 0; index < blocks.length; index++) {
+    const block = blocks[index];
+    const content = block[block.type] || {};
+
+    if (LIST_TYPES.includes(block.type)) {
+      const items = [block];
+      while (blocks[index + 1]?.type === block.type) {
+        items.push(blocks[++index]);
+      }
+      chunks.push(listToMarkdown(items, indent, unsupported));
+      continue;
+    }
+
+    if (nested) {
+      // Only lists are kept inside list items
+      unsupported.push(block.type);
+      continue;
+    }
+
+    switch (block.type) {
+      case 'paragraph': {
+        const text = richTextToMarkdown(content.rich_text);
+        // Empty paragraphs are just spacing
+        if (text.trim()) {
+          chunks.push(text.split('\n'));
+        }
+        break;
+      }
+      case 'heading_1':
+      case 'heading_2':
+      case 'heading_3':
+        chunks.push([`${'#'.repeat(Number(block.type.slice(-1)))} ${richTextToMarkdown(content.rich_text)}`]);
+        break;
+      case 'code': {
+        const language = content.language && content.language !== 'plain text' ? content.language : '';
+        const code = (content.rich_text || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+        chunks.push([`\`\`\`${language}`, ...code.split('\n'), '```']);
+        break;
+      }
+      case 'quote':
+        chunks.push(richTextToMarkdown(content.rich_text).split('\n').map(line => `> ${line}`.trimEnd()));
+        break;
+      case 'divider':
+        chunks.push(['---']);
+        break;
+      default:
+        unsupported.push(block.type);
+    }
+
+    if (content.children?.length && !LIST_TYPES.includes(block.type)) {
+      unsupported.push(`${block.type} children`);
+    }
+  }
+
+  if (nested) {
+    return chunks.flat();
+  }
+  return chunks.flatMap((chunk, index) => (index > 0 ? ['', ...chunk] : chunk));
+}
+
+/**
+ * Converts Notion blocks to markdown
+ * @param {Array<Object>} blocks - Notion blocks, with nested children under block[type].children
+ * @returns {Object} { markdown, unsupported } - unsupported lists the block types that could not be converted
+ */
+export function blocksToMarkdown(blocks = []) {
+  const unsupported = [];
+  const markdown = blocksToLines(blocks, '', unsupported).join('\n');
+  return { markdown, unsupported: [...new Set(unsupported)] };
+}
+
+/**
+ * Brings markdown into the form a round trip through Notion blocks produces, so a
+ * description and a page body only differ when their content does
+ * @param {string} markdown - Markdown text
+ * @returns {string} Normalized markdown
+ */
+export function normalizeMarkdown(markdown) {
+  return blocksToMarkdown(markdownToBlocks(markdown)).markdown;
+}
@@ -0,0 +1,73 @@
+/**
+ * Token-bucket rate limiting shared by every API client in the process
+ */
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket that allows `limit` requests per `intervalMs`, refilling continuously.
+ * Callers are served in FIFO order.
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.limit - Requests allowed per interval (also the burst size)
+   * @param {number} options.intervalMs - Interval length in milliseconds
+   */
+  constructor({ limit, intervalMs }) {
+    this.capacity = limit;
+    this.tokens = limit;
+    this.refillPerMs = limit / intervalMs;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Adds the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Waits until a token is available and takes it
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+const sharedBuckets = new Map();
+
+/**
+ * Gets the process-wide bucket for a key (e.g. an API key or token), creating it on first use
+ * @param {string} key - Bucket key
+ * @param {Object} options - Bucket options ({ limit, intervalMs }) used when creating it
+ * @returns {TokenBucket} Shared bucket
+ */
+export function getSharedBucket(key, options) {
+  if (!sharedBuckets.has(key)) {
+    sharedBuckets.set(key, new TokenBucket(options));
+  }
+  return sharedBuckets.get(key);
+}
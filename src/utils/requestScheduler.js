@@ -0,0 +1,130 @@
+import { TokenBucket, sleep } from './rateLimiter.js';
+import { backoffDelay } from './retry.js';
+import { logger } from './logger.js';
+
+/**
+ * Request scheduler with bounded concurrency, rate limiting and retries
+ */
+export class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.name - Name used in log messages
+   * @param {number} options.concurrency - Maximum requests in flight
+   * @param {Object} options.rateLimit - Token bucket settings ({ limit, intervalMs })
+   * @param {number} options.maxRetries - Retries per request
+   * @param {number} options.baseDelay - First backoff step in milliseconds
+   * @param {number} options.maxDelay - Maximum backoff delay in milliseconds
+   * @param {Function} options.classifyError - (error, { idempotent }) => { retry, rateLimited, delay }
+   */
+  constructor({ name, concurrency, rateLimit, maxRetries, baseDelay, maxDelay, classifyError }) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.bucket = new TokenBucket(rateLimit);
+    this.maxRetries = maxRetries;
+    this.backoff = { baseDelay, maxDelay };
+    this.classifyError = classifyError;
+    this.queue = [];
+    this.active = 0;
+  }
+
+  /**
+   * Queues a request and resolves with its result once it (eventually) succeeds
+   * @param {Function} task - () => Promise performing the request
+   * @param {Object} options - Request options
+   * @param {string} options.label - Description for log messages
+   * @param {boolean} options.idempotent - Whether the request may be repeated after an unknown outcome
+   * @param {Object} options.stats - Counters to update ({ requests, retries, rateLimited })
+   * @param {Object} options.logger - Logger for retry messages
+   * @returns {Promise<any>} Task result
+   */
+  schedule(task, { label = 'request', idempotent = true, stats = null, logger: requestLogger = logger } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, label, idempotent, stats, logger: requestLogger, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Starts queued requests while there is free concurrency
+   */
+  pump() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+
+      this.run(job)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Runs a request, retrying it while the error classifier allows
+   * @param {Object} job - Queued request
+   * @returns {Promise<any>} Task result
+   */
+  async run(job) {
+    for (let attempt = 0; ; attempt++) {
+      await this.bucket.take();
+      if (job.stats) job.stats.requests++;
+
+      try {
+        return await job.task();
+      } catch (error) {
+        const { retry, rateLimited = false, delay = null } = this.classifyError(error, { idempotent: job.idempotent });
+
+        if (!retry || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const wait = delay ?? backoffDelay(attempt, this.backoff);
+        if (job.stats) {
+          job.stats.retries++;
+          if (rateLimited) job.stats.rateLimited++;
+        }
+        job.logger.warn(`${this.name} ${error.code || error.status || error.message} on ${job.label} - retrying in ${wait}ms (${attempt + 1}/${this.maxRetries})`);
+        await sleep(wait);
+      }
+    }
+  }
+}
+
+const sharedSchedulers = new Map();
+
+/**
+ * Gets the process-wide scheduler for a key (e.g. an API token), creating it on first use
+ * @param {string} key - Scheduler key
+ * @param {Object} options - RequestScheduler options used when creating it
+ * @returns {RequestScheduler} Shared scheduler
+ */
+export function getSharedScheduler(key, options) {
+  if (!sharedSchedulers.has(key)) {
+    sharedSchedulers.set(key, new RequestScheduler(options));
+  }
+  return sharedSchedulers.get(key);
+}
+
+/**
+ * Runs an async worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
@@ -0,0 +1,61 @@
+/**
+ * Retry helpers for HTTP API calls
+ */
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Returns true if repeating the request cannot apply it twice
+ * @param {string} method - HTTP method
+ * @returns {boolean} True for idempotent methods
+ */
+export function isIdempotent(method) {
+  return IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+}
+
+/**
+ * Returns true for server errors and network failures that are likely to succeed on retry
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the error is transient
+ */
+export function isTransientError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|number|undefined} header - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes a jittered exponential backoff delay: half the exponential step plus a random share of the other half
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Step for the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for any delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const step = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
@@ -3,6 +3,8 @@ import crypto from 'crypto';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
 import SyncEngine from '../sync/syncEngine.js';
+import EchoFilter from '../sync/echoFilter.js';
+import { CHECKLIST_ACTIONS } from '../sync/echo.js';
 
 /**
  * Webhook server for handling Trello events
@@ -11,6 +13,11 @@ class WebhookServer {
   constructor() {
     this.app = express();
     this.syncEngine = new SyncEngine();
+    // Ignore the events the sync's own writes cause
+    this.echoFilter = new EchoFilter({
+      journal: this.syncEngine.journal,
+      trelloService: this.syncEngine.trelloService
+    });
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -82,7 +89,7 @@ class WebhookServer {
     });
 
     // Check if this is a custom field update
-    if (this.shouldTriggerSync(webhookData)) {
+    if (await this.shouldTriggerSync(webhookData)) {
       logger.info('Custom field update detected, triggering sync...');
       
       // Trigger sync asynchronously
@@ -114,31 +121,61 @@ class WebhookServer {
   /**
    * Determines if the webhook event should trigger a sync
    * @param {Object} webhookData - Trello webhook payload
-   * @returns {boolean} True if sync should be triggered
+   * @returns {Promise<boolean>} True if sync should be triggered
    */
-  shouldTriggerSync(webhookData) {
+  async shouldTriggerSync(webhookData) {
     const action = webhookData.action;
     if (!action) return false;
 
+    // Skip changes the sync made itself
+    if (await this.echoFilter.isEcho(action)) {
+      logger.debug('Event was caused by the sync itself', { actionType: action.type });
+      return false;
+    }
+
     // Trigger on custom field updates
     if (action.type === 'updateCustomFieldItem') {
       return true;
     }
 
-    // Trigger on card updates (name changes, list moves)
+    // Trigger on card updates (name changes, list moves, archiving, description and date edits)
     if (action.type === 'updateCard') {
       const data = action.data;
-      // Check if card name or list changed
-      if (data.old?.name || data.old?.idList) {
+      // Check if card name, list, archived state, description or dates changed
+      if (data.old?.name || data.old?.idList || ['closed', 'desc', 'due', 'start', 'dueComplete'].some(property => data.old?.[property] !== undefined)) {
+        return true;
+      }
+      // Reordering a list only matters when card positions are synced
+      if (data.old?.pos !== undefined && this.syncEngine.positionField) {
         return true;
       }
     }
 
+    // Trigger on label, member and attachment changes
+    if (['addLabelToCard', 'removeLabelFromCard', 'addMemberToCard', 'removeMemberFromCard', 'addAttachmentToCard', 'deleteAttachmentFromCard'].includes(action.type)) {
+      return true;
+    }
+
+    // Trigger on renamed lists, whose Notion option is renamed too
+    if (action.type === 'updateList') {
+      return action.data?.old?.name !== undefined && Boolean(this.syncEngine.listField);
+    }
+
     // Trigger on new cards
     if (action.type === 'createCard') {
       return true;
     }
 
+    // Trigger on checklist changes
+    if (CHECKLIST_ACTIONS.includes(action.type)) {
+      return true;
+    }
+
+    // Trigger on new comments when they are mirrored
+    if (action.type === 'commentCard') {
+      return this.syncEngine.syncComments;
+    }
+
     return false;
   }
 
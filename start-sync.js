@@ -58,7 +58,9 @@ async function startSync() {
     await syncService.start();
     
     console.log('✅ Continuous sync started successfully');
-    console.log(`   Polling interval: ${syncService.pollingStrategy.syncInterval / 1000} seconds`);
+    syncService.pairs.forEach(({ pair }) => {
+      console.log(`   Pair "${pair.name}": polling every ${pair.pollInterval / 1000} seconds`);
+    });
     console.log('   Will run full sync when Trello changes are detected');
     
     if (isProduction) {
@@ -80,18 +82,24 @@ async function startSync() {
         logger.info('Service status', {
           isRunning: status.isRunning,
           isSyncing: status.isSyncing,
-          lastSync: status.polling.lastSyncTime,
-          pollInterval: status.configuration.pollIntervalSeconds
+          pairs: status.pairs.map(pair => ({
+            name: pair.name,
+            lastSync: pair.stats.lastSyncAt,
+            failures: pair.stats.failures,
+            pollInterval: pair.pollInterval / 1000
+          }))
         });
       } else {
         // Development: Show detailed status
         logger.debug('Service status', status);
         
-        if (status.polling.nextCheckIn) {
-          const nextCheck = new Date(status.polling.nextCheckIn);
-          const timeUntilCheck = Math.round((nextCheck - new Date()) / 1000);
-          console.log(`⏱️  Next check in ${timeUntilCheck} seconds | Last sync: ${status.polling.lastSyncTime.toLocaleTimeString()}`);
-        }
+        status.pairs.forEach(pair => {
+          if (pair.polling.nextCheckIn) {
+            const nextCheck = new Date(pair.polling.nextCheckIn);
+            const timeUntilCheck = Math.round((nextCheck - new Date()) / 1000);
+            console.log(`⏱️  [${pair.name}] Next check in ${timeUntilCheck} seconds | Last sync: ${pair.polling.lastSyncTime.toLocaleTimeString()}`);
+          }
+        });
       }
     }, statusInterval);
 